@@ -1,4 +1,4 @@
-import { WasmGpgBrowserClient } from '../gpg-browser-client.mjs';
+import { createProfileManager } from '../gpg-profile-manager.mjs';
 
 const DEFAULT_ROOTS = ['/gnupg', '/work'];
 const encoder = new TextEncoder();
@@ -23,6 +23,7 @@ const el = {
   keyName: document.querySelector('#keyName'),
   keyEmail: document.querySelector('#keyEmail'),
   keyExpire: document.querySelector('#keyExpire'),
+  keyAlgo: document.querySelector('#keyAlgo'),
   exportSelector: document.querySelector('#exportSelector'),
   keyserverUrl: document.querySelector('#keyserverUrl'),
   keyserverQuery: document.querySelector('#keyserverQuery'),
@@ -71,8 +72,8 @@ let fsState = null;
 let running = false;
 let pinentryResolver = null;
 let stdinResolver = null;
-let gpgClient = null;
-let gpgClientKey = '';
+let profileManager = null;
+let profileManagerKey = '';
 
 function nowLabel() {
   return new Date().toLocaleTimeString();
@@ -354,32 +355,13 @@ function createPerfTracker(options = {}) {
     markOrder.push(name);
   };
 
+  /* result.timings covers the worker phases but not the time spent in the
+     pinentry prompt, so that still comes from the debug steps. */
   const markFromDebugStep = (step) => {
-    if (!enabled) {
-      return;
-    }
-    if (step === 'run.import-launcher.done') {
-      mark('launcher-loaded');
-      return;
-    }
-    if (step === 'run.preRun.fs-init') {
-      mark('prerun-fs-init');
-      return;
-    }
-    if (step === 'run.runtime-initialized') {
-      mark('runtime-ready');
-      return;
-    }
     if (step === 'client.pinentry.request') {
       mark('pinentry-request');
-      return;
-    }
-    if (step === 'client.pinentry.reply') {
+    } else if (step === 'client.pinentry.reply') {
       mark('pinentry-reply');
-      return;
-    }
-    if (step === 'run.callMain.return') {
-      mark('callMain-return');
     }
   };
 
@@ -397,6 +379,21 @@ function createPerfTracker(options = {}) {
         const value = marks.get(name);
         parts.push(`${name}=${formatMs(value)}`);
       }
+      const timings = extra.timings && typeof extra.timings === 'object' ? extra.timings : null;
+      if (timings) {
+        for (const [name, value] of Object.entries(timings.phases || {})) {
+          if (Number.isFinite(value)) {
+            parts.push(`${name}=${formatMs(value)}`);
+          }
+        }
+        const counters = timings.counters || {};
+        if (Number.isFinite(counters.bytesRestored) && Number.isFinite(counters.bytesCaptured)) {
+          parts.push(`fs=${counters.bytesRestored}B>${counters.bytesCaptured}B`);
+        }
+        if (timings.launcher) {
+          parts.push(`launcher=${timings.launcher}`);
+        }
+      }
       if (Number.isFinite(extra.inputBytes)) {
         parts.push(`input=${extra.inputBytes}B`);
       }
@@ -676,7 +673,7 @@ function settlePinentry(ok) {
   resolve({ ok, passphrase });
 }
 
-function createClient(homedir, persistRoots) {
+function createManager() {
   const gpgScriptUrl = el.gpgScriptUrl.value.trim();
   const gpgWasmUrl = el.gpgWasmUrl.value.trim();
 
@@ -687,59 +684,75 @@ function createClient(homedir, persistRoots) {
     ? gpgWasmUrl.replace(/gpg\.wasm(?=(?:[?#].*)?$)/, 'gpg-agent.wasm')
     : '';
 
-  return new WasmGpgBrowserClient({
+  return createProfileManager({
     workerUrl: new URL('../gpg-browser-worker.js', import.meta.url),
     gpgScriptUrl,
     gpgWasmUrl,
     gpgAgentWorkerUrl: new URL('../gpg-agent-server-worker.js', import.meta.url),
     gpgAgentScriptUrl,
     gpgAgentWasmUrl,
-    homedir,
-    persistRoots,
+    homedir: '/gnupg',
     persistentAgentRuntime: true,
+    profiles: { defaultProfile: 'gnupg' },
   });
 }
 
-async function destroyClient(reason) {
-  if (!gpgClient) {
-    gpgClientKey = '';
+async function destroyManager(reason) {
+  if (!profileManager) {
+    profileManagerKey = '';
     return;
   }
 
-  const client = gpgClient;
-  gpgClient = null;
-  gpgClientKey = '';
+  const manager = profileManager;
+  profileManager = null;
+  profileManagerKey = '';
   try {
-    await client.close();
+    await manager.close();
     if (reason) {
-      appendConsole('note', `agent session reset (${reason})`);
+      appendConsole('note', `agent sessions reset (${reason})`);
     }
   } catch (error) {
     appendConsole('error', `failed to close client: ${error instanceof Error ? error.message : String(error)}`);
   }
 }
 
-function buildClientKey(homedir, persistRoots) {
+function buildManagerKey() {
   const gpgScriptUrl = el.gpgScriptUrl.value.trim();
   const gpgWasmUrl = el.gpgWasmUrl.value.trim();
   return JSON.stringify({
     gpgScriptUrl,
     gpgWasmUrl,
-    homedir,
-    persistRoots,
   });
 }
 
-async function getClient(homedir, persistRoots) {
-  const key = buildClientKey(homedir, persistRoots);
-  if (gpgClient && gpgClientKey === key) {
-    return gpgClient;
+function profileNameFor(homedir) {
+  const name = homedir
+    .replace(/[^A-Za-z0-9._-]/g, '_')
+    .replace(/^[^A-Za-z0-9]+/, '')
+    .slice(0, 64);
+  return name || 'default';
+}
+
+async function getClient(homedir) {
+  const key = buildManagerKey();
+  if (!profileManager || profileManagerKey !== key) {
+    await destroyManager(profileManager ? 'config-changed' : '');
+    profileManager = createManager();
+    profileManagerKey = key;
   }
 
-  await destroyClient('config-changed');
-  gpgClient = createClient(homedir, persistRoots);
-  gpgClientKey = key;
-  return gpgClient;
+  const name = profileNameFor(homedir);
+  const known = await profileManager.listProfiles();
+  if (!known.some((profile) => profile.name === name)) {
+    await profileManager.createProfile(name, { homedir });
+  }
+  if (profileManager.active !== name) {
+    if (profileManager.active) {
+      appendConsole('note', `switched profile ${profileManager.active} -> ${name}`);
+    }
+    return profileManager.switchProfile(name);
+  }
+  return profileManager.client;
 }
 
 async function runGpg(args, pinentryRequest = {}, options = {}) {
@@ -768,7 +781,7 @@ async function runGpg(args, pinentryRequest = {}, options = {}) {
   perf.mark('command-dispatched');
 
   try {
-    const client = await getClient(homedir, persistRoots);
+    const client = await getClient(homedir);
     perf.mark('client-created');
     const defaultRunTimeoutMs = isLikelyKeygenArgs(args) ? 600000 : 90000;
     const runTimeoutMs = Number.isFinite(options.runTimeoutMs)
@@ -779,7 +792,7 @@ async function runGpg(args, pinentryRequest = {}, options = {}) {
       appendConsole('note', `detected key generation command; using extended timeout ${Math.round(defaultRunTimeoutMs / 1000)}s`);
     }
 
-    const result = await client.run(args, {
+    const runOptions = {
       fsState,
       persistRoots,
       emitStatus: true,
@@ -793,6 +806,14 @@ async function runGpg(args, pinentryRequest = {}, options = {}) {
         }
         return promptStdinText(request);
       },
+      ...(readStdinPresetText() ? {} : {
+        onConfirm: (request) => {
+          const answer = window.confirm(`gpg asks (${request.keyword}):\n${request.context.stdoutLines.slice(-8).join('\n')}`);
+          appendConsole('note', `[confirm] ${request.keyword} -> ${answer ? 'yes' : 'no'}`);
+          return answer;
+        },
+        onLine: (request) => promptStdinText(request),
+      }),
       onStdout: (line) => {
         appendConsole('stdout', `[stdout] ${String(line ?? '')}`);
       },
@@ -810,7 +831,10 @@ async function runGpg(args, pinentryRequest = {}, options = {}) {
       },
       onPinentry: promptPinentry,
       pinentryRequest,
-    });
+    };
+    const result = typeof options.invoke === 'function'
+      ? await options.invoke(client, runOptions)
+      : await client.run(args, runOptions);
 
     if (result.fsState) {
       fsState = result.fsState;
@@ -839,6 +863,7 @@ async function runGpg(args, pinentryRequest = {}, options = {}) {
     perf.flush({
       inputBytes: options.perfInputPath ? readFileSize(options.perfInputPath) : null,
       outputBytes: options.perfOutputPath ? readFileSize(options.perfOutputPath) : null,
+      timings: result.timings,
     });
 
     return result;
@@ -865,18 +890,36 @@ async function handleGenerateKey() {
   const name = el.keyName.value.trim();
   const email = el.keyEmail.value.trim();
   const expire = el.keyExpire.value.trim() || '1y';
+  const algo = el.keyAlgo.value || 'ed25519/cv25519';
 
   if (!name || !email) {
     appendConsole('error', 'name and email are required to generate a key');
     return;
   }
 
-  appendConsole('note', 'generate-key may take longer in wasm; using extended timeout');
+  appendConsole('note', `generate-key (${algo}) may take longer in wasm; using extended timeout`);
   const uid = `${name} <${email}>`;
   const result = await runGpg(
-    ['--quick-generate-key', uid, 'future-default', 'default', expire],
+    ['--quick-generate-key', uid, algo, expire],
     { op: 'generate-key', uidHint: uid, keyHint: uid },
-    { runTimeoutMs: 300000 }
+    {
+      runTimeoutMs: 300000,
+      invoke: async (client, runOptions) => {
+        const generated = await client.generateKey({
+          ...runOptions,
+          userId: uid,
+          algo,
+          expire,
+          onProgress: (progress) => {
+            if (progress.done) {
+              appendConsole('note', `[progress] ${progress.what} done`);
+            }
+          },
+        });
+        appendConsole('note', `generated ${generated.fingerprint}`);
+        return { ...generated, exitCode: 0 };
+      },
+    }
   );
 
   if (result.exitCode === 0 && !el.exportSelector.value.trim()) {
@@ -1111,7 +1154,7 @@ function resetSession() {
     appendConsole('error', 'wait for current command to finish before resetting session');
     return;
   }
-  void destroyClient('manual-reset');
+  void destroyManager('manual-reset');
   fsState = createInitialState();
   ensureState();
   renderFileTree();
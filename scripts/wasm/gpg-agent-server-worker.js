@@ -1,5 +1,8 @@
 /* eslint-env worker */
 
+importScripts(new URL('./gpg-fs-hash.js', self.location.href).toString());
+const { hashFsBytes } = self.GnupgFsHash;
+
 let started = false;
 let finished = false;
 let activeFS = null;
@@ -7,6 +10,8 @@ let activeHomedir = '/gnupg';
 let persistRoots = [];
 let bridge = null;
 let scdaemonBridge = null;
+let opfsMount = null;
+let fsDeltaBase = null;
 let stderrBuffer = [];
 let heartbeatId = null;
 const bridgeMetrics = {
@@ -153,7 +158,7 @@ function decodeBase64(base64Text) {
   return out;
 }
 
-function restoreFsState(FS, state) {
+function restoreFsState(FS, state, index = null) {
   if (!state || typeof state !== 'object') {
     return;
   }
@@ -167,6 +172,9 @@ function restoreFsState(FS, state) {
     }
     const path = normalizePath(entry.path, '/');
     ensureDirectory(FS, path);
+    if (index) {
+      index.set(path, { kind: 'dir', mode: normalizeMode(entry.mode, 0o700) });
+    }
     try {
       FS.chmod(path, normalizeMode(entry.mode, 0o700));
     } catch {
@@ -185,6 +193,13 @@ function restoreFsState(FS, state) {
     ensureDirectory(FS, parentDirectory(path));
     const bytes = decodeBase64(typeof entry.data === 'string' ? entry.data : '');
     FS.writeFile(path, bytes);
+    if (index) {
+      index.set(path, {
+        kind: 'file',
+        mode: normalizeMode(entry.mode, 0o600),
+        hash: hashFsBytes(bytes),
+      });
+    }
     try {
       FS.chmod(path, normalizeMode(entry.mode, 0o600));
     } catch {
@@ -193,13 +208,8 @@ function restoreFsState(FS, state) {
   }
 }
 
-function captureFsState(FS, roots) {
-  if (!FS || !roots.length) {
-    return null;
-  }
 
-  const dirs = [];
-  const files = [];
+function walkFsRoots(FS, roots, visit) {
   const seen = new Set();
 
   const walk = (path) => {
@@ -210,10 +220,8 @@ function captureFsState(FS, roots) {
 
     const stat = FS.stat(path);
     if (FS.isDir(stat.mode)) {
-      dirs.push({
-        path,
-        mode: normalizeMode(stat.mode, 0o700),
-      });
+      visit(path, 'dir', stat);
+
       const names = FS.readdir(path);
       for (const name of names) {
         if (name === '.' || name === '..') {
@@ -226,12 +234,7 @@ function captureFsState(FS, roots) {
     }
 
     if (FS.isFile(stat.mode)) {
-      const bytes = FS.readFile(path, { encoding: 'binary' });
-      files.push({
-        path,
-        mode: normalizeMode(stat.mode, 0o600),
-        data: encodeBase64(bytes),
-      });
+      visit(path, 'file', stat);
     }
   };
 
@@ -243,15 +246,105 @@ function captureFsState(FS, roots) {
     }
     walk(root);
   }
+}
+
+function captureFsState(FS, roots) {
+  if (!FS || !roots.length) {
+    return null;
+  }
+
+  const dirs = [];
+  const files = [];
+
+  walkFsRoots(FS, roots, (path, kind, stat) => {
+    if (kind === 'dir') {
+      dirs.push({
+        path,
+        mode: normalizeMode(stat.mode, 0o700),
+      });
+      return;
+    }
+    const bytes = FS.readFile(path, { encoding: 'binary' });
+    files.push({
+      path,
+      mode: normalizeMode(stat.mode, 0o600),
+      data: encodeBase64(bytes),
+      hash: hashFsBytes(bytes),
+    });
+  });
+
+  dirs.sort((a, b) => a.path.localeCompare(b.path));
+  files.sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    version: 1,
+    roots: roots.slice(),
+    dirs,
+    files,
+  };
+}
+
+function captureFsDelta(FS, roots, baseIndex) {
+  if (!FS || !roots.length) {
+    return null;
+  }
+
+  const dirs = [];
+  const files = [];
+  const changed = {
+    created: [],
+    modified: [],
+    deleted: [],
+  };
+  const present = new Set();
+
+  walkFsRoots(FS, roots, (path, kind, stat) => {
+    present.add(path);
+    const base = baseIndex.get(path);
+    if (kind === 'dir') {
+      const mode = normalizeMode(stat.mode, 0o700);
+      if (base && base.kind === 'dir' && base.mode === mode) {
+        return;
+      }
+      dirs.push({ path, mode });
+      (base ? changed.modified : changed.created).push(path);
+      return;
+    }
+    const mode = normalizeMode(stat.mode, 0o600);
+    const bytes = FS.readFile(path, { encoding: 'binary' });
+    const hash = hashFsBytes(bytes);
+    if (base && base.kind === 'file' && base.mode === mode && base.hash === hash) {
+      return;
+    }
+    files.push({
+      path,
+      mode,
+      data: encodeBase64(bytes),
+      hash,
+    });
+    (base ? changed.modified : changed.created).push(path);
+  });
+
+  for (const path of baseIndex.keys()) {
+    if (!present.has(path)) {
+      changed.deleted.push(path);
+    }
+  }
 
   dirs.sort((a, b) => a.path.localeCompare(b.path));
   files.sort((a, b) => a.path.localeCompare(b.path));
+  for (const list of Object.values(changed)) {
+    list.sort((a, b) => a.localeCompare(b));
+  }
 
   return {
     version: 1,
+    delta: true,
     roots: roots.slice(),
     dirs,
     files,
+    deleted: changed.deleted.slice(),
+    changed,
   };
 }
 
@@ -374,6 +467,22 @@ function writeStderrByte(ch) {
   }
 }
 
+function appendStderrText(text) {
+  for (const byte of new TextEncoder().encode(`${text}\n`)) {
+    writeStderrByte(byte);
+  }
+}
+
+async function prepareOpfsMount(config) {
+  if (!self.GnupgOpfsMount) {
+    if (typeof config.scriptUrl !== 'string' || !config.scriptUrl) {
+      throw new Error('missing opfs mount script url');
+    }
+    importScripts(config.scriptUrl);
+  }
+  return self.GnupgOpfsMount.prepare(config);
+}
+
 function callMainWith(args) {
   if (typeof self.callMain === 'function') {
     return self.callMain(args);
@@ -430,8 +539,12 @@ function finish(exitCode, errorMessage) {
     scdaemonBridge = null;
   }
 
-  const stderrText = new TextDecoder().decode(new Uint8Array(stderrBuffer));
-  const fsState = captureFsState(activeFS, persistRoots);
+  let fsState = fsDeltaBase
+    ? captureFsDelta(activeFS, persistRoots, fsDeltaBase)
+    : captureFsState(activeFS, persistRoots);
+  if (opfsMount) {
+    fsState = self.GnupgOpfsMount.filterFsState(fsState, opfsMount.mountpoints);
+  }
   postDebug('finish', {
     exitCode: Number.isFinite(exitCode) ? exitCode : 1,
     errorMessage: errorMessage ? String(errorMessage) : '',
@@ -440,17 +553,32 @@ function finish(exitCode, errorMessage) {
     agentToGpg: bridge ? summarizeQueue(bridge.agentToGpg) : null,
   });
 
-  postMessage({
-    type: 'result',
-    exitCode: Number.isFinite(exitCode) ? exitCode : 1,
-    fsState,
-    error: errorMessage ? String(errorMessage) : '',
-    stderr: stderrText,
-  });
+  const postResult = (opfsInfo) => {
+    postMessage({
+      type: 'result',
+      exitCode: Number.isFinite(exitCode) ? exitCode : 1,
+      fsState,
+      opfs: opfsInfo,
+      error: errorMessage ? String(errorMessage) : '',
+      stderr: new TextDecoder().decode(new Uint8Array(stderrBuffer)),
+    });
+
+    setTimeout(() => {
+      self.close();
+    }, 0);
+  };
 
-  setTimeout(() => {
-    self.close();
-  }, 0);
+  if (!opfsMount || !activeFS) {
+    postResult(null);
+    return;
+  }
+  opfsMount.sync(activeFS).then(
+    (summary) => postResult(summary),
+    (error) => {
+      appendStderrText(`opfs sync failed: ${formatError(error)}`);
+      postResult({ error: formatError(error) });
+    }
+  );
 }
 
 async function handleStart(message) {
@@ -475,9 +603,14 @@ async function handleStart(message) {
   let gpgScdaemonWasmUrl = typeof message.gpgScdaemonWasmUrl === 'string'
     ? message.gpgScdaemonWasmUrl
     : '';
+  const scdaemonReadyTimeoutMs = message.timeouts
+    && Number.isFinite(message.timeouts.scdaemonReady)
+    && message.timeouts.scdaemonReady >= 0
+    ? Number(message.timeouts.scdaemonReady)
+    : 12000;
   const homedir = normalizePath(message.homedir, '/gnupg');
   activeHomedir = homedir;
-  const incomingFsState = message.fsState && typeof message.fsState === 'object'
+  let incomingFsState = message.fsState && typeof message.fsState === 'object'
     ? message.fsState
     : null;
 
@@ -491,6 +624,23 @@ async function handleStart(message) {
     persistRoots.push(homedir);
   }
 
+  fsDeltaBase = message.fsDelta === true ? new Map() : null;
+
+  if (message.opfs && typeof message.opfs === 'object') {
+    try {
+      opfsMount = await prepareOpfsMount(message.opfs);
+      persistRoots = self.GnupgOpfsMount.filterRoots(persistRoots, opfsMount.mountpoints);
+      incomingFsState = self.GnupgOpfsMount.filterFsState(incomingFsState, opfsMount.mountpoints);
+      postDebug('opfs.prepared', {
+        mountpoints: opfsMount.mountpoints,
+        mode: opfsMount.mode,
+      });
+    } catch (error) {
+      opfsMount = null;
+      appendStderrText(`opfs mount unavailable (${formatError(error)}); using fs state snapshots`);
+    }
+  }
+
   if (!gpgAgentScriptUrl) {
     finish(2, 'missing gpgAgentScriptUrl');
     return;
@@ -659,14 +809,16 @@ async function handleStart(message) {
       async awaitReady(timeoutMs) {
         let timeoutId = null;
         const timeoutPromise = new Promise((resolve) => {
-          timeoutId = setTimeout(() => resolve(false), timeoutMs);
+          if (timeoutMs > 0) {
+            timeoutId = setTimeout(() => resolve(null), timeoutMs);
+          }
         });
         try {
           const ready = await Promise.race([readyPromise, timeoutPromise]);
           if (timeoutId !== null) {
             clearTimeout(timeoutId);
           }
-          return Boolean(ready);
+          return ready === null ? null : Boolean(ready);
         } catch {
           if (timeoutId !== null) {
             clearTimeout(timeoutId);
@@ -703,15 +855,20 @@ async function handleStart(message) {
 
   try {
     scdaemonBridge = createScdaemonBridge();
-    const scdReady = await scdaemonBridge.awaitReady(12000);
+    const scdReady = await scdaemonBridge.awaitReady(scdaemonReadyTimeoutMs);
     postDebug('scdaemon.ready', {
       scdReady,
       gpgScdaemonWorkerUrl,
       gpgScdaemonScriptUrl,
       gpgScdaemonWasmUrl,
     });
+    if (scdReady === null) {
+      postMessage({ type: 'timeout', phase: 'scdaemonReady', timeoutMs: scdaemonReadyTimeoutMs });
+      finish(2, `scdaemon worker did not report ready within ${scdaemonReadyTimeoutMs}ms`);
+      return;
+    }
     if (!scdReady) {
-      finish(2, 'scdaemon worker did not report ready within timeout');
+      finish(2, 'scdaemon worker failed before reporting ready');
       return;
     }
   } catch (error) {
@@ -882,7 +1039,10 @@ async function handleStart(message) {
   });
 
         if (incomingFsState) {
-          restoreFsState(FS, incomingFsState);
+          restoreFsState(FS, incomingFsState, fsDeltaBase);
+        }
+        if (opfsMount) {
+          postDebug('prerun.opfs-attached', opfsMount.attach(FS));
         }
 
         for (const root of persistRoots) {
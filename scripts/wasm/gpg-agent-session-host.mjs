@@ -0,0 +1,97 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import process from 'node:process';
+import vm from 'node:vm';
+
+const launcher = path.resolve(process.argv[2] || '');
+
+let resolveRuntime;
+let rejectRuntime;
+const runtimeReady = new Promise((resolve, reject) => {
+  resolveRuntime = resolve;
+  rejectRuntime = reject;
+});
+runtimeReady.catch(() => null);
+
+function send(message) {
+  return new Promise((resolve) => {
+    process.send(message, () => resolve());
+  });
+}
+
+function formatError(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+function loadLauncher() {
+  globalThis.Module = {
+    arguments: [],
+    thisProgram: launcher,
+    noInitialRun: true,
+    noExitRuntime: true,
+    onRuntimeInitialized: () => resolveRuntime(),
+    onAbort: (what) => rejectRuntime(new Error(`gpg-agent runtime aborted: ${formatError(what)}`)),
+  };
+  globalThis.require = createRequire(launcher);
+  globalThis.__filename = launcher;
+  globalThis.__dirname = path.dirname(launcher);
+  vm.runInThisContext(readFileSync(launcher, 'utf8'), { filename: launcher });
+}
+
+function callAgentMain(args) {
+  if (typeof globalThis.callMain === 'function') {
+    return globalThis.callMain(args);
+  }
+  if (globalThis.Module && typeof globalThis.Module.callMain === 'function') {
+    return globalThis.Module.callMain(args);
+  }
+  throw new Error('callMain is not available for gpg-agent session host');
+}
+
+process.on('message', async (message) => {
+  if (!message || typeof message !== 'object') {
+    return;
+  }
+  if (message.type === 'shutdown') {
+    process.exit(0);
+  }
+  if (message.type !== 'run-session') {
+    return;
+  }
+
+  const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
+  try {
+    await runtimeReady;
+  } catch (error) {
+    await send({ type: 'error', sessionId, message: formatError(error) });
+    return;
+  }
+
+  /* gpg-agent --server reads stdin synchronously until gpg sends BYE, so
+     the ready message has to be flushed before main() takes over.  */
+  await send({ type: 'session-ready', sessionId });
+
+  let exitCode = 0;
+  let error = '';
+  try {
+    const rc = callAgentMain(['--server', '--homedir', String(message.homedir || '')]);
+    exitCode = Number.isFinite(rc) ? rc : 0;
+    error = 'callMain returned';
+  } catch (caught) {
+    if (caught && Number.isFinite(caught.status)) {
+      exitCode = Number(caught.status);
+      error = 'callMain exit status';
+    } else {
+      exitCode = 1;
+      error = formatError(caught);
+    }
+  }
+  await send({ type: 'session-result', sessionId, exitCode, error });
+});
+
+try {
+  loadLauncher();
+} catch (error) {
+  rejectRuntime(error);
+}
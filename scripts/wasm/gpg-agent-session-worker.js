@@ -1,5 +1,8 @@
 /* eslint-env worker */
 
+importScripts(new URL('./gpg-fs-hash.js', self.location.href).toString());
+const { hashFsBytes } = self.GnupgFsHash;
+
 let activeFS = null;
 let activeBridge = null;
 let activeScdaemonBridge = null;
@@ -7,7 +10,12 @@ let activeHomedir = '/gnupg';
 let activePersistRoots = [];
 let activeSessionId = '';
 let activeStderrBuffer = [];
+let activeOpfsMount = null;
+let activeFsDeltaBase = null;
 let sessionRunning = false;
+let sessionCancelled = false;
+let sessionSettled = Promise.resolve();
+let settleSession = () => {};
 
 const runtimeState = {
   bootPromise: null,
@@ -163,7 +171,7 @@ function decodeBase64(base64Text) {
   return out;
 }
 
-function restoreFsState(FS, state) {
+function restoreFsState(FS, state, index = null) {
   if (!state || typeof state !== 'object') {
     return;
   }
@@ -177,6 +185,9 @@ function restoreFsState(FS, state) {
     }
     const path = normalizePath(entry.path, '/');
     ensureDirectory(FS, path);
+    if (index) {
+      index.set(path, { kind: 'dir', mode: normalizeMode(entry.mode, 0o700) });
+    }
     try {
       FS.chmod(path, normalizeMode(entry.mode, 0o700));
     } catch {
@@ -195,6 +206,13 @@ function restoreFsState(FS, state) {
     ensureDirectory(FS, parentDirectory(path));
     const bytes = decodeBase64(typeof entry.data === 'string' ? entry.data : '');
     FS.writeFile(path, bytes);
+    if (index) {
+      index.set(path, {
+        kind: 'file',
+        mode: normalizeMode(entry.mode, 0o600),
+        hash: hashFsBytes(bytes),
+      });
+    }
     try {
       FS.chmod(path, normalizeMode(entry.mode, 0o600));
     } catch {
@@ -203,13 +221,8 @@ function restoreFsState(FS, state) {
   }
 }
 
-function captureFsState(FS, roots) {
-  if (!FS || !roots.length) {
-    return null;
-  }
 
-  const dirs = [];
-  const files = [];
+function walkFsRoots(FS, roots, visit) {
   const seen = new Set();
 
   const walk = (path) => {
@@ -220,10 +233,8 @@ function captureFsState(FS, roots) {
 
     const stat = FS.stat(path);
     if (FS.isDir(stat.mode)) {
-      dirs.push({
-        path,
-        mode: normalizeMode(stat.mode, 0o700),
-      });
+      visit(path, 'dir', stat);
+
       const names = FS.readdir(path);
       for (const name of names) {
         if (name === '.' || name === '..') {
@@ -236,12 +247,7 @@ function captureFsState(FS, roots) {
     }
 
     if (FS.isFile(stat.mode)) {
-      const bytes = FS.readFile(path, { encoding: 'binary' });
-      files.push({
-        path,
-        mode: normalizeMode(stat.mode, 0o600),
-        data: encodeBase64(bytes),
-      });
+      visit(path, 'file', stat);
     }
   };
 
@@ -253,6 +259,32 @@ function captureFsState(FS, roots) {
     }
     walk(root);
   }
+}
+
+function captureFsState(FS, roots) {
+  if (!FS || !roots.length) {
+    return null;
+  }
+
+  const dirs = [];
+  const files = [];
+
+  walkFsRoots(FS, roots, (path, kind, stat) => {
+    if (kind === 'dir') {
+      dirs.push({
+        path,
+        mode: normalizeMode(stat.mode, 0o700),
+      });
+      return;
+    }
+    const bytes = FS.readFile(path, { encoding: 'binary' });
+    files.push({
+      path,
+      mode: normalizeMode(stat.mode, 0o600),
+      data: encodeBase64(bytes),
+      hash: hashFsBytes(bytes),
+    });
+  });
 
   dirs.sort((a, b) => a.path.localeCompare(b.path));
   files.sort((a, b) => a.path.localeCompare(b.path));
@@ -265,6 +297,70 @@ function captureFsState(FS, roots) {
   };
 }
 
+function captureFsDelta(FS, roots, baseIndex) {
+  if (!FS || !roots.length) {
+    return null;
+  }
+
+  const dirs = [];
+  const files = [];
+  const changed = {
+    created: [],
+    modified: [],
+    deleted: [],
+  };
+  const present = new Set();
+
+  walkFsRoots(FS, roots, (path, kind, stat) => {
+    present.add(path);
+    const base = baseIndex.get(path);
+    if (kind === 'dir') {
+      const mode = normalizeMode(stat.mode, 0o700);
+      if (base && base.kind === 'dir' && base.mode === mode) {
+        return;
+      }
+      dirs.push({ path, mode });
+      (base ? changed.modified : changed.created).push(path);
+      return;
+    }
+    const mode = normalizeMode(stat.mode, 0o600);
+    const bytes = FS.readFile(path, { encoding: 'binary' });
+    const hash = hashFsBytes(bytes);
+    if (base && base.kind === 'file' && base.mode === mode && base.hash === hash) {
+      return;
+    }
+    files.push({
+      path,
+      mode,
+      data: encodeBase64(bytes),
+      hash,
+    });
+    (base ? changed.modified : changed.created).push(path);
+  });
+
+  for (const path of baseIndex.keys()) {
+    if (!present.has(path)) {
+      changed.deleted.push(path);
+    }
+  }
+
+  dirs.sort((a, b) => a.path.localeCompare(b.path));
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  for (const list of Object.values(changed)) {
+    list.sort((a, b) => a.localeCompare(b));
+  }
+
+  return {
+    version: 1,
+    delta: true,
+    roots: roots.slice(),
+    dirs,
+    files,
+    deleted: changed.deleted.slice(),
+    changed,
+  };
+}
+
 function createSharedQueue(desc) {
   if (!desc || !desc.meta || !desc.data) {
     throw new Error('invalid shared queue descriptor');
@@ -384,6 +480,22 @@ function writeStderrByte(ch) {
   }
 }
 
+function appendStderrText(text) {
+  for (const byte of new TextEncoder().encode(`${text}\n`)) {
+    writeStderrByte(byte);
+  }
+}
+
+async function prepareOpfsMount(config) {
+  if (!self.GnupgOpfsMount) {
+    if (typeof config.scriptUrl !== 'string' || !config.scriptUrl) {
+      throw new Error('missing opfs mount script url');
+    }
+    importScripts(config.scriptUrl);
+  }
+  return self.GnupgOpfsMount.prepare(config);
+}
+
 function callMainWith(args) {
   if (typeof self.callMain === 'function') {
     return self.callMain(args);
@@ -570,46 +682,74 @@ async function ensureRuntime(gpgAgentScriptUrl, gpgAgentWasmUrl) {
 }
 
 function finishSession(sessionId, exitCode, errorMessage) {
-  const stderrText = new TextDecoder().decode(new Uint8Array(activeStderrBuffer));
-  const fsState = captureFsState(activeFS, activePersistRoots);
-  const result = {
-    type: 'session-result',
-    sessionId,
-    exitCode: Number.isFinite(exitCode) ? exitCode : 1,
-    error: errorMessage ? String(errorMessage) : '',
-    stderr: stderrText,
-    fsState,
-    bridgeMetrics: { ...bridgeMetrics },
-    bridgeState: activeBridge
-      ? {
-          gpgToAgent: summarizeQueue(activeBridge.gpgToAgent),
-          agentToGpg: summarizeQueue(activeBridge.agentToGpg),
-        }
-      : null,
-  };
+  let fsState = activeFsDeltaBase
+    ? captureFsDelta(activeFS, activePersistRoots, activeFsDeltaBase)
+    : captureFsState(activeFS, activePersistRoots);
+  activeFsDeltaBase = null;
+  const opfsMount = activeOpfsMount;
+  activeOpfsMount = null;
+  if (opfsMount) {
+    fsState = self.GnupgOpfsMount.filterFsState(fsState, opfsMount.mountpoints);
+  }
 
-  postDebug('session.finish', {
-    sessionId,
-    exitCode: result.exitCode,
-    error: result.error,
-    bridgeMetrics: result.bridgeMetrics,
-    bridgeState: result.bridgeState,
-  });
-  postMessage(result);
+  const complete = (opfsInfo) => {
+    if (opfsMount && activeFS) {
+      opfsMount.detach(activeFS);
+    }
+    const result = {
+      type: 'session-result',
+      sessionId,
+      exitCode: Number.isFinite(exitCode) ? exitCode : 1,
+      error: errorMessage ? String(errorMessage) : '',
+      stderr: new TextDecoder().decode(new Uint8Array(activeStderrBuffer)),
+      fsState,
+      opfs: opfsInfo,
+      bridgeMetrics: { ...bridgeMetrics },
+      bridgeState: activeBridge
+        ? {
+            gpgToAgent: summarizeQueue(activeBridge.gpgToAgent),
+            agentToGpg: summarizeQueue(activeBridge.agentToGpg),
+          }
+        : null,
+    };
 
-  if (activeBridge) {
-    queueClose(activeBridge.gpgToAgent);
-    queueClose(activeBridge.agentToGpg);
-  }
-  if (activeScdaemonBridge) {
-    void activeScdaemonBridge.shutdownAndWait(300).catch(() => null);
+    postDebug('session.finish', {
+      sessionId,
+      exitCode: result.exitCode,
+      error: result.error,
+      bridgeMetrics: result.bridgeMetrics,
+      bridgeState: result.bridgeState,
+    });
+    postMessage(result);
+
+    if (activeBridge) {
+      queueClose(activeBridge.gpgToAgent);
+      queueClose(activeBridge.agentToGpg);
+    }
+    if (activeScdaemonBridge) {
+      void activeScdaemonBridge.shutdownAndWait(300).catch(() => null);
+    }
+    activeBridge = null;
+    activeScdaemonBridge = null;
+    activeSessionId = '';
+    activeStderrBuffer = [];
+    bridgeMetrics = createBridgeMetrics();
+    sessionRunning = false;
+    sessionCancelled = false;
+    settleSession();
+  };
+
+  if (!opfsMount || !activeFS) {
+    complete(null);
+    return;
   }
-  activeBridge = null;
-  activeScdaemonBridge = null;
-  activeSessionId = '';
-  activeStderrBuffer = [];
-  bridgeMetrics = createBridgeMetrics();
-  sessionRunning = false;
+  opfsMount.sync(activeFS).then(
+    (summary) => complete(summary),
+    (error) => {
+      appendStderrText(`opfs sync failed: ${formatError(error)}`);
+      complete({ error: formatError(error) });
+    }
+  );
 }
 
 async function handleRunSession(message) {
@@ -617,6 +757,10 @@ async function handleRunSession(message) {
     ? message.sessionId
     : `agent-session-${Date.now()}`;
 
+  if (sessionRunning && sessionCancelled) {
+    /* A cancelled session is already draining; start once it has finished. */
+    await sessionSettled;
+  }
   if (sessionRunning) {
     postError('agent session worker is already handling a session', sessionId);
     postMessage({
@@ -673,6 +817,9 @@ async function handleRunSession(message) {
   }
 
   sessionRunning = true;
+  sessionSettled = new Promise((resolve) => {
+    settleSession = resolve;
+  });
   activeSessionId = sessionId;
   activeBridge = bridge;
   bridgeMetrics = createBridgeMetrics();
@@ -689,7 +836,12 @@ async function handleRunSession(message) {
   let gpgScdaemonWasmUrl = typeof message.gpgScdaemonWasmUrl === 'string'
     ? message.gpgScdaemonWasmUrl
     : '';
-  const incomingFsState = message.fsState && typeof message.fsState === 'object'
+  const scdaemonReadyTimeoutMs = message.timeouts
+    && Number.isFinite(message.timeouts.scdaemonReady)
+    && message.timeouts.scdaemonReady >= 0
+    ? Number(message.timeouts.scdaemonReady)
+    : 12000;
+  let incomingFsState = message.fsState && typeof message.fsState === 'object'
     ? message.fsState
     : null;
 
@@ -712,6 +864,24 @@ async function handleRunSession(message) {
     activePersistRoots.push(homedir);
   }
 
+  activeFsDeltaBase = message.fsDelta === true ? new Map() : null;
+
+  if (message.opfs && typeof message.opfs === 'object') {
+    try {
+      activeOpfsMount = await prepareOpfsMount(message.opfs);
+      activePersistRoots = self.GnupgOpfsMount.filterRoots(activePersistRoots, activeOpfsMount.mountpoints);
+      incomingFsState = self.GnupgOpfsMount.filterFsState(incomingFsState, activeOpfsMount.mountpoints);
+      postDebug('session.opfs-prepared', {
+        sessionId,
+        mountpoints: activeOpfsMount.mountpoints,
+        mode: activeOpfsMount.mode,
+      });
+    } catch (error) {
+      activeOpfsMount = null;
+      appendStderrText(`opfs mount unavailable (${formatError(error)}); using fs state snapshots`);
+    }
+  }
+
   postDebug('session.start', {
     sessionId,
     homedir,
@@ -849,14 +1019,16 @@ async function handleRunSession(message) {
       async awaitReady(timeoutMs) {
         let timeoutId = null;
         const timeoutPromise = new Promise((resolve) => {
-          timeoutId = setTimeout(() => resolve(false), timeoutMs);
+          if (timeoutMs > 0) {
+            timeoutId = setTimeout(() => resolve(null), timeoutMs);
+          }
         });
         try {
           const ready = await Promise.race([readyPromise, timeoutPromise]);
           if (timeoutId !== null) {
             clearTimeout(timeoutId);
           }
-          return Boolean(ready);
+          return ready === null ? null : Boolean(ready);
         } catch {
           if (timeoutId !== null) {
             clearTimeout(timeoutId);
@@ -893,7 +1065,7 @@ async function handleRunSession(message) {
 
   try {
     activeScdaemonBridge = createScdaemonBridge();
-    const scdReady = await activeScdaemonBridge.awaitReady(12000);
+    const scdReady = await activeScdaemonBridge.awaitReady(scdaemonReadyTimeoutMs);
     postDebug('scdaemon.ready', {
       sessionId,
       scdReady,
@@ -901,8 +1073,13 @@ async function handleRunSession(message) {
       gpgScdaemonScriptUrl,
       gpgScdaemonWasmUrl,
     });
+    if (scdReady === null) {
+      postMessage({ type: 'timeout', sessionId, phase: 'scdaemonReady', timeoutMs: scdaemonReadyTimeoutMs });
+      finishSession(sessionId, 2, `scdaemon worker did not report ready within ${scdaemonReadyTimeoutMs}ms`);
+      return;
+    }
     if (!scdReady) {
-      finishSession(sessionId, 2, 'scdaemon worker did not report ready within timeout');
+      finishSession(sessionId, 2, 'scdaemon worker failed before reporting ready');
       return;
     }
   } catch (error) {
@@ -912,7 +1089,13 @@ async function handleRunSession(message) {
 
   try {
     if (incomingFsState) {
-      restoreFsState(activeFS, incomingFsState);
+      restoreFsState(activeFS, incomingFsState, activeFsDeltaBase);
+    }
+    if (activeOpfsMount) {
+      postDebug('session.opfs-attached', {
+        sessionId,
+        ...activeOpfsMount.attach(activeFS),
+      });
     }
     for (const root of activePersistRoots) {
       ensureDirectory(activeFS, root);
@@ -1040,6 +1223,16 @@ self.addEventListener('message', (event) => {
     return;
   }
 
+  if (message.type === 'session-cancel') {
+    if (sessionRunning && message.sessionId === activeSessionId && activeBridge) {
+      sessionCancelled = true;
+      postDebug('session.cancel', { sessionId: activeSessionId });
+      queueClose(activeBridge.gpgToAgent);
+      queueClose(activeBridge.agentToGpg);
+    }
+    return;
+  }
+
   if (message.type === 'shutdown') {
     if (activeBridge) {
       queueClose(activeBridge.gpgToAgent);
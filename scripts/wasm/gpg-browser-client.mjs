@@ -1,3 +1,26 @@
+import {
+  decodeStatusField,
+  parseStatusEvent,
+  parseStatusEvents,
+  parseStatusLine,
+} from './gpg-status-events.mjs';
+import { parseColonListing } from './gpg-colon-listing.mjs';
+import { createRunScheduler, inferRunAccess } from './gpg-run-scheduler.mjs';
+import { createIndexedDbStorage } from './gpg-indexeddb-storage.mjs';
+import { createFsStateSealer, isSealedFsState } from './gpg-fs-state-seal.mjs';
+import { fsStateToTar, tarToFsState } from './gpg-homedir-archive.mjs';
+import { createHomedirSync, homedirSyncKey } from './gpg-homedir-sync.mjs';
+import { createPassphraseCache } from './gpg-passphrase-cache.mjs';
+import { createEditKeySession } from './gpg-edit-key.mjs';
+import { createRunHandle } from './gpg-run-handle.mjs';
+import { OPERATION_SCRATCH_PREFIX, createTranscriptRecorder } from './gpg-run-transcript.mjs';
+import {
+  FS_STATE_VERSION,
+  fsStateVersion,
+  migrateFsState,
+  validateFsState,
+} from './gpg-fs-state-schema.mjs';
+
 function toUrlString(value, baseUrl) {
   if (!value) {
     return '';
@@ -34,43 +57,11 @@ function normalizePinentryReply(reply) {
       typeof reply.passphrase === 'string'
         ? reply.passphrase
         : String(reply.passphrase ?? ''),
+    cache: reply.cache !== false,
+    ttlMs: Number.isFinite(reply.ttlMs) ? Number(reply.ttlMs) : null,
   };
 }
 
-function parseStatusLine(line) {
-  const text = String(line ?? '').trim();
-  if (!text) {
-    return {
-      keyword: '',
-      payload: '',
-    };
-  }
-  const idx = text.indexOf(' ');
-  if (idx === -1) {
-    return {
-      keyword: text,
-      payload: '',
-    };
-  }
-  return {
-    keyword: text.slice(0, idx),
-    payload: text.slice(idx + 1).trimStart(),
-  };
-}
-
-function decodeStatusField(text) {
-  const raw = String(text ?? '');
-  if (!raw) {
-    return '';
-  }
-  const plusAsSpace = raw.replace(/\+/g, ' ');
-  try {
-    return decodeURIComponent(plusAsSpace);
-  } catch {
-    return plusAsSpace;
-  }
-}
-
 function includesAnyOption(args, optionNames) {
   for (const arg of args) {
     for (const optionName of optionNames) {
@@ -97,10 +88,28 @@ function findOptionValue(args, optionNames) {
   return '';
 }
 
+const KEY_COMMAND_OPERATIONS = [
+  ['--quick-add-uid', 'add-uid'],
+  ['--quick-adduid', 'add-uid'],
+  ['--quick-revoke-uid', 'revoke-uid'],
+  ['--quick-revuid', 'revoke-uid'],
+  ['--quick-add-key', 'add-key'],
+  ['--quick-addkey', 'add-key'],
+  ['--quick-set-expire', 'set-expire'],
+  ['--quick-set-primary-uid', 'set-primary-uid'],
+  ['--quick-revoke-sig', 'revoke-sig'],
+  ['--gen-revoke', 'revoke'],
+  ['--generate-revocation', 'revoke'],
+];
+
 function inferPinentryOperation(args) {
   if (includesAnyOption(args, ['--quick-generate-key', '--quick-gen-key', '--generate-key', '--gen-key', '--full-generate-key'])) {
     return 'generate-key';
   }
+  const command = KEY_COMMAND_OPERATIONS.find(([name]) => args.includes(name));
+  if (command) {
+    return command[1];
+  }
   if (includesAnyOption(args, ['--sign', '--clearsign', '--detach-sign'])) {
     return 'sign';
   }
@@ -122,7 +131,8 @@ function inferPinentryHints(args, pinentryRequest) {
     || findOptionValue(args, ['--local-user', '--default-key']);
   const keyHint =
     (typeof request.keyHint === 'string' && request.keyHint)
-    || findOptionValue(args, ['--default-key', '--local-user']);
+    || findOptionValue(args, ['--default-key', '--local-user'])
+    || findOptionValue(args, KEY_COMMAND_OPERATIONS.map(([name]) => name));
   return {
     op:
       (typeof request.op === 'string' && request.op)
@@ -277,6 +287,76 @@ function queueCloseDescriptor(desc) {
   Atomics.notify(ctrl, 3);
 }
 
+function normalizeConfirmReply(reply) {
+  if (reply === true || reply === false) {
+    return { text: reply ? 'y\n' : 'n\n', eof: false };
+  }
+  if (typeof reply === 'string' && /^(?:y|yes|n|no)$/i.test(reply.trim())) {
+    return { text: /^y/i.test(reply.trim()) ? 'y\n' : 'n\n', eof: false };
+  }
+  return { text: '', eof: true };
+}
+
+function normalizeLineReply(reply) {
+  if (reply === null || reply === undefined) {
+    return { text: '', eof: true };
+  }
+  const normalized = normalizeStdinReply(reply);
+  if (normalized.eof) {
+    return normalized;
+  }
+  return {
+    text: `${normalized.text.split('\n')[0].replace(/\r$/, '')}\n`,
+    eof: false,
+  };
+}
+
+function normalizeStdinSource(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    return { stream: value.stream() };
+  }
+  if (typeof ReadableStream !== 'undefined' && value instanceof ReadableStream) {
+    return { stream: value };
+  }
+  return { bytes: toBytes(value) };
+}
+
+async function queuePushBytesAsync(queue, bytes, isCancelled) {
+  let offset = 0;
+  while (offset < bytes.length) {
+    if (isCancelled()) {
+      return false;
+    }
+    while (offset < bytes.length && queuePushByte(queue, bytes[offset], false)) {
+      offset += 1;
+    }
+    if (offset < bytes.length) {
+      if (Atomics.load(queue.ctrl, 2) !== 0) {
+        return false;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+  return true;
+}
+
+function concatBytes(chunks) {
+  let total = 0;
+  for (const chunk of chunks) {
+    total += chunk.length;
+  }
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
 function normalizePath(pathValue, fallback) {
   let value = typeof pathValue === 'string' ? pathValue.trim() : '';
   if (!value) {
@@ -345,6 +425,7 @@ function mergeFsStates(baseState, overlayState) {
       path,
       mode: normalizeMode(entry.mode, 0o600),
       data: typeof entry.data === 'string' ? entry.data : '',
+      ...(typeof entry.hash === 'string' && entry.hash ? { hash: entry.hash } : {}),
     });
   }
 
@@ -356,191 +437,959 @@ function mergeFsStates(baseState, overlayState) {
   };
 }
 
-export class WasmGpgBrowserClient {
-  constructor(config = {}) {
-    const baseUrl = import.meta.url;
-
-    this.workerUrl = config.workerUrl || new URL('./gpg-browser-worker.js', baseUrl);
-    this.gpgScriptUrl = toUrlString(config.gpgScriptUrl, baseUrl);
-    this.gpgWasmUrl = toUrlString(config.gpgWasmUrl, baseUrl);
-    this.gpgAgentWorkerUrl = config.gpgAgentWorkerUrl
-      ? toUrlString(config.gpgAgentWorkerUrl, baseUrl)
-      : toUrlString(new URL('./gpg-agent-server-worker.js', baseUrl), baseUrl);
-    this.gpgScdaemonWorkerUrl = config.gpgScdaemonWorkerUrl
-      ? toUrlString(config.gpgScdaemonWorkerUrl, baseUrl)
-      : toUrlString(new URL('./gpg-scdaemon-server-worker.js', baseUrl), baseUrl);
-    this.gpgDirmngrWorkerUrl = config.gpgDirmngrWorkerUrl
-      ? toUrlString(config.gpgDirmngrWorkerUrl, baseUrl)
-      : toUrlString(new URL('./gpg-dirmngr-fetch-worker.js', baseUrl), baseUrl);
-    this.gpgAgentSessionWorkerUrl = config.gpgAgentSessionWorkerUrl
-      ? toUrlString(config.gpgAgentSessionWorkerUrl, baseUrl)
-      : toUrlString(new URL('./gpg-agent-session-worker.js', baseUrl), baseUrl);
-    this.gpgAgentScriptUrl = toUrlString(config.gpgAgentScriptUrl, baseUrl);
-    this.gpgAgentWasmUrl = toUrlString(config.gpgAgentWasmUrl, baseUrl);
-    this.gpgScdaemonScriptUrl = toUrlString(config.gpgScdaemonScriptUrl, baseUrl);
-    this.gpgScdaemonWasmUrl = toUrlString(config.gpgScdaemonWasmUrl, baseUrl);
-    this.homedir = typeof config.homedir === 'string' && config.homedir
-      ? config.homedir
-      : '/gnupg';
-    this.emitStatusByDefault = config.emitStatusByDefault !== false;
-    this.persistRoots = normalizeStringArray(config.persistRoots);
-    this.persistentAgentRuntime = config.persistentAgentRuntime !== false;
-
-    this._runInProgress = false;
-    this._agentSessionWorker = null;
-    this._agentSessionWorkerKey = '';
-    this._agentSessionNextId = 0;
-    this._agentSessions = new Map();
-    this._agentSessionCallbacks = {
-      onDebug: null,
-      onStderr: null,
-    };
+function mergeFsDeltas(baseDelta, overlayDelta) {
+  if (!baseDelta || !overlayDelta) {
+    return baseDelta || overlayDelta || null;
   }
 
-  _buildAgentSessionWorkerKey() {
-    return [
-      this.gpgAgentSessionWorkerUrl,
-      this.gpgAgentScriptUrl,
-      this.gpgAgentWasmUrl,
-      this.gpgScdaemonWorkerUrl,
-      this.gpgScdaemonScriptUrl,
-      this.gpgScdaemonWasmUrl,
-      this.homedir,
-    ].join('\n');
+  const merged = mergeFsStates(baseDelta, overlayDelta);
+  const overlayDeleted = new Set(Array.isArray(overlayDelta.deleted) ? overlayDelta.deleted : []);
+  const overlayPaths = new Set([
+    ...(overlayDelta.dirs || []).map((entry) => entry.path),
+    ...(overlayDelta.files || []).map((entry) => entry.path),
+  ]);
+  const deleted = new Set(overlayDeleted);
+  for (const path of Array.isArray(baseDelta.deleted) ? baseDelta.deleted : []) {
+    if (!overlayPaths.has(path)) {
+      deleted.add(path);
+    }
   }
 
-  _rejectPendingAgentSessions(errorText) {
-    const error = new Error(errorText || 'agent session worker stopped');
-    for (const pending of this._agentSessions.values()) {
-      if (pending && typeof pending.rejectReady === 'function') {
-        pending.rejectReady(error);
-      }
-      if (pending && typeof pending.rejectResult === 'function') {
-        pending.rejectResult(error);
+  const labels = new Map();
+  for (const delta of [baseDelta, overlayDelta]) {
+    const changed = delta.changed && typeof delta.changed === 'object' ? delta.changed : {};
+    for (const label of ['created', 'modified', 'deleted']) {
+      for (const path of Array.isArray(changed[label]) ? changed[label] : []) {
+        labels.set(path, label);
       }
     }
-    this._agentSessions.clear();
+  }
+  const changed = {
+    created: [],
+    modified: [],
+    deleted: [],
+  };
+  for (const [path, label] of Array.from(labels.entries()).sort((a, b) => a[0].localeCompare(b[0]))) {
+    changed[label].push(path);
   }
 
-  _teardownAgentSessionWorker(errorText) {
-    if (this._agentSessionWorker) {
-      try {
-        this._agentSessionWorker.postMessage({ type: 'shutdown' });
-      } catch {
-        /* Best effort only. */
-      }
-      this._agentSessionWorker.terminate();
-      this._agentSessionWorker = null;
-    }
-    this._agentSessionWorkerKey = '';
-    this._rejectPendingAgentSessions(errorText || 'agent session worker torn down');
+  return {
+    ...merged,
+    dirs: merged.dirs.filter((entry) => !overlayDeleted.has(entry.path)),
+    files: merged.files.filter((entry) => !overlayDeleted.has(entry.path)),
+    delta: true,
+    deleted: Array.from(deleted).sort((a, b) => a.localeCompare(b)),
+    changed,
+  };
+}
+
+export function applyFsDelta(baseState, delta) {
+  if (!delta || typeof delta !== 'object' || delta.delta !== true) {
+    return delta || baseState || null;
   }
 
-  _ensureAgentSessionWorker(onDebug, onStderr) {
-    this._agentSessionCallbacks = {
-      onDebug: typeof onDebug === 'function' ? onDebug : null,
-      onStderr: typeof onStderr === 'function' ? onStderr : null,
-    };
+  const deleted = new Set(
+    (Array.isArray(delta.deleted) ? delta.deleted : []).map((path) => normalizePath(path, '/'))
+  );
+  const keep = (entry) => entry && typeof entry.path === 'string' && !deleted.has(normalizePath(entry.path, '/'));
+  const base = baseState && typeof baseState === 'object' ? baseState : {};
+  const merged = mergeFsStates(
+    {
+      version: 1,
+      roots: Array.isArray(base.roots) ? base.roots : [],
+      dirs: (Array.isArray(base.dirs) ? base.dirs : []).filter(keep),
+      files: (Array.isArray(base.files) ? base.files : []).filter(keep),
+    },
+    {
+      version: 1,
+      roots: Array.isArray(delta.roots) ? delta.roots : [],
+      dirs: Array.isArray(delta.dirs) ? delta.dirs : [],
+      files: Array.isArray(delta.files) ? delta.files : [],
+    },
+  );
+  return merged;
+}
 
-    if (!this.persistentAgentRuntime) {
-      return null;
+function diffFsStates(baseState, nextState) {
+  const index = (state) => {
+    const entries = new Map();
+    for (const entry of Array.isArray(state && state.dirs) ? state.dirs : []) {
+      entries.set(entry.path, `d:${entry.mode}`);
     }
-    if (!this.gpgAgentScriptUrl) {
-      return null;
+    for (const entry of Array.isArray(state && state.files) ? state.files : []) {
+      entries.set(entry.path, `f:${entry.mode}:${entry.data}`);
     }
-
-    const workerKey = this._buildAgentSessionWorkerKey();
-    if (this._agentSessionWorker) {
-      if (this._agentSessionWorkerKey === workerKey) {
-        return this._agentSessionWorker;
-      }
-      this._teardownAgentSessionWorker('agent session worker config changed');
+    return entries;
+  };
+  const before = index(baseState);
+  const after = index(nextState);
+  const changed = {
+    created: [],
+    modified: [],
+    deleted: [],
+  };
+  for (const [path, value] of after) {
+    if (!before.has(path)) {
+      changed.created.push(path);
+    } else if (before.get(path) !== value) {
+      changed.modified.push(path);
+    }
+  }
+  for (const path of before.keys()) {
+    if (!after.has(path)) {
+      changed.deleted.push(path);
     }
+  }
+  for (const list of Object.values(changed)) {
+    list.sort((a, b) => a.localeCompare(b));
+  }
+  return changed;
+}
 
-    const worker = new Worker(this.gpgAgentSessionWorkerUrl);
-    worker.addEventListener('message', (event) => {
-      const message = event.data;
-      if (!message || typeof message !== 'object') {
-        return;
-      }
+export class WasmGpgError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'WasmGpgError';
+    this.code = typeof options.code === 'string' && options.code ? options.code : 'gpg-error';
+  }
+}
 
-      if (message.type === 'debug') {
-        const step = typeof message.step === 'string' && message.step
-          ? `agent.session.${message.step}`
-          : 'agent.session.unknown';
-        safeInvoke(this._agentSessionCallbacks.onDebug, {
-          step,
-          data: message.data && typeof message.data === 'object' ? message.data : null,
-        });
-        return;
-      }
+export class WasmGpgOperationError extends WasmGpgError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'WasmGpgOperationError';
+    this.operation = typeof options.operation === 'string' ? options.operation : '';
+    this.exitCode = Number.isFinite(options.exitCode) ? Number(options.exitCode) : null;
+    this.statusLines = normalizeStringArray(options.statusLines);
+    this.stderrLines = normalizeStringArray(options.stderrLines);
+    this.fsState = options.fsState && typeof options.fsState === 'object' ? options.fsState : null;
+  }
+}
 
-      if (message.type === 'error') {
-        safeInvoke(this._agentSessionCallbacks.onStderr, `[agent] ${String(message.message || 'unknown session worker error')}`);
-        const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
-        if (sessionId && this._agentSessions.has(sessionId)) {
-          const pending = this._agentSessions.get(sessionId);
-          if (pending) {
-            const error = new Error(String(message.message || 'agent session worker error'));
-            pending.rejectReady(error);
-            pending.rejectResult(error);
-            this._agentSessions.delete(sessionId);
-          }
-        }
-        return;
-      }
+export class WasmGpgFsStateError extends WasmGpgError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'WasmGpgFsStateError';
+    this.version = Number.isFinite(options.version) ? Number(options.version) : null;
+    this.errors = Array.isArray(options.errors) ? options.errors : [];
+  }
+}
 
-      if (message.type === 'session-ready') {
-        const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
-        const pending = sessionId ? this._agentSessions.get(sessionId) : null;
-        if (pending) {
-          pending.resolveReady(true);
-        }
-        return;
-      }
+export class WasmGpgAbortError extends WasmGpgError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'aborted' });
+    this.name = 'AbortError';
+    this.stage = typeof options.stage === 'string' ? options.stage : '';
+    this.reason = options.reason;
+    this.stdoutLines = normalizeStringArray(options.stdoutLines);
+    this.stderrLines = normalizeStringArray(options.stderrLines);
+    this.statusLines = normalizeStringArray(options.statusLines);
+    this.stdoutBytes = options.stdoutBytes instanceof Uint8Array ? options.stdoutBytes : null;
+  }
+}
 
-      if (message.type === 'session-result') {
-        const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
-        const pending = sessionId ? this._agentSessions.get(sessionId) : null;
-        if (pending) {
-          pending.resolveResult(message);
-          this._agentSessions.delete(sessionId);
-        }
-      }
-    });
+const TIMEOUT_PHASES = {
+  agentReady: { code: 'agent-ready-timeout', defaultMs: 12000, text: 'gpg-agent did not become ready' },
+  scdaemonReady: { code: 'scdaemon-ready-timeout', defaultMs: 12000, text: 'scdaemon did not become ready' },
+  dirmngrReady: { code: 'dirmngr-ready-timeout', defaultMs: 8000, text: 'no dirmngr bridge became ready' },
+  agentResult: { code: 'agent-result-timeout', defaultMs: 6000, text: 'gpg-agent did not report its result' },
+  pinentry: { code: 'pinentry-timeout', defaultMs: 0, text: 'pinentry callback did not reply' },
+  run: { code: 'run-timeout', defaultMs: 30000, text: 'gpg run did not finish' },
+};
+
+const DEFAULT_TIMEOUTS = Object.fromEntries(
+  Object.entries(TIMEOUT_PHASES).map(([phase, entry]) => [phase, entry.defaultMs]),
+);
+
+export class WasmGpgTimeoutError extends WasmGpgError {
+  constructor(message, options = {}) {
+    const phase = TIMEOUT_PHASES[options.phase] ? options.phase : 'run';
+    super(message, { ...options, code: TIMEOUT_PHASES[phase].code });
+    this.name = 'TimeoutError';
+    this.phase = phase;
+    this.timeoutMs = Number.isFinite(options.timeoutMs) ? Number(options.timeoutMs) : null;
+    this.stdoutLines = normalizeStringArray(options.stdoutLines);
+    this.stderrLines = normalizeStringArray(options.stderrLines);
+    this.statusLines = normalizeStringArray(options.statusLines);
+    this.stdoutBytes = options.stdoutBytes instanceof Uint8Array ? options.stdoutBytes : null;
+  }
+}
 
-    worker.addEventListener('error', (event) => {
-      const message = event?.message || 'agent session worker failed';
-      safeInvoke(this._agentSessionCallbacks.onStderr, `[agent] ${message}`);
-      this._teardownAgentSessionWorker(message);
-    });
+function resolveTimeouts(base, overrides) {
+  const timeouts = { ...base };
+  if (overrides === undefined || overrides === null) {
+    return timeouts;
+  }
+  if (typeof overrides !== 'object') {
+    throw new WasmGpgError('timeouts must be an object', { code: 'invalid-argument' });
+  }
+  for (const [phase, value] of Object.entries(overrides)) {
+    if (!TIMEOUT_PHASES[phase]) {
+      throw new WasmGpgError(`unknown timeout phase: ${phase}`, { code: 'invalid-argument' });
+    }
+    if (value === undefined) {
+      continue;
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      throw new WasmGpgError(`timeouts.${phase} must be a non-negative number of milliseconds`, { code: 'invalid-argument' });
+    }
+    timeouts[phase] = Number(value);
+  }
+  return timeouts;
+}
 
-    this._agentSessionWorker = worker;
-    this._agentSessionWorkerKey = workerKey;
-    return worker;
+function createTimeoutError(phase, timeoutMs, partial = {}) {
+  const known = TIMEOUT_PHASES[phase] ? phase : 'run';
+  return new WasmGpgTimeoutError(`${TIMEOUT_PHASES[known].text} within ${timeoutMs}ms`, {
+    ...partial,
+    phase: known,
+    timeoutMs,
+  });
+}
+
+const RUN_TIMING_PHASES = [
+  'workerSpawn',
+  'launcherImport',
+  'wasmInstantiate',
+  'fsRestore',
+  'agentSessionReady',
+  'agentReady',
+  'dirmngrReady',
+  'callMain',
+  'fsCapture',
+  'agentResultMerge',
+];
+
+const RUN_TIMING_COUNTERS = [
+  'bytesRestored',
+  'filesRestored',
+  'bytesCaptured',
+  'filesCaptured',
+  'stdinQueueBytes',
+  'agentQueueBytes',
+  'dirmngrQueueBytes',
+];
+
+function roundMs(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function buildRunTimings(workerTimings, host) {
+  const source = workerTimings && typeof workerTimings === 'object' ? workerTimings : {};
+  const workerPhases = source.phases && typeof source.phases === 'object' ? source.phases : {};
+  const workerCounters = source.counters && typeof source.counters === 'object' ? source.counters : {};
+  const phases = {};
+  for (const name of RUN_TIMING_PHASES) {
+    const parts = [workerPhases[name], host.phases[name]].filter((value) => Number.isFinite(value));
+    phases[name] = parts.length ? roundMs(parts.reduce((sum, value) => sum + value, 0)) : null;
+  }
+  if (Number.isFinite(source.startedAt) && host.workerCreatedAt !== null) {
+    phases.workerSpawn = roundMs(Math.max(0, source.startedAt - host.workerCreatedAt));
+  }
+  const counters = {};
+  for (const name of RUN_TIMING_COUNTERS) {
+    counters[name] = Number.isFinite(workerCounters[name]) ? Number(workerCounters[name]) : null;
   }
+  counters.stdoutBytes = host.stdoutBytes;
+  return {
+    totalMs: roundMs(performance.now() - host.startedAt),
+    launcher: typeof source.launcher === 'string' ? source.launcher : null,
+    phases,
+    counters,
+  };
+}
 
-  async _startPersistentAgentSession(fsState, persistRoots) {
-    const worker = this._ensureAgentSessionWorker(
-      this._agentSessionCallbacks.onDebug,
-      this._agentSessionCallbacks.onStderr,
-    );
-    if (!worker) {
-      return null;
+function createAbortError(signal, stage, partial = {}) {
+  const reason = signal ? signal.reason : undefined;
+  const detail = reason instanceof Error && reason.message ? `: ${reason.message}` : '';
+  return new WasmGpgAbortError(`gpg run aborted (${stage})${detail}`, {
+    stage,
+    reason,
+    stdoutLines: partial.stdoutLines,
+    stderrLines: partial.stderrLines,
+    statusLines: partial.statusLines,
+    stdoutBytes: partial.stdoutBytes,
+  });
+}
+
+const OPERATION_FAILURE_CODES = [
+  ['BAD_PASSPHRASE', 'bad-passphrase'],
+  ['MISSING_PASSPHRASE', 'missing-passphrase'],
+  ['NO_SECKEY', 'no-secret-key'],
+  ['NO_PUBKEY', 'no-public-key'],
+  ['INV_RECP', 'invalid-recipient'],
+  ['NO_RECP', 'invalid-recipient'],
+  ['INV_SGNR', 'invalid-signer'],
+  ['NO_SGNR', 'invalid-signer'],
+  ['DECRYPTION_FAILED', 'decryption-failed'],
+  ['BADARMOR', 'bad-armor'],
+  ['NODATA', 'no-data'],
+];
+
+let operationScratchCounter = 0;
+
+function encodeBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x4000;
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    const chunk = bytes.subarray(i, i + chunkSize);
+    let part = '';
+    for (let j = 0; j < chunk.length; j += 1) {
+      part += String.fromCharCode(chunk[j]);
     }
+    binary += part;
+  }
 
-    const sessionId = `agent-session-${Date.now()}-${(this._agentSessionNextId += 1)}`;
-    const bridge = {
-      gpgToAgent: createSharedQueueDescriptor(),
-      agentToGpg: createSharedQueueDescriptor(),
-    };
+  return btoa(binary);
+}
 
-    let resolveReady;
-    let rejectReady;
-    const readyPromise = new Promise((resolve, reject) => {
-      resolveReady = resolve;
-      rejectReady = reject;
-    });
+function decodeBase64(base64Text) {
+  if (!base64Text) {
+    return new Uint8Array();
+  }
+  const binary = atob(base64Text);
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    out[i] = binary.charCodeAt(i);
+  }
+  return out;
+}
+
+function toBytes(value) {
+  if (value instanceof Uint8Array) {
+    return value;
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (typeof value === 'string') {
+    return new TextEncoder().encode(value);
+  }
+  throw new TypeError('expected Uint8Array, ArrayBuffer or string input');
+}
+
+/* gpg reports patterns without a match as ERROR keylist.getkey with
+   GPG_ERR_NO_PUBKEY (9) or GPG_ERR_NO_SECKEY (17). */
+function isKeyNotFound(statusEvents) {
+  const errors = statusEvents.filter((event) => event.keyword === 'ERROR');
+  return errors.length > 0 && errors.every((event) => (
+    event.location === 'keylist.getkey'
+    && [9, 17].includes(Number(event.errorCode) & 0xffff)
+  ));
+}
+
+function collectOperationStatus(statusEvents) {
+  const info = {
+    signatures: [],
+    recipients: [],
+    sessionAlgorithm: null,
+    decryptionKey: null,
+    decryptionOkay: false,
+    decryptionFailed: false,
+    createdSignatures: [],
+    plaintext: null,
+    failures: [],
+  };
+  let current = null;
+
+  const startSignature = (signersUid) => {
+    current = {
+      status: '',
+      keyid: '',
+      userId: '',
+      signersUid: signersUid || '',
+      fingerprint: '',
+      primaryFingerprint: '',
+      created: null,
+      expires: null,
+      pubkeyAlgo: null,
+      hashAlgo: null,
+      sigClass: '',
+      validity: '',
+      errorCode: null,
+    };
+    info.signatures.push(current);
+    return current;
+  };
+
+  for (const event of statusEvents) {
+    const { keyword } = event;
+
+    if (keyword === 'NEWSIG') {
+      startSignature(event.signersUid);
+      continue;
+    }
+
+    if (event.signatureStatus) {
+      const sig = current && !current.status ? current : startSignature('');
+      sig.status = event.signatureStatus;
+      sig.keyid = event.keyid;
+      if (keyword === 'ERRSIG') {
+        sig.pubkeyAlgo = event.pubkeyAlgo;
+        sig.hashAlgo = event.hashAlgo;
+        sig.sigClass = event.sigClass;
+        sig.created = event.created;
+        sig.errorCode = event.rc;
+        sig.fingerprint = event.fingerprint;
+      } else {
+        sig.userId = event.userId;
+      }
+      continue;
+    }
+
+    if (keyword === 'VALIDSIG') {
+      const sig = current || startSignature('');
+      sig.fingerprint = event.fingerprint;
+      sig.created = event.created;
+      sig.expires = event.expires;
+      sig.pubkeyAlgo = event.pubkeyAlgo;
+      sig.hashAlgo = event.hashAlgo;
+      sig.sigClass = event.sigClass;
+      sig.primaryFingerprint = event.primaryFingerprint || event.fingerprint;
+      continue;
+    }
+
+    if (keyword.startsWith('TRUST_') && event.validity) {
+      if (current) {
+        current.validity = event.validity;
+      }
+      continue;
+    }
+
+    if (keyword === 'ENC_TO') {
+      info.recipients.push({
+        keyid: event.keyid,
+        pubkeyAlgo: event.pubkeyAlgo,
+      });
+      continue;
+    }
+
+    if (keyword === 'BEGIN_ENCRYPTION' || keyword === 'DECRYPTION_INFO') {
+      info.sessionAlgorithm = {
+        mdcMethod: event.mdcMethod,
+        symAlgo: event.symAlgo,
+        aeadAlgo: event.aeadAlgo ?? 0,
+      };
+      continue;
+    }
+
+    if (keyword === 'DECRYPTION_KEY') {
+      info.decryptionKey = {
+        fingerprint: event.fingerprint,
+        primaryFingerprint: event.primaryFingerprint,
+        ownertrust: event.ownertrust,
+      };
+      continue;
+    }
+
+    if (keyword === 'DECRYPTION_OKAY') {
+      info.decryptionOkay = true;
+      continue;
+    }
+
+    if (keyword === 'DECRYPTION_FAILED') {
+      info.decryptionFailed = true;
+      continue;
+    }
+
+    if (keyword === 'SIG_CREATED') {
+      info.createdSignatures.push({
+        type: event.sigType.charAt(0),
+        pubkeyAlgo: event.pubkeyAlgo,
+        hashAlgo: event.hashAlgo,
+        sigClass: event.sigClass,
+        created: event.created,
+        fingerprint: event.fingerprint,
+      });
+      continue;
+    }
+
+    if (keyword === 'PLAINTEXT') {
+      info.plaintext = {
+        format: event.format,
+        timestamp: event.timestamp,
+        filename: event.filename,
+      };
+      continue;
+    }
+
+    if (OPERATION_FAILURE_CODES.some(([name]) => name === keyword)) {
+      info.failures.push(event);
+    }
+  }
+
+  return info;
+}
+
+function classifyOperationFailure(statusInfo) {
+  for (const [keyword, code] of OPERATION_FAILURE_CODES) {
+    if (statusInfo.failures.some((entry) => entry.keyword === keyword)) {
+      return code;
+    }
+  }
+  return 'gpg-failed';
+}
+
+function stripFsStateRoots(state, roots) {
+  if (!state || typeof state !== 'object' || !roots.length) {
+    return state;
+  }
+  const inRoots = (path) => roots.some((root) => path === root || String(path).startsWith(`${root}/`));
+  return {
+    ...state,
+    roots: (state.roots || []).filter((path) => !inRoots(path)),
+    dirs: (state.dirs || []).filter((entry) => entry && !inRoots(entry.path)),
+    files: (state.files || []).filter((entry) => entry && !inRoots(entry.path)),
+  };
+}
+
+function checkFsState(state) {
+  if (state === null || state === undefined) {
+    return state;
+  }
+  const version = fsStateVersion(state);
+  if (version > FS_STATE_VERSION) {
+    throw new WasmGpgFsStateError(
+      `fsState version ${version} was written by a newer client (this client supports version ${FS_STATE_VERSION})`,
+      { code: 'fs-state-version', version },
+    );
+  }
+  let migrated;
+  try {
+    migrated = migrateFsState(state);
+  } catch (error) {
+    throw new WasmGpgFsStateError(error instanceof Error ? error.message : String(error), {
+      code: 'fs-state-invalid',
+      version,
+    });
+  }
+  const report = validateFsState(migrated);
+  if (!report.valid) {
+    const first = report.errors[0];
+    throw new WasmGpgFsStateError(
+      `invalid fsState at ${first.path || '(root)'}: ${first.message}`,
+      { code: 'fs-state-invalid', version: report.version, errors: report.errors },
+    );
+  }
+  return migrated;
+}
+
+function resolveStorage(value, homedir) {
+  if (!value) {
+    return null;
+  }
+  if (value === 'indexeddb') {
+    return createIndexedDbStorage({ namespace: homedir });
+  }
+  if (typeof value === 'object' && value.type === 'indexeddb') {
+    return createIndexedDbStorage({ namespace: homedir, ...value });
+  }
+  if (typeof value === 'object' && typeof value.load === 'function' && typeof value.save === 'function') {
+    return value;
+  }
+  throw new Error('unsupported storage option for WasmGpgBrowserClient');
+}
+
+function resolveOpfsConfig(value, homedir, baseUrl) {
+  if (!value) {
+    return null;
+  }
+  const options = typeof value === 'object' ? value : {};
+  const mountpoints = Array.isArray(options.mountpoints) && options.mountpoints.length
+    ? normalizeStringArray(options.mountpoints)
+    : [homedir, '/work'];
+  return {
+    scriptUrl: toUrlString(options.scriptUrl || new URL('./gpg-opfs-mount.js', baseUrl), baseUrl),
+    root: typeof options.root === 'string' && options.root ? options.root : 'gnupg-wasm',
+    mountpoints,
+    accessHandles: options.accessHandles !== false,
+  };
+}
+
+function createOperationScratch(fsState, persistRoots) {
+  operationScratchCounter += 1;
+  const dir = `${OPERATION_SCRATCH_PREFIX}-${Date.now()}-${operationScratchCounter}`;
+  const baseRoots = Array.isArray(persistRoots) && persistRoots.length
+    ? persistRoots.map((item) => String(item))
+    : (fsState && Array.isArray(fsState.roots) ? fsState.roots.slice() : []);
+  const files = [];
+
+  return {
+    dir,
+    persistRoots: [...baseRoots, dir],
+    path(name) {
+      return `${dir}/${name}`;
+    },
+    addFile(name, data) {
+      const path = `${dir}/${name}`;
+      files.push({
+        path,
+        mode: 0o600,
+        data: encodeBase64(toBytes(data)),
+      });
+      return path;
+    },
+    overlay() {
+      return {
+        version: 1,
+        roots: [dir],
+        dirs: [{ path: dir, mode: 0o700 }],
+        files,
+      };
+    },
+    buildFsState() {
+      return mergeFsStates(fsState, this.overlay());
+    },
+    readFile(state, name) {
+      const path = `${dir}/${name}`;
+      const entry = state && Array.isArray(state.files)
+        ? state.files.find((item) => item && item.path === path)
+        : null;
+      return entry ? decodeBase64(typeof entry.data === 'string' ? entry.data : '') : null;
+    },
+    strip(state) {
+      return stripFsStateRoots(state, [dir]);
+    },
+  };
+}
+
+function normalizeRecipients(value) {
+  if (typeof value === 'string') {
+    return value ? [value] : [];
+  }
+  return normalizeStringArray(value).filter(Boolean);
+}
+
+export const KEY_GENERATION_PRESETS = {
+  'ed25519/cv25519': 'ed25519/cert,sign+cv25519/encr',
+  rsa3072: 'rsa3072/cert,sign+rsa3072/encr',
+  rsa4096: 'rsa4096/cert,sign+rsa4096/encr',
+  nistp256: 'nistp256/cert,sign+nistp256/encr',
+  ky768_cv25519: 'ed25519/cert,sign+ky768_cv25519/encr',
+};
+
+const KEY_GENERATION_SPEC_PATTERN = /^[A-Za-z0-9_-]+(?:\/[A-Za-z,]+)?(?:\+[A-Za-z0-9_-]+(?:\/[A-Za-z,]+)?)?$/;
+
+const FINGERPRINT_PATTERN = /^(?:0x)?(?:[0-9A-Fa-f]{40}|[0-9A-Fa-f]{64})$/;
+const KEY_ALGO_PATTERN = /^[A-Za-z0-9_]+(?:\/[A-Za-z0-9_]+)*$/;
+const KEY_USAGES = new Set(['sign', 'auth', 'encr', 'encrypt', 'cert', 'renc', 'time', 'group', 'default']);
+const EXPIRE_PATTERN = /^(?:never|none|-|0|\d+[dwmy]?|\d{4}-\d{2}-\d{2}|\d{8}T\d{6}|seconds=\d+)$/;
+
+function requireFingerprint(operation, name, value) {
+  if (typeof value !== 'string' || !FINGERPRINT_PATTERN.test(value)) {
+    throw new WasmGpgError(`${operation} requires ${name} to be a full fingerprint`, { code: 'invalid-argument' });
+  }
+  return value.replace(/^0x/, '').toUpperCase();
+}
+
+function requireUserId(operation, name, value) {
+  if (typeof value !== 'string' || !value.trim() || /[\r\n\0]/.test(value)) {
+    throw new WasmGpgError(`${operation} requires ${name} to be a single-line user ID`, { code: 'invalid-argument' });
+  }
+  return value;
+}
+
+function normalizeExpire(operation, value) {
+  if (value instanceof Date) {
+    return `seconds=${Math.max(0, Math.floor((value.getTime() - Date.now()) / 1000))}`;
+  }
+  const text = value === undefined || value === null ? 'never' : String(value);
+  if (!EXPIRE_PATTERN.test(text)) {
+    throw new WasmGpgError(`${operation} got an invalid expiration: ${text}`, { code: 'invalid-argument' });
+  }
+  return text;
+}
+
+function normalizeKeyUsage(operation, value) {
+  const list = typeof value === 'string'
+    ? value.split(',').map((item) => item.trim()).filter(Boolean)
+    : normalizeStringArray(value);
+  if (!list.length) {
+    return 'default';
+  }
+  const invalid = list.find((item) => !KEY_USAGES.has(item));
+  if (invalid) {
+    throw new WasmGpgError(`${operation} got an invalid key usage: ${invalid}`, { code: 'invalid-argument' });
+  }
+  return list.join(',');
+}
+
+const REVOCATION_REASONS = {
+  unspecified: '0',
+  compromised: '1',
+  superseded: '2',
+  retired: '3',
+};
+
+function revocationDir(homedir) {
+  return `${homedir}/openpgp-revocs.d`;
+}
+
+function collectRevocationCertificates(state, homedir, paths = null) {
+  const prefix = `${revocationDir(homedir)}/`;
+  const wanted = paths ? new Set(paths) : null;
+  const files = state && Array.isArray(state.files) ? state.files : [];
+  return files
+    .filter((entry) => (
+      entry
+      && typeof entry.path === 'string'
+      && entry.path.startsWith(prefix)
+      && entry.path.endsWith('.rev')
+      && (!wanted || wanted.has(entry.path))
+    ))
+    .map((entry) => ({
+      fingerprint: entry.path.slice(prefix.length, -'.rev'.length).toUpperCase(),
+      path: entry.path,
+      certificate: new TextDecoder().decode(decodeBase64(typeof entry.data === 'string' ? entry.data : '')),
+    }));
+}
+
+export class WasmGpgBrowserClient {
+  constructor(config = {}) {
+    const baseUrl = import.meta.url;
+
+    this.workerUrl = config.workerUrl || new URL('./gpg-browser-worker.js', baseUrl);
+    this.gpgScriptUrl = toUrlString(config.gpgScriptUrl, baseUrl);
+    this.gpgWasmUrl = toUrlString(config.gpgWasmUrl, baseUrl);
+    this.gpgAgentWorkerUrl = config.gpgAgentWorkerUrl
+      ? toUrlString(config.gpgAgentWorkerUrl, baseUrl)
+      : toUrlString(new URL('./gpg-agent-server-worker.js', baseUrl), baseUrl);
+    this.gpgScdaemonWorkerUrl = config.gpgScdaemonWorkerUrl
+      ? toUrlString(config.gpgScdaemonWorkerUrl, baseUrl)
+      : toUrlString(new URL('./gpg-scdaemon-server-worker.js', baseUrl), baseUrl);
+    this.gpgDirmngrWorkerUrl = config.gpgDirmngrWorkerUrl
+      ? toUrlString(config.gpgDirmngrWorkerUrl, baseUrl)
+      : toUrlString(new URL('./gpg-dirmngr-fetch-worker.js', baseUrl), baseUrl);
+    this.gpgAgentSessionWorkerUrl = config.gpgAgentSessionWorkerUrl
+      ? toUrlString(config.gpgAgentSessionWorkerUrl, baseUrl)
+      : toUrlString(new URL('./gpg-agent-session-worker.js', baseUrl), baseUrl);
+    this.gpgAgentScriptUrl = toUrlString(config.gpgAgentScriptUrl, baseUrl);
+    this.gpgAgentWasmUrl = toUrlString(config.gpgAgentWasmUrl, baseUrl);
+    this.gpgScdaemonScriptUrl = toUrlString(config.gpgScdaemonScriptUrl, baseUrl);
+    this.gpgScdaemonWasmUrl = toUrlString(config.gpgScdaemonWasmUrl, baseUrl);
+    this.homedir = typeof config.homedir === 'string' && config.homedir
+      ? config.homedir
+      : '/gnupg';
+    this.emitStatusByDefault = config.emitStatusByDefault !== false;
+    this.persistRoots = normalizeStringArray(config.persistRoots);
+    this.persistentAgentRuntime = config.persistentAgentRuntime !== false;
+    this.storage = resolveStorage(config.storage, this.homedir);
+    this.opfs = resolveOpfsConfig(config.opfs, this.homedir, baseUrl);
+    this.fsDelta = config.fsDelta !== false;
+    this.fsStateSealer = config.encryption ? createFsStateSealer(config.encryption) : null;
+    this.passphraseCache = config.passphraseCache
+      ? createPassphraseCache(typeof config.passphraseCache === 'object' ? config.passphraseCache : {})
+      : null;
+    this.onExternalChange = typeof config.onExternalChange === 'function' ? config.onExternalChange : null;
+    this.recordTranscript = config.recordTranscript || false;
+    this.onTranscript = typeof config.onTranscript === 'function' ? config.onTranscript : null;
+    this.timeouts = resolveTimeouts(DEFAULT_TIMEOUTS, config.timeouts);
+    const sharedStorage = this.storage && this.storage.kind !== 'memory';
+    this._homedirSync = config.crossTab !== false && (sharedStorage || this.opfs)
+      ? createHomedirSync({
+          key: homedirSyncKey({ storage: this.storage, opfs: this.opfs, homedir: this.homedir }),
+          onChange: (message) => {
+            safeInvoke(this.onExternalChange, {
+              homedir: message.homedir,
+              reason: message.reason,
+              changedPaths: message.changedPaths || null,
+              generation: Number.isFinite(message.generation) ? message.generation : null,
+              at: message.at,
+            });
+          },
+        })
+      : null;
+
+    this._runInProgress = false;
+    this._runScheduler = Number.isFinite(config.concurrency)
+      ? createRunScheduler({ concurrency: config.concurrency })
+      : null;
+    this._agentSessionInUse = false;
+    this._agentSessionWorker = null;
+    this._agentSessionWorkerKey = '';
+    this._agentSessionNextId = 0;
+    this._agentSessions = new Map();
+    this._agentSessionCallbacks = {
+      onDebug: null,
+      onStderr: null,
+    };
+  }
+
+  _createWorker(kind) {
+    return new Worker(kind === 'agent-session' ? this.gpgAgentSessionWorkerUrl : this.workerUrl);
+  }
+
+  _buildAgentSessionWorkerKey() {
+    return [
+      this.gpgAgentSessionWorkerUrl,
+      this.gpgAgentScriptUrl,
+      this.gpgAgentWasmUrl,
+      this.gpgScdaemonWorkerUrl,
+      this.gpgScdaemonScriptUrl,
+      this.gpgScdaemonWasmUrl,
+      this.homedir,
+    ].join('\n');
+  }
+
+  _rejectPendingAgentSessions(errorText) {
+    const error = new Error(errorText || 'agent session worker stopped');
+    for (const pending of this._agentSessions.values()) {
+      if (pending && typeof pending.rejectReady === 'function') {
+        pending.rejectReady(error);
+      }
+      if (pending && typeof pending.rejectResult === 'function') {
+        pending.rejectResult(error);
+      }
+    }
+    this._agentSessions.clear();
+  }
+
+  _teardownAgentSessionWorker(errorText) {
+    if (this._agentSessionWorker) {
+      try {
+        this._agentSessionWorker.postMessage({ type: 'shutdown' });
+      } catch {
+        /* Best effort only. */
+      }
+      this._agentSessionWorker.terminate();
+      this._agentSessionWorker = null;
+    }
+    this._agentSessionWorkerKey = '';
+    this._rejectPendingAgentSessions(errorText || 'agent session worker torn down');
+  }
+
+  _cancelAgentSession(sessionId) {
+    if (!this._agentSessions.delete(sessionId) || !this._agentSessionWorker) {
+      return;
+    }
+    try {
+      this._agentSessionWorker.postMessage({ type: 'session-cancel', sessionId });
+    } catch {
+      this._teardownAgentSessionWorker('agent session worker unreachable');
+    }
+  }
+
+  _ensureAgentSessionWorker(onDebug, onStderr) {
+    this._agentSessionCallbacks = {
+      onDebug: typeof onDebug === 'function' ? onDebug : null,
+      onStderr: typeof onStderr === 'function' ? onStderr : null,
+    };
+
+    if (!this.persistentAgentRuntime) {
+      return null;
+    }
+    if (!this.gpgAgentScriptUrl) {
+      return null;
+    }
+
+    const workerKey = this._buildAgentSessionWorkerKey();
+    if (this._agentSessionWorker) {
+      if (this._agentSessionWorkerKey === workerKey) {
+        return this._agentSessionWorker;
+      }
+      this._teardownAgentSessionWorker('agent session worker config changed');
+    }
+
+    const worker = this._createWorker('agent-session');
+    worker.addEventListener('message', (event) => {
+      const message = event.data;
+      if (!message || typeof message !== 'object') {
+        return;
+      }
+
+      if (message.type === 'debug') {
+        const step = typeof message.step === 'string' && message.step
+          ? `agent.session.${message.step}`
+          : 'agent.session.unknown';
+        safeInvoke(this._agentSessionCallbacks.onDebug, {
+          step,
+          data: message.data && typeof message.data === 'object' ? message.data : null,
+        });
+        return;
+      }
+
+      if (message.type === 'error') {
+        safeInvoke(this._agentSessionCallbacks.onStderr, `[agent] ${String(message.message || 'unknown session worker error')}`);
+        const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
+        if (sessionId && this._agentSessions.has(sessionId)) {
+          const pending = this._agentSessions.get(sessionId);
+          if (pending) {
+            const error = new Error(String(message.message || 'agent session worker error'));
+            pending.rejectReady(error);
+            pending.rejectResult(error);
+            this._agentSessions.delete(sessionId);
+          }
+        }
+        return;
+      }
+
+      if (message.type === 'timeout') {
+        const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
+        const pending = sessionId ? this._agentSessions.get(sessionId) : null;
+        if (pending) {
+          const error = createTimeoutError(message.phase, message.timeoutMs);
+          pending.rejectReady(error);
+          pending.rejectResult(error);
+          this._agentSessions.delete(sessionId);
+        }
+        return;
+      }
+
+      if (message.type === 'session-ready') {
+        const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
+        const pending = sessionId ? this._agentSessions.get(sessionId) : null;
+        if (pending) {
+          pending.resolveReady(true);
+        }
+        return;
+      }
+
+      if (message.type === 'session-result') {
+        const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
+        const pending = sessionId ? this._agentSessions.get(sessionId) : null;
+        if (pending) {
+          pending.resolveResult(message);
+          this._agentSessions.delete(sessionId);
+        }
+      }
+    });
+
+    worker.addEventListener('error', (event) => {
+      const message = event?.message || 'agent session worker failed';
+      safeInvoke(this._agentSessionCallbacks.onStderr, `[agent] ${message}`);
+      this._teardownAgentSessionWorker(message);
+    });
+
+    this._agentSessionWorker = worker;
+    this._agentSessionWorkerKey = workerKey;
+    return worker;
+  }
+
+  async _startPersistentAgentSession(fsState, persistRoots, signal = null, timeouts = this.timeouts) {
+    const worker = this._ensureAgentSessionWorker(
+      this._agentSessionCallbacks.onDebug,
+      this._agentSessionCallbacks.onStderr,
+    );
+    if (!worker) {
+      return null;
+    }
+
+    const sessionId = `agent-session-${Date.now()}-${(this._agentSessionNextId += 1)}`;
+    const bridge = {
+      gpgToAgent: createSharedQueueDescriptor(),
+      agentToGpg: createSharedQueueDescriptor(),
+    };
+
+    let resolveReady;
+    let rejectReady;
+    const readyPromise = new Promise((resolve, reject) => {
+      resolveReady = resolve;
+      rejectReady = reject;
+    });
 
     let resolveResult;
     let rejectResult;
@@ -567,7 +1416,10 @@ export class WasmGpgBrowserClient {
         gpgScdaemonWasmUrl: this.gpgScdaemonWasmUrl,
         homedir: this.homedir,
         fsState,
+        fsDelta: this.fsDelta,
         persistRoots,
+        opfs: this.opfs,
+        timeouts: { scdaemonReady: timeouts.scdaemonReady },
         bridge,
       });
     } catch (error) {
@@ -579,18 +1431,45 @@ export class WasmGpgBrowserClient {
 
     let readyTimeoutId = null;
     const readyTimeoutPromise = new Promise((resolve) => {
-      readyTimeoutId = setTimeout(() => resolve(false), 12000);
+      if (timeouts.agentReady > 0) {
+        readyTimeoutId = setTimeout(() => resolve(null), timeouts.agentReady);
+      }
+    });
+    let onAbort = null;
+    const abortPromise = new Promise((resolve) => {
+      if (signal) {
+        onAbort = () => resolve(false);
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
     });
 
-    const ready = await Promise.race([readyPromise, readyTimeoutPromise]).catch(() => false);
+    let readyError = null;
+    const ready = await Promise.race([readyPromise, readyTimeoutPromise, abortPromise]).catch((error) => {
+      readyError = error;
+      return false;
+    });
     if (readyTimeoutId !== null) {
       clearTimeout(readyTimeoutId);
     }
+    if (onAbort) {
+      signal.removeEventListener('abort', onAbort);
+    }
     if (!ready) {
-      this._agentSessions.delete(sessionId);
+      this._cancelAgentSession(sessionId);
       queueCloseDescriptor(bridge.gpgToAgent);
       queueCloseDescriptor(bridge.agentToGpg);
-      throw new Error('agent session worker did not become ready in time');
+      resultPromise.catch(() => null);
+      if (signal && signal.aborted) {
+        throw createAbortError(signal, 'starting');
+      }
+      if (readyError instanceof WasmGpgTimeoutError) {
+        throw readyError;
+      }
+      if (ready === null) {
+        this._teardownAgentSessionWorker('agent session worker did not become ready');
+        throw createTimeoutError('agentReady', timeouts.agentReady);
+      }
+      throw new Error('agent session worker did not become ready');
     }
 
     return {
@@ -600,8 +1479,19 @@ export class WasmGpgBrowserClient {
     };
   }
 
+  clearCache(keyid) {
+    return this.passphraseCache ? this.passphraseCache.clear(keyid) : 0;
+  }
+
   async close() {
     this._teardownAgentSessionWorker('client closed');
+    this.clearCache();
+    if (this._homedirSync) {
+      this._homedirSync.close();
+    }
+    if (this.storage && typeof this.storage.close === 'function') {
+      await this.storage.close();
+    }
   }
 
   async run(args, callbacks = {}) {
@@ -609,18 +1499,268 @@ export class WasmGpgBrowserClient {
       throw new Error('WasmGpgBrowserClient requires gpgScriptUrl');
     }
 
-    if (this._runInProgress) {
-      throw new Error('WasmGpgBrowserClient only supports one active run at a time');
+    if (!this._runScheduler) {
+      if (this._runInProgress) {
+        throw new Error('WasmGpgBrowserClient only supports one active run at a time');
+      }
+      this._runInProgress = true;
+      try {
+        return await this._runStored(args, callbacks, true);
+      } finally {
+        this._runInProgress = false;
+      }
+    }
+
+    const access = callbacks.access === 'read' || callbacks.access === 'write'
+      ? callbacks.access
+      : inferRunAccess(args);
+    safeInvoke(callbacks.onDebug, {
+      step: 'client.pool.queued',
+      data: {
+        access,
+        priority: Number.isFinite(callbacks.priority) ? Number(callbacks.priority) : 0,
+        ...this._runScheduler.snapshot(),
+      },
+    });
+    let release;
+    try {
+      release = await this._runScheduler.acquire({
+        access,
+        priority: callbacks.priority,
+        signal: callbacks.signal,
+      });
+    } catch (error) {
+      if (callbacks.signal && callbacks.signal.aborted) {
+        throw createAbortError(callbacks.signal, 'queued');
+      }
+      throw error;
+    }
+    safeInvoke(callbacks.onDebug, {
+      step: 'client.pool.started',
+      data: { access },
+    });
+    try {
+      return await this._runStored(args, callbacks, access === 'write');
+    } finally {
+      release();
+    }
+  }
+
+  start(args, options = {}) {
+    return createRunHandle((runOptions) => this.run(args, runOptions), options);
+  }
+
+  async _openFsState(state) {
+    if (!isSealedFsState(state)) {
+      return checkFsState(state);
+    }
+    if (!this.fsStateSealer) {
+      throw new WasmGpgError('fsState is sealed but the client has no encryption configured', { code: 'fs-state-sealed' });
+    }
+    let unsealed;
+    try {
+      unsealed = await this.fsStateSealer.unseal(state);
+    } catch (error) {
+      throw new WasmGpgError(error instanceof Error ? error.message : String(error), { code: 'fs-state-integrity' });
+    }
+    return checkFsState(unsealed);
+  }
+
+  async _sealFsState(state) {
+    if (!this.fsStateSealer || !state) {
+      return state;
+    }
+    return this.fsStateSealer.seal(state);
+  }
+
+  async sealFsState(state) {
+    if (!this.fsStateSealer) {
+      throw new WasmGpgError('sealFsState requires the encryption option', { code: 'invalid-argument' });
+    }
+    return this.fsStateSealer.seal(state);
+  }
+
+  async unsealFsState(state) {
+    return this._openFsState(state);
+  }
+
+  async _withHomedirLock(callbacks, action) {
+    const sync = this._homedirSync;
+    if (!sync || !sync.locking) {
+      return action();
+    }
+    safeInvoke(callbacks.onDebug, {
+      step: 'client.lock.waiting',
+      data: { lock: sync.lockName },
+    });
+    try {
+      return await sync.withLock(() => {
+        safeInvoke(callbacks.onDebug, {
+          step: 'client.lock.acquired',
+          data: { lock: sync.lockName },
+        });
+        return action();
+      }, { signal: callbacks.signal });
+    } catch (error) {
+      if (callbacks.signal && callbacks.signal.aborted && !(error instanceof WasmGpgError)) {
+        throw createAbortError(callbacks.signal, 'queued');
+      }
+      throw error;
+    }
+  }
+
+  _notifyHomedirChange(reason, detail, onDebug) {
+    if (!this._homedirSync) {
+      return;
+    }
+    const sent = this._homedirSync.notify({
+      homedir: this.homedir,
+      reason,
+      changedPaths: detail.changedPaths || null,
+      generation: Number.isFinite(detail.generation) ? detail.generation : null,
+    });
+    if (sent) {
+      safeInvoke(onDebug, {
+        step: 'client.sync.broadcast',
+        data: { reason },
+      });
+    }
+  }
+
+  async _runStored(args, callbacks, persistResult) {
+    const shared = persistResult
+      && this._homedirSync
+      && ((this.storage && callbacks.fsState === undefined) || this.opfs);
+    const result = shared
+      ? await this._withHomedirLock(callbacks, async () => {
+          const commit = {};
+          const committed = await this._runLoaded(args, callbacks, persistResult, commit);
+          if (!committed.workerError && committed.fsState && !commit.skipped) {
+            this._notifyHomedirChange('run', {
+              changedPaths: committed.changedPaths,
+              generation: commit.summary && commit.summary.generation,
+            }, callbacks.onDebug);
+          }
+          return committed;
+        })
+      : await this._runLoaded(args, callbacks, persistResult);
+    if (this.fsStateSealer && callbacks.sealResult !== false) {
+      result.fsState = await this._sealFsState(result.fsState);
+      result.fsDelta = null;
+    }
+    return result;
+  }
+
+  async _runLoaded(args, callbacks, persistResult, commit = {}) {
+    const overlay = callbacks.fsStateOverlay && typeof callbacks.fsStateOverlay === 'object'
+      ? callbacks.fsStateOverlay
+      : null;
+    if (!this.storage || callbacks.fsState !== undefined) {
+      const sealed = isSealedFsState(callbacks.fsState);
+      const inputState = await this._openFsState(callbacks.fsState);
+      if (!overlay && !sealed) {
+        return this._runOnce(args, { ...callbacks, fsState: inputState });
+      }
+      const persistRoots = sealed && Array.isArray(inputState && inputState.roots)
+        ? Array.from(new Set([
+            ...(Array.isArray(callbacks.persistRoots) ? callbacks.persistRoots.map((item) => String(item)) : this.persistRoots),
+            ...inputState.roots,
+          ]))
+        : callbacks.persistRoots;
+      return this._runOnce(args, {
+        ...callbacks,
+        fsState: overlay ? mergeFsStates(inputState, overlay) : inputState,
+        persistRoots,
+      });
+    }
+
+    const storedState = await this._openFsState(await this.storage.load());
+    safeInvoke(callbacks.onDebug, {
+      step: 'client.storage.loaded',
+      data: {
+        storage: this.storage.kind || 'custom',
+        files: storedState && Array.isArray(storedState.files) ? storedState.files.length : 0,
+      },
+    });
+    const baseRoots = Array.isArray(callbacks.persistRoots)
+      ? callbacks.persistRoots.map((item) => String(item))
+      : this.persistRoots;
+    const persistRoots = Array.from(new Set([
+      ...baseRoots,
+      ...(storedState && Array.isArray(storedState.roots) ? storedState.roots : []),
+    ]));
+    const result = await this._runOnce(args, {
+      ...callbacks,
+      fsState: overlay ? mergeFsStates(storedState, overlay) : storedState,
+      persistRoots,
+    });
+
+    if (persistResult && !result.workerError && result.fsState && result.exitCode !== 0 && callbacks.saveOnFailure !== true) {
+      commit.skipped = true;
+      safeInvoke(callbacks.onDebug, {
+        step: 'client.storage.skipped',
+        data: { exitCode: result.exitCode },
+      });
+    } else if (persistResult && !result.workerError && result.fsState) {
+      const committed = stripFsStateRoots(result.fsState, overlay ? overlay.roots || [] : []);
+      const summary = await this.storage.save(await this._sealFsState(committed));
+      commit.summary = summary;
+      safeInvoke(callbacks.onDebug, {
+        step: 'client.storage.saved',
+        data: summary && typeof summary === 'object' ? summary : {},
+      });
+    }
+    return result;
+  }
+
+  async _runOnce(args, callbacks) {
+    const recordTranscript = callbacks.recordTranscript !== undefined
+      ? callbacks.recordTranscript
+      : this.recordTranscript;
+    if (!recordTranscript) {
+      return this._runWorker(args, callbacks, null);
+    }
+
+    const onTranscript = typeof callbacks.onTranscript === 'function' ? callbacks.onTranscript : this.onTranscript;
+    const recorder = createTranscriptRecorder(args, {
+      fsState: typeof recordTranscript === 'object' && recordTranscript.fsState === true,
+      stdout: typeof recordTranscript === 'object' && recordTranscript.stdout === true,
+    });
+    let result;
+    try {
+      result = await this._runWorker(args, recorder.wrapCallbacks(callbacks), recorder);
+    } catch (error) {
+      const transcript = recorder.finish(null, error);
+      if (error && typeof error === 'object') {
+        error.transcript = transcript;
+      }
+      safeInvoke(onTranscript, transcript);
+      throw error;
+    }
+    result.transcript = recorder.finish(result);
+    safeInvoke(onTranscript, result.transcript);
+    return result;
+  }
+
+  async _runWorker(args, callbacks, recorder) {
+    const hostTimings = {
+      startedAt: performance.now(),
+      workerCreatedAt: null,
+      phases: {},
+    };
+    const signal = callbacks.signal || null;
+    if (signal && signal.aborted) {
+      throw createAbortError(signal, 'queued');
     }
-    this._runInProgress = true;
 
+    let usesSharedAgentSession = false;
     try {
       const argv = Array.isArray(args) ? args.map((item) => String(item)) : [];
-      const worker = new Worker(this.workerUrl);
 
       const onStdout = callbacks.onStdout;
       const onStderr = callbacks.onStderr;
       const onStatus = callbacks.onStatus;
+      const onStatusEvent = callbacks.onStatusEvent;
       const onDebug = callbacks.onDebug;
       const onPinentry = callbacks.onPinentry;
 
@@ -637,13 +1777,24 @@ export class WasmGpgBrowserClient {
         needPassphraseSym: '',
       };
       let pinentryRequestCounter = 0;
+      const passphraseCache = callbacks.passphraseCache !== false ? this.passphraseCache : null;
+      let pendingPassphraseKey = null;
+      let lastPassphraseKey = null;
       let stdinText = '';
-      if (callbacks.stdinText !== undefined) {
+      if (callbacks.stdinText !== undefined && callbacks.stdin === undefined) {
         stdinText = normalizeStdinText(callbacks.stdinText);
       }
       const wantsInteractiveStdin = typeof callbacks.onInputRequest === 'function';
       const wantsPinentryStdin = typeof onPinentry === 'function';
-      const stdinQueueDesc = (wantsInteractiveStdin || stdinText || wantsPinentryStdin)
+      const onConfirm = typeof callbacks.onConfirm === 'function' ? callbacks.onConfirm : null;
+      const onLine = typeof callbacks.onLine === 'function' ? callbacks.onLine : null;
+      const wantsPromptStdin = Boolean(onConfirm || onLine);
+      const stdinSource = normalizeStdinSource(callbacks.stdin);
+      const stdinBytes = stdinSource && stdinSource.bytes && !wantsInteractiveStdin && !wantsPinentryStdin && !wantsPromptStdin
+        ? stdinSource.bytes
+        : null;
+      const stdinPumpSource = stdinSource && !stdinBytes ? stdinSource : null;
+      const stdinQueueDesc = (wantsInteractiveStdin || stdinText || wantsPinentryStdin || wantsPromptStdin || stdinPumpSource)
         ? createSharedQueueDescriptor()
         : null;
       const stdinQueue = stdinQueueDesc ? createSharedQueue(stdinQueueDesc) : null;
@@ -654,9 +1805,10 @@ export class WasmGpgBrowserClient {
       const emitStatus = callbacks.emitStatus !== undefined
         ? callbacks.emitStatus !== false
         : this.emitStatusByDefault;
-      const runTimeoutMs = Number.isFinite(callbacks.runTimeoutMs)
-        ? Number(callbacks.runTimeoutMs)
-        : 30000;
+      const timeouts = resolveTimeouts(this.timeouts, {
+        ...(Number.isFinite(callbacks.runTimeoutMs) ? { run: Math.max(0, Number(callbacks.runTimeoutMs)) } : {}),
+        ...callbacks.timeouts,
+      });
 
       const fsState = callbacks.fsState && typeof callbacks.fsState === 'object'
         ? callbacks.fsState
@@ -666,15 +1818,54 @@ export class WasmGpgBrowserClient {
         ? callbacks.persistRoots.map((item) => String(item))
         : this.persistRoots;
 
-      this._agentSessionCallbacks = {
-        onDebug: typeof onDebug === 'function' ? onDebug : null,
-        onStderr: typeof onStderr === 'function' ? onStderr : null,
-      };
-
       const enableAgentBridge = callbacks.enableAgentBridge !== false;
       let persistentAgentSession = null;
-      if (enableAgentBridge) {
-        persistentAgentSession = await this._startPersistentAgentSession(fsState, persistRoots);
+      if (enableAgentBridge && !this._agentSessionInUse) {
+        this._agentSessionInUse = true;
+        usesSharedAgentSession = true;
+        this._agentSessionCallbacks = {
+          onDebug: typeof onDebug === 'function' ? onDebug : null,
+          onStderr: typeof onStderr === 'function' ? onStderr : null,
+        };
+        const sessionStart = performance.now();
+        persistentAgentSession = await this._startPersistentAgentSession(fsState, persistRoots, signal, timeouts);
+        if (persistentAgentSession) {
+          hostTimings.phases.agentSessionReady = performance.now() - sessionStart;
+        }
+      } else if (enableAgentBridge) {
+        safeInvoke(onDebug, {
+          step: 'client.agent.session-busy',
+          data: { fallback: 'per-run agent worker' },
+        });
+      }
+
+      if (signal && signal.aborted) {
+        if (persistentAgentSession) {
+          queueCloseDescriptor(persistentAgentSession.bridge.gpgToAgent);
+          queueCloseDescriptor(persistentAgentSession.bridge.agentToGpg);
+          persistentAgentSession.resultPromise.catch(() => null);
+          this._cancelAgentSession(persistentAgentSession.sessionId);
+        }
+        throw createAbortError(signal, 'starting');
+      }
+
+      const stdoutMode = callbacks.stdout === 'bytes' || callbacks.stdout === 'stream'
+        ? callbacks.stdout
+        : 'lines';
+      let stdoutController = null;
+      if (stdoutMode === 'stream') {
+        const stdoutStream = new ReadableStream({
+          start(controller) {
+            stdoutController = controller;
+          },
+        });
+        safeInvoke(callbacks.onStdoutStream, stdoutStream);
+      }
+
+      hostTimings.workerCreatedAt = performance.timeOrigin + performance.now();
+      const worker = this._createWorker('gpg');
+      if (recorder) {
+        recorder.attach(worker);
       }
 
       return await new Promise((resolve, reject) => {
@@ -685,6 +1876,17 @@ export class WasmGpgBrowserClient {
         let statusCount = 0;
         let watchdogId = null;
         let persistentBridgeClosed = false;
+        let pendingHostCallbacks = 0;
+        const partialStdout = [];
+        const partialStderr = [];
+        const partialStatus = [];
+        let promptStatusEvents = [];
+        let promptStdoutLines = [];
+        const stdoutChunks = [];
+        let stdoutByteCount = 0;
+        let stdinPumping = false;
+        let stdinPump = null;
+        let stdinPumpedBytes = 0;
 
         const clearWatchdog = () => {
           if (watchdogId !== null) {
@@ -702,18 +1904,57 @@ export class WasmGpgBrowserClient {
           queueCloseDescriptor(persistentAgentSession.bridge.agentToGpg);
         };
 
+        const partialOutput = () => ({
+          stdoutLines: partialStdout,
+          stderrLines: partialStderr,
+          statusLines: partialStatus,
+          stdoutBytes: stdoutMode === 'bytes' ? concatBytes(stdoutChunks) : null,
+        });
+
+        const onAbort = () => {
+          const stage = pendingHostCallbacks > 0 ? 'waiting-input' : 'running';
+          safeInvoke(onDebug, {
+            step: 'client.abort',
+            data: { stage },
+          });
+          finishReject(createAbortError(signal, stage, partialOutput()));
+        };
+
+        const finishTimeout = (phase, timeoutMs) => {
+          safeInvoke(onDebug, {
+            step: 'client.timeout',
+            data: { phase, timeoutMs },
+          });
+          finishReject(createTimeoutError(phase, timeoutMs, partialOutput()));
+        };
+
+        const callPinentry = (req) => {
+          const reply = Promise.resolve(onPinentry(req));
+          if (timeouts.pinentry <= 0) {
+            return reply;
+          }
+          const timeoutId = setTimeout(() => finishTimeout('pinentry', timeouts.pinentry), timeouts.pinentry);
+          return reply.finally(() => clearTimeout(timeoutId));
+        };
+
         const finishResolve = (value) => {
           if (settled) {
             return;
           }
           settled = true;
           clearWatchdog();
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
           setTimeout(() => {
             worker.terminate();
           }, 80);
           if (stdinQueueDesc) {
             queueCloseDescriptor(stdinQueueDesc);
           }
+          if (stdoutController) {
+            stdoutController.close();
+          }
           resolve(value);
         };
 
@@ -723,11 +1964,21 @@ export class WasmGpgBrowserClient {
           }
           settled = true;
           clearWatchdog();
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
           closePersistentBridge();
+          if (persistentAgentSession) {
+            persistentAgentSession.resultPromise.catch(() => null);
+            this._cancelAgentSession(persistentAgentSession.sessionId);
+          }
           if (stdinQueueDesc) {
             queueCloseDescriptor(stdinQueueDesc);
           }
           worker.terminate();
+          if (stdoutController) {
+            stdoutController.error(error);
+          }
           reject(error);
         };
 
@@ -742,13 +1993,28 @@ export class WasmGpgBrowserClient {
           }
           if (keyword === 'NEED_PASSPHRASE') {
             pinentryContext.needPassphrase = payload;
-            const keyid = payload.split(/\s+/).filter(Boolean)[0] || '';
+            const [keyid = '', mainKeyid = ''] = payload.split(/\s+/).filter(Boolean);
             if (keyid) {
               pinentryContext.keyHint = keyid;
+              pendingPassphraseKey = { keyid, mainKeyid: mainKeyid || keyid };
+            }
+            return;
+          }
+          if (keyword === 'BAD_PASSPHRASE' || keyword === 'ERROR' || keyword === 'FAILURE') {
+            const fields = payload.split(/\s+/).filter(Boolean);
+            const badKeyid = keyword === 'BAD_PASSPHRASE'
+              ? fields[0]
+              : ((Number.parseInt(fields[1], 10) & 0xffff) === 11 && lastPassphraseKey ? lastPassphraseKey.keyid : '');
+            if (passphraseCache && badKeyid && passphraseCache.clear(badKeyid)) {
+              safeInvoke(onDebug, {
+                step: 'client.pinentry.cache-evicted',
+                data: { keyid: badKeyid },
+              });
             }
             return;
           }
           if (keyword === 'NEED_PASSPHRASE_SYM') {
+            pendingPassphraseKey = null;
             pinentryContext.needPassphraseSym = payload;
             if (!pinentryRequest.op) {
               pinentryContext.op = 'symmetric';
@@ -764,7 +2030,7 @@ export class WasmGpgBrowserClient {
         };
 
         const pushPinentryReplyToQueue = (normalized) => {
-          if (!stdinQueue || !stdinQueueDesc) {
+          if (settled || !stdinQueue || !stdinQueueDesc) {
             return;
           }
           if (!normalized.ok) {
@@ -791,6 +2057,24 @@ export class WasmGpgBrowserClient {
           }
 
           pinentryRequestCounter += 1;
+          const cacheKey = passphraseCache && promptInfo.keyword === 'passphrase.enter' && pinentryContext.op !== 'generate-key'
+            ? pendingPassphraseKey
+            : null;
+          pendingPassphraseKey = null;
+          lastPassphraseKey = cacheKey;
+          const cached = cacheKey ? passphraseCache.get(cacheKey.keyid) : null;
+          if (cached) {
+            safeInvoke(onDebug, {
+              step: 'client.pinentry.cached',
+              data: {
+                id: `pinentry-stdin-${pinentryRequestCounter}`,
+                keyid: cacheKey.keyid,
+              },
+            });
+            pushPinentryReplyToQueue({ ok: true, passphrase: cached });
+            return;
+          }
+
           const req = {
             id: `pinentry-stdin-${pinentryRequestCounter}`,
             op: pinentryContext.op || 'passphrase',
@@ -816,36 +2100,147 @@ export class WasmGpgBrowserClient {
             },
           });
 
-          Promise.resolve(onPinentry(req))
+          pendingHostCallbacks += 1;
+          callPinentry(req)
+            .finally(() => {
+              pendingHostCallbacks -= 1;
+            })
+            .then((reply) => {
+              const normalized = normalizePinentryReply(reply);
+              safeInvoke(onDebug, {
+                step: 'client.pinentry.reply',
+                data: {
+                  id: req.id,
+                  ok: normalized.ok,
+                  hasPassphrase: typeof normalized.passphrase === 'string' && normalized.passphrase.length > 0,
+                },
+              });
+              if (cacheKey && normalized.ok && normalized.cache && normalized.passphrase) {
+                passphraseCache.set({ ...cacheKey, op: req.op, uidHint: req.uidHint }, normalized.passphrase, {
+                  ttlMs: normalized.ttlMs,
+                });
+              }
+              pushPinentryReplyToQueue(normalized);
+            })
+            .catch((error) => {
+              safeInvoke(onDebug, {
+                step: 'client.pinentry.error',
+                data: {
+                  id: req.id,
+                  error: error instanceof Error ? error.message : String(error),
+                },
+              });
+              safeInvoke(onStderr, `[wasm] pinentry callback failed: ${error instanceof Error ? error.message : String(error)}`);
+              pushPinentryReplyToQueue({ ok: false, passphrase: '' });
+            });
+        };
+
+        const handlePromptRequest = (request, promptInfo) => {
+          const confirm = promptInfo.statusKeyword === 'GET_BOOL';
+          const req = {
+            id: request.id,
+            type: confirm ? 'confirm' : 'line',
+            keyword: promptInfo.keyword,
+            prompt: request.prompt,
+            args: request.args,
+            context: {
+              uidHint: pinentryContext.uidHint || '',
+              keyHint: pinentryContext.keyHint || '',
+              statusEvents: promptStatusEvents,
+              stdoutLines: promptStdoutLines,
+            },
+          };
+          promptStatusEvents = [];
+          promptStdoutLines = [];
+
+          safeInvoke(onDebug, {
+            step: 'client.prompt.request',
+            data: { id: req.id, type: req.type, keyword: req.keyword },
+          });
+
+          pendingHostCallbacks += 1;
+          Promise.resolve(confirm ? onConfirm(req) : onLine(req))
+            .finally(() => {
+              pendingHostCallbacks -= 1;
+            })
+            .then((reply) => {
+              if (settled) {
+                return;
+              }
+              const normalized = confirm ? normalizeConfirmReply(reply) : normalizeLineReply(reply);
+              safeInvoke(onDebug, {
+                step: 'client.prompt.reply',
+                data: { id: req.id, type: req.type, eof: normalized.eof },
+              });
+              if (normalized.eof) {
+                queueCloseDescriptor(stdinQueueDesc);
+                return;
+              }
+              queuePushText(stdinQueue, normalized.text);
+            })
+            .catch((error) => {
+              safeInvoke(onStderr, `[wasm] ${req.type} callback failed: ${error instanceof Error ? error.message : String(error)}`);
+              queueCloseDescriptor(stdinQueueDesc);
+            });
+        };
+
+        if (timeouts.run > 0) {
+          watchdogId = setTimeout(() => finishTimeout('run', timeouts.run), timeouts.run);
+        }
+
+        const handleStdinRequest = (message) => {
+          const request = {
+            id: typeof message.id === 'string' ? message.id : '',
+            prompt: typeof message.prompt === 'string' ? message.prompt : '',
+            args: Array.isArray(message.args) ? message.args.map((item) => String(item)) : argv.slice(),
+          };
+
+          const promptInfo = parsePromptHint(request.prompt);
+          if (promptInfo.statusKeyword === 'GET_HIDDEN' && typeof onPinentry === 'function') {
+            handlePinentryViaStdinRequest(request, promptInfo);
+            return;
+          }
+          if (
+            (promptInfo.statusKeyword === 'GET_BOOL' && onConfirm)
+            || (promptInfo.statusKeyword === 'GET_LINE' && onLine)
+          ) {
+            handlePromptRequest(request, promptInfo);
+            return;
+          }
+
+          if (!stdinQueue || typeof callbacks.onInputRequest !== 'function') {
+            if (stdinQueueDesc) {
+              queueCloseDescriptor(stdinQueueDesc);
+            }
+            return;
+          }
+
+          pendingHostCallbacks += 1;
+          Promise.resolve(callbacks.onInputRequest(request))
+            .finally(() => {
+              pendingHostCallbacks -= 1;
+            })
             .then((reply) => {
-              const normalized = normalizePinentryReply(reply);
-              safeInvoke(onDebug, {
-                step: 'client.pinentry.reply',
-                data: {
-                  id: req.id,
-                  ok: normalized.ok,
-                  hasPassphrase: typeof normalized.passphrase === 'string' && normalized.passphrase.length > 0,
-                },
-              });
-              pushPinentryReplyToQueue(normalized);
+              if (settled) {
+                return;
+              }
+              const normalized = normalizeStdinReply(reply);
+              if (normalized.eof) {
+                queueCloseDescriptor(stdinQueueDesc);
+                return;
+              }
+              if (normalized.text) {
+                queuePushText(stdinQueue, normalized.text);
+              }
             })
             .catch((error) => {
-              safeInvoke(onDebug, {
-                step: 'client.pinentry.error',
-                data: {
-                  id: req.id,
-                  error: error instanceof Error ? error.message : String(error),
-                },
-              });
-              safeInvoke(onStderr, `[wasm] pinentry callback failed: ${error instanceof Error ? error.message : String(error)}`);
-              pushPinentryReplyToQueue({ ok: false, passphrase: '' });
+              safeInvoke(onStderr, `[wasm] input callback failed: ${error instanceof Error ? error.message : String(error)}`);
+              queueCloseDescriptor(stdinQueueDesc);
             });
         };
 
-        if (runTimeoutMs > 0) {
-          watchdogId = setTimeout(() => {
-            finishReject(new Error(`browser client watchdog timeout after ${runTimeoutMs}ms`));
-          }, runTimeoutMs + 1200);
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
         }
 
         worker.addEventListener('error', (event) => {
@@ -861,12 +2256,29 @@ export class WasmGpgBrowserClient {
 
           if (message.type === 'stdout') {
             stdoutCount += 1;
+            partialStdout.push(String(message.data ?? ''));
+            if (wantsPromptStdin) {
+              promptStdoutLines.push(String(message.data ?? ''));
+            }
             safeInvoke(onStdout, message.data);
             return;
           }
 
+          if (message.type === 'stdout-bytes') {
+            const chunk = message.data instanceof Uint8Array ? message.data : new Uint8Array();
+            stdoutByteCount += chunk.length;
+            safeInvoke(callbacks.onStdoutBytes, chunk);
+            if (stdoutController) {
+              stdoutController.enqueue(chunk);
+            } else {
+              stdoutChunks.push(chunk);
+            }
+            return;
+          }
+
           if (message.type === 'stderr') {
             stderrCount += 1;
+            partialStderr.push(String(message.data ?? ''));
             safeInvoke(onStderr, message.data);
             return;
           }
@@ -876,8 +2288,15 @@ export class WasmGpgBrowserClient {
             const statusLine = typeof message.line === 'string'
               ? message.line
               : String(message.line ?? '');
+            partialStatus.push(statusLine);
             updatePinentryContextFromStatus(statusLine);
+            if (wantsPromptStdin && !statusLine.startsWith('GET_')) {
+              promptStatusEvents.push(parseStatusEvent(statusLine));
+            }
             safeInvoke(onStatus, statusLine);
+            if (typeof onStatusEvent === 'function') {
+              safeInvoke(onStatusEvent, parseStatusEvent(statusLine));
+            }
             return;
           }
 
@@ -920,7 +2339,11 @@ export class WasmGpgBrowserClient {
               return;
             }
 
-            Promise.resolve(onPinentry(req))
+            pendingHostCallbacks += 1;
+            callPinentry(req)
+              .finally(() => {
+                pendingHostCallbacks -= 1;
+              })
               .then((reply) => {
                 const normalized = normalizePinentryReply(reply);
                 safeInvoke(onDebug, {
@@ -958,40 +2381,23 @@ export class WasmGpgBrowserClient {
           }
 
           if (message.type === 'stdin-request') {
-            const request = {
-              id: typeof message.id === 'string' ? message.id : '',
-              prompt: typeof message.prompt === 'string' ? message.prompt : '',
-              args: Array.isArray(message.args) ? message.args.map((item) => String(item)) : argv.slice(),
-            };
-
-            const promptInfo = parsePromptHint(request.prompt);
-            if (promptInfo.statusKeyword === 'GET_HIDDEN' && typeof onPinentry === 'function') {
-              handlePinentryViaStdinRequest(request, promptInfo);
-              return;
-            }
-
-            if (!stdinQueue || typeof callbacks.onInputRequest !== 'function') {
-              if (stdinQueueDesc) {
-                queueCloseDescriptor(stdinQueueDesc);
-              }
+            if (stdinPumping) {
+              /* The worker only asks when its queue is empty, so any byte pumped
+                 after this point answers the request. */
+              const pumpedBefore = stdinPumpedBytes;
+              stdinPump.then(() => {
+                if (stdinPumpedBytes === pumpedBefore) {
+                  handleStdinRequest(message);
+                }
+              });
               return;
             }
+            handleStdinRequest(message);
+            return;
+          }
 
-            Promise.resolve(callbacks.onInputRequest(request))
-              .then((reply) => {
-                const normalized = normalizeStdinReply(reply);
-                if (normalized.eof) {
-                  queueCloseDescriptor(stdinQueueDesc);
-                  return;
-                }
-                if (normalized.text) {
-                  queuePushText(stdinQueue, normalized.text);
-                }
-              })
-              .catch((error) => {
-                safeInvoke(onStderr, `[wasm] input callback failed: ${error instanceof Error ? error.message : String(error)}`);
-                queueCloseDescriptor(stdinQueueDesc);
-              });
+          if (message.type === 'timeout') {
+            finishTimeout(message.phase, message.timeoutMs);
             return;
           }
 
@@ -1011,6 +2417,7 @@ export class WasmGpgBrowserClient {
             const resultStatus = Array.isArray(message.statusLines)
               ? message.statusLines.map((line) => String(line))
               : [];
+            const resultStatusEvents = parseStatusEvents(resultStatus);
 
             if (stdoutCount === 0) {
               for (const line of resultStdout) {
@@ -1026,6 +2433,9 @@ export class WasmGpgBrowserClient {
               for (const line of resultStatus) {
                 safeInvoke(onStatus, line);
               }
+              for (const event of resultStatusEvents) {
+                safeInvoke(onStatusEvent, event);
+              }
             }
 
             const finalizeResult = async () => {
@@ -1035,9 +2445,16 @@ export class WasmGpgBrowserClient {
               let agentSessionInfo = null;
 
               if (persistentAgentSession) {
+                const mergeStart = performance.now();
                 let timeoutId = null;
+                let timedOut = false;
                 const timeoutPromise = new Promise((resolveTimeout) => {
-                  timeoutId = setTimeout(() => resolveTimeout(null), 6000);
+                  if (timeouts.agentResult > 0) {
+                    timeoutId = setTimeout(() => {
+                      timedOut = true;
+                      resolveTimeout(null);
+                    }, timeouts.agentResult);
+                  }
                 });
                 let agentResult = null;
                 try {
@@ -1049,10 +2466,17 @@ export class WasmGpgBrowserClient {
                     clearTimeout(timeoutId);
                   }
                 }
+                if (timedOut) {
+                  this._teardownAgentSessionWorker('agent session result timed out');
+                  finishTimeout('agentResult', timeouts.agentResult);
+                  return;
+                }
 
                 if (agentResult && typeof agentResult === 'object') {
                   if (agentResult.fsState && typeof agentResult.fsState === 'object') {
-                    finalFsState = mergeFsStates(finalFsState, agentResult.fsState);
+                    finalFsState = finalFsState && finalFsState.delta
+                      ? mergeFsDeltas(finalFsState, agentResult.fsState)
+                      : mergeFsStates(finalFsState, agentResult.fsState);
                   }
                   if (typeof agentResult.stderr === 'string' && agentResult.stderr.trim()) {
                     safeInvoke(onStderr, `[agent] ${agentResult.stderr.trimEnd()}`);
@@ -1064,34 +2488,57 @@ export class WasmGpgBrowserClient {
                     sessionId: persistentAgentSession.sessionId,
                     exitCode: Number.isFinite(agentResult.exitCode) ? Number(agentResult.exitCode) : null,
                     error: typeof agentResult.error === 'string' ? agentResult.error : '',
+                    opfs: agentResult.opfs && typeof agentResult.opfs === 'object' ? agentResult.opfs : null,
                   };
                 } else {
-                  safeInvoke(onStderr, '[agent] session result timeout; using gpg-side fs state only');
+                  safeInvoke(onStderr, '[agent] session result missing; using gpg-side fs state only');
                 }
+                hostTimings.phases.agentResultMerge = performance.now() - mergeStart;
               }
 
               closePersistentBridge();
 
+              const fsDelta = finalFsState && finalFsState.delta === true ? finalFsState : null;
+              if (fsDelta) {
+                finalFsState = applyFsDelta(fsState, fsDelta);
+              }
+
+              const changedPaths = fsDelta ? fsDelta.changed : diffFsStates(fsState, finalFsState);
               finishResolve({
                 exitCode: Number.isFinite(message.exitCode) ? message.exitCode : 1,
                 fsState: finalFsState,
+                fsDelta,
+                changedPaths,
+                revocationCertificates: changedPaths
+                  ? collectRevocationCertificates(finalFsState, this.homedir, [
+                      ...(changedPaths.created || []),
+                      ...(changedPaths.modified || []),
+                    ])
+                  : [],
+                opfs: message.opfs && typeof message.opfs === 'object' ? message.opfs : null,
                 workerError: workerReportedError ? workerReportedError.message : '',
                 stdoutLines: resultStdout,
                 stderrLines: resultStderr,
                 statusLines: resultStatus,
+                statusEvents: resultStatusEvents,
+                stdoutBytes: stdoutMode === 'bytes' ? concatBytes(stdoutChunks) : null,
                 callbackCounts: {
                   stdout: stdoutCount,
                   stderr: stderrCount,
                   status: statusCount,
+                  stdoutBytes: stdoutByteCount,
                 },
                 debugInfo: message.debugInfo && typeof message.debugInfo === 'object'
                   ? message.debugInfo
                   : null,
                 agentSession: agentSessionInfo,
+                timings: buildRunTimings(message.timings, { ...hostTimings, stdoutBytes: stdoutByteCount }),
               });
             };
 
-            void finalizeResult();
+            finalizeResult().catch((error) => {
+              finishReject(error instanceof Error ? error : new Error(String(error)));
+            });
           }
         });
 
@@ -1111,13 +2558,19 @@ export class WasmGpgBrowserClient {
             homedir: this.homedir,
             emitStatus,
             fsState,
+            fsDelta: this.fsDelta,
             persistRoots,
+            opfs: this.opfs,
             debug: callbacks.debug === true,
             enableAgentBridge,
             sharedAgentBridge: persistentAgentSession ? persistentAgentSession.bridge : null,
-            runTimeoutMs: Number.isFinite(callbacks.runTimeoutMs)
-              ? Number(callbacks.runTimeoutMs)
-              : undefined,
+            runTimeoutMs: timeouts.run,
+            timeouts: {
+              agentReady: timeouts.agentReady,
+              scdaemonReady: timeouts.scdaemonReady,
+              dirmngrReady: timeouts.dirmngrReady,
+              agentResult: timeouts.agentResult,
+            },
             pinentry: typeof onPinentry === 'function'
               ? {
                   enabled: true,
@@ -1130,14 +2583,713 @@ export class WasmGpgBrowserClient {
                   enabled: false,
                 },
             stdinText,
+            stdinBytes,
             stdinQueue: stdinQueueDesc,
+            stdoutMode: stdoutMode === 'lines' ? 'lines' : 'bytes',
+            stdoutLines: typeof onStdout === 'function' || callbacks.stdoutLines === true,
           });
         } catch (error) {
           finishReject(error instanceof Error ? error : new Error(String(error)));
+          return;
+        }
+
+        if (stdinPumpSource) {
+          stdinPumping = true;
+          stdinPump = (async () => {
+            const isCancelled = () => settled;
+            if (stdinPumpSource.bytes) {
+              await queuePushBytesAsync(stdinQueue, stdinPumpSource.bytes, isCancelled);
+              stdinPumpedBytes += stdinPumpSource.bytes.length;
+              return;
+            }
+            const reader = stdinPumpSource.stream.getReader();
+            try {
+              while (!isCancelled()) {
+                const { done, value } = await reader.read();
+                if (done) {
+                  break;
+                }
+                const chunk = toBytes(value);
+                if (!await queuePushBytesAsync(stdinQueue, chunk, isCancelled)) {
+                  break;
+                }
+                stdinPumpedBytes += chunk.length;
+              }
+            } finally {
+              if (isCancelled()) {
+                void reader.cancel().catch(() => null);
+              }
+              reader.releaseLock();
+            }
+          })()
+            .catch((error) => {
+              safeInvoke(onStderr, `[wasm] stdin stream failed: ${error instanceof Error ? error.message : String(error)}`);
+              queueCloseDescriptor(stdinQueueDesc);
+            })
+            .finally(() => {
+              stdinPumping = false;
+              if (!wantsInteractiveStdin && !wantsPinentryStdin && !wantsPromptStdin) {
+                queueCloseDescriptor(stdinQueueDesc);
+              }
+            });
+        }
+      });
+    } finally {
+      if (usesSharedAgentSession) {
+        this._agentSessionInUse = false;
+      }
+    }
+  }
+
+  async _runOperation(args, scratch, runOptions) {
+    const scratchState = (this.storage && runOptions.fsState === undefined) || isSealedFsState(runOptions.fsState)
+      ? { fsStateOverlay: scratch.overlay() }
+      : { fsState: scratch.buildFsState() };
+    const result = await this.run(args, {
+      ...runOptions,
+      ...scratchState,
+      persistRoots: scratch.persistRoots,
+      sealResult: false,
+    });
+    const statusInfo = collectOperationStatus(result.statusEvents);
+    return {
+      result,
+      statusInfo,
+      plain: result.fsState,
+      fsState: await this._sealFsState(scratch.strip(result.fsState)),
+    };
+  }
+
+  _operationError(operation, run, code) {
+    const failureCode = code || classifyOperationFailure(run.statusInfo);
+    return new WasmGpgOperationError(
+      `gpg ${operation} failed (${failureCode}, exit code ${run.result.exitCode})`,
+      {
+        code: failureCode,
+        operation,
+        exitCode: run.result.exitCode,
+        statusLines: run.result.statusLines,
+        stderrLines: run.result.stderrLines,
+        fsState: run.fsState,
+      },
+    );
+  }
+
+  async encrypt(options = {}) {
+    const {
+      data,
+      recipients,
+      armor = false,
+      symmetric = false,
+      signer = '',
+      trustModel = '',
+      ...runOptions
+    } = options;
+    const recipientList = normalizeRecipients(recipients);
+    if (!recipientList.length && !symmetric) {
+      throw new WasmGpgError('encrypt requires at least one recipient or symmetric: true', { code: 'invalid-argument' });
+    }
+
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const inputPath = scratch.addFile('input', data);
+    const args = [];
+    if (armor) {
+      args.push('--armor');
+    }
+    if (trustModel) {
+      args.push('--trust-model', String(trustModel));
+    }
+    if (signer) {
+      args.push('--local-user', String(signer), '--sign');
+    }
+    for (const recipient of recipientList) {
+      args.push('--recipient', recipient);
+    }
+    if (recipientList.length) {
+      args.push('--encrypt');
+    }
+    if (symmetric) {
+      args.push('--symmetric');
+    }
+    args.push('--output', scratch.path('output'), inputPath);
+
+    const run = await this._runOperation(args, scratch, runOptions);
+    const output = scratch.readFile(run.plain, 'output');
+    if (run.result.exitCode !== 0 || !output) {
+      throw this._operationError('encrypt', run);
+    }
+    return {
+      data: output,
+      recipients: recipientList,
+      sessionAlgorithm: run.statusInfo.sessionAlgorithm,
+      signatures: run.statusInfo.createdSignatures,
+      fsState: run.fsState,
+      statusLines: run.result.statusLines,
+    };
+  }
+
+  async decrypt(data, options = {}) {
+    const scratch = createOperationScratch(options.fsState, options.persistRoots ?? this.persistRoots);
+    const inputPath = scratch.addFile('input', data);
+    const args = ['--output', scratch.path('output'), '--decrypt', inputPath];
+
+    const run = await this._runOperation(args, scratch, options);
+    const output = scratch.readFile(run.plain, 'output');
+    if (!run.statusInfo.decryptionOkay || !output) {
+      throw this._operationError('decrypt', run);
+    }
+    return {
+      data: output,
+      recipients: run.statusInfo.recipients,
+      decryptionKey: run.statusInfo.decryptionKey,
+      sessionAlgorithm: run.statusInfo.sessionAlgorithm,
+      signatures: run.statusInfo.signatures,
+      plaintext: run.statusInfo.plaintext,
+      fsState: run.fsState,
+      statusLines: run.result.statusLines,
+    };
+  }
+
+  async sign(options = {}) {
+    const {
+      data,
+      signer = '',
+      mode = 'inline',
+      armor = false,
+      ...runOptions
+    } = options;
+    const modeFlags = {
+      inline: '--sign',
+      clear: '--clearsign',
+      detach: '--detach-sign',
+    };
+    if (!Object.prototype.hasOwnProperty.call(modeFlags, mode)) {
+      throw new WasmGpgError(`unknown sign mode: ${mode}`, { code: 'invalid-argument' });
+    }
+
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const inputPath = scratch.addFile('input', data);
+    const args = [];
+    if (armor && mode !== 'clear') {
+      args.push('--armor');
+    }
+    if (signer) {
+      args.push('--local-user', String(signer));
+    }
+    args.push('--output', scratch.path('output'), modeFlags[mode], inputPath);
+
+    const run = await this._runOperation(args, scratch, runOptions);
+    const output = scratch.readFile(run.plain, 'output');
+    if (run.result.exitCode !== 0 || !output) {
+      throw this._operationError('sign', run);
+    }
+    return {
+      data: output,
+      signatures: run.statusInfo.createdSignatures,
+      fsState: run.fsState,
+      statusLines: run.result.statusLines,
+    };
+  }
+
+  async verify(data, options = {}) {
+    const { signature, ...runOptions } = options;
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const args = ['--verify'];
+    if (signature !== undefined && signature !== null) {
+      args.push(scratch.addFile('signature', signature));
+    }
+    args.push(scratch.addFile('input', data));
+
+    const run = await this._runOperation(args, scratch, runOptions);
+    const { signatures } = run.statusInfo;
+    if (!signatures.length) {
+      throw this._operationError('verify', run);
+    }
+    return {
+      valid: run.result.exitCode === 0 && signatures.every((sig) => sig.status === 'good'),
+      signatures,
+      fsState: run.fsState,
+      statusLines: run.result.statusLines,
+    };
+  }
+
+  async _listKeys(operation, listCommand, patterns, options) {
+    const patternList = normalizeStringArray(
+      typeof patterns === 'string' ? [patterns] : patterns,
+    ).filter(Boolean);
+    const scratch = createOperationScratch(options.fsState, options.persistRoots ?? this.persistRoots);
+    const args = [
+      '--with-colons',
+      /* Given twice, gpg also prints the subkey fingerprints. */
+      '--with-fingerprint',
+      '--with-fingerprint',
+      '--with-keygrip',
+      listCommand,
+      ...patternList,
+    ];
+
+    const run = await this._runOperation(args, scratch, options);
+    const keys = parseColonListing(run.result.stdoutLines);
+    if (run.result.exitCode !== 0 && !(patternList.length && isKeyNotFound(run.result.statusEvents))) {
+      throw this._operationError(operation, run);
+    }
+    return {
+      keys,
+      fsState: run.fsState,
+      statusLines: run.result.statusLines,
+    };
+  }
+
+  async listKeys(patterns = [], options = {}) {
+    return this._listKeys('listKeys', '--list-keys', patterns, options);
+  }
+
+  async listSecretKeys(patterns = [], options = {}) {
+    return this._listKeys('listSecretKeys', '--list-secret-keys', patterns, options);
+  }
+
+  async editKey(keyId, steps, options = {}) {
+    const { save = true, answers, ...runOptions } = options;
+    if (typeof keyId !== 'string' || !keyId) {
+      throw new WasmGpgError('editKey requires a key id', { code: 'invalid-argument' });
+    }
+    let session;
+    try {
+      session = createEditKeySession(steps, { save, answers });
+    } catch (error) {
+      throw new WasmGpgError(error instanceof Error ? error.message : String(error), { code: 'invalid-argument' });
+    }
+
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const run = await this._runOperation(['--edit-key', keyId], scratch, {
+      ...runOptions,
+      access: 'write',
+      onLine: session.onLine,
+      onConfirm: session.onConfirm,
+    });
+    if (session.failure) {
+      const { failure } = session;
+      const where = failure.step === null ? '' : ` in step ${failure.step} (${failure.command})`;
+      throw new WasmGpgOperationError(
+        `gpg editKey stopped at unexpected ${failure.type} prompt ${failure.keyword}${where}`,
+        {
+          code: 'unexpected-prompt',
+          operation: 'editKey',
+          exitCode: run.result.exitCode,
+          statusLines: run.result.statusLines,
+          stderrLines: run.result.stderrLines,
+          fsState: run.fsState,
+        },
+      );
+    }
+    const commandError = run.result.statusLines.find((line) => /^ERROR keyedit\./.test(line));
+    if (commandError || run.result.exitCode !== 0 || !session.finished) {
+      throw this._operationError('editKey', run, commandError ? 'edit-failed' : '');
+    }
+
+    return {
+      ...await this._refreshKey(keyId, run, runOptions),
+      transcript: session.transcript,
+    };
+  }
+
+  /* Without storage nothing holds the result of a run, so the next run
+     starts from its fsState even when the caller passed none. */
+  _followUpOptions(run, runOptions) {
+    return runOptions.fsState !== undefined || !this.storage
+      ? { ...runOptions, fsState: run.fsState }
+      : runOptions;
+  }
+
+  async _refreshKey(keyId, run, runOptions) {
+    const listing = await this.listKeys([keyId], this._followUpOptions(run, runOptions));
+    return {
+      key: listing.keys[0] || null,
+      keys: listing.keys,
+      fsState: listing.fsState,
+      statusLines: run.result.statusLines,
+    };
+  }
+
+  async _runKeyCommand(operation, keyId, args, runOptions) {
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const run = await this._runOperation(args, scratch, {
+      ...runOptions,
+      access: 'write',
+      pinentryRequest: {
+        op: inferPinentryOperation(args),
+        keyHint: keyId,
+        ...(runOptions.pinentryRequest && typeof runOptions.pinentryRequest === 'object' ? runOptions.pinentryRequest : {}),
+      },
+    });
+    if (run.result.exitCode !== 0) {
+      throw this._operationError(operation, run);
+    }
+    return this._refreshKey(keyId, run, runOptions);
+  }
+
+  async addUid(keyId, userId, options = {}) {
+    const fpr = requireFingerprint('addUid', 'keyId', keyId);
+    const uid = requireUserId('addUid', 'userId', userId);
+    return this._runKeyCommand('addUid', fpr, ['--quick-add-uid', fpr, uid], options);
+  }
+
+  async revokeUid(keyId, userId, options = {}) {
+    const fpr = requireFingerprint('revokeUid', 'keyId', keyId);
+    const uid = requireUserId('revokeUid', 'userId', userId);
+    return this._runKeyCommand('revokeUid', fpr, ['--quick-revoke-uid', fpr, uid], options);
+  }
+
+  async addKey(keyId, options = {}) {
+    const {
+      algo = 'default',
+      usage = 'default',
+      expire = 'never',
+      ...runOptions
+    } = options;
+    const fpr = requireFingerprint('addKey', 'keyId', keyId);
+    if (typeof algo !== 'string' || !KEY_ALGO_PATTERN.test(algo)) {
+      throw new WasmGpgError(`addKey got an invalid algorithm: ${String(algo)}`, { code: 'invalid-argument' });
+    }
+    const args = [
+      '--quick-add-key',
+      fpr,
+      algo,
+      normalizeKeyUsage('addKey', usage),
+      normalizeExpire('addKey', expire),
+    ];
+    return this._runKeyCommand('addKey', fpr, args, runOptions);
+  }
+
+  async setExpire(keyId, expire, options = {}) {
+    const { subkeys, ...runOptions } = options;
+    const fpr = requireFingerprint('setExpire', 'keyId', keyId);
+    const args = ['--quick-set-expire', fpr, normalizeExpire('setExpire', expire)];
+    if (subkeys === '*') {
+      args.push('*');
+    } else if (subkeys !== undefined) {
+      const list = typeof subkeys === 'string' ? [subkeys] : normalizeStringArray(subkeys);
+      if (!list.length) {
+        throw new WasmGpgError('setExpire requires subkeys to be "*" or a list of fingerprints', { code: 'invalid-argument' });
+      }
+      args.push(...list.map((item) => requireFingerprint('setExpire', 'subkeys', item)));
+    }
+    return this._runKeyCommand('setExpire', fpr, args, runOptions);
+  }
+
+  async setPrimaryUid(keyId, userId, options = {}) {
+    const fpr = requireFingerprint('setPrimaryUid', 'keyId', keyId);
+    const uid = requireUserId('setPrimaryUid', 'userId', userId);
+    return this._runKeyCommand('setPrimaryUid', fpr, ['--quick-set-primary-uid', fpr, uid], options);
+  }
+
+  async revokeSig(keyId, signerKeyId, options = {}) {
+    const { userIds, ...runOptions } = options;
+    const fpr = requireFingerprint('revokeSig', 'keyId', keyId);
+    const signer = requireFingerprint('revokeSig', 'signerKeyId', signerKeyId);
+    const names = (typeof userIds === 'string' ? [userIds] : normalizeStringArray(userIds))
+      .map((item) => requireUserId('revokeSig', 'userIds', item));
+    return this._runKeyCommand('revokeSig', fpr, ['--quick-revoke-sig', fpr, signer, ...names], {
+      ...runOptions,
+      pinentryRequest: { keyHint: signer, ...runOptions.pinentryRequest },
+    });
+  }
+
+  async generateKey(options = {}) {
+    const {
+      userId,
+      algo = 'ed25519/cv25519',
+      usage,
+      expire = 'never',
+      passphrase,
+      noProtection = false,
+      onProgress,
+      ...runOptions
+    } = options;
+    const uid = requireUserId('generateKey', 'userId', userId);
+    const spec = KEY_GENERATION_PRESETS[algo] || algo;
+    if (typeof spec !== 'string' || !KEY_GENERATION_SPEC_PATTERN.test(spec)) {
+      throw new WasmGpgError(`generateKey got an invalid algorithm: ${String(algo)}`, { code: 'invalid-argument' });
+    }
+    if (passphrase !== undefined && (typeof passphrase !== 'string' || !passphrase)) {
+      throw new WasmGpgError('generateKey requires passphrase to be a non-empty string', { code: 'invalid-argument' });
+    }
+    if (passphrase !== undefined && noProtection) {
+      throw new WasmGpgError('generateKey accepts passphrase or noProtection, not both', { code: 'invalid-argument' });
+    }
+    if (passphrase === undefined && !noProtection && typeof runOptions.onPinentry !== 'function') {
+      throw new WasmGpgError('generateKey requires passphrase, noProtection or onPinentry', { code: 'invalid-argument' });
+    }
+
+    /* --quick-generate-key only creates the subkey for default and
+       future-default, so an explicit subkey is added in a second run. */
+    const [primarySpec, subkeySpec] = spec.split('+');
+    const [primaryAlgo, primaryUsage] = primarySpec.split('/');
+    if (usage !== undefined && primaryUsage) {
+      throw new WasmGpgError(`generateKey cannot apply usage to ${String(algo)}, which sets its own`, { code: 'invalid-argument' });
+    }
+    const expireValue = normalizeExpire('generateKey', expire);
+    const protectArgs = noProtection ? ['--passphrase', ''] : [];
+    const keygenOptions = (overrides) => ({
+      runTimeoutMs: 600000,
+      ...runOptions,
+      ...overrides,
+      access: 'write',
+      pinentryRequest: { op: 'generate-key', uidHint: uid, ...runOptions.pinentryRequest },
+      ...(passphrase !== undefined ? { onPinentry: () => ({ ok: true, passphrase, cache: false }) } : {}),
+      onStatusEvent: (event) => {
+        if (event.keyword === 'PROGRESS') {
+          safeInvoke(onProgress, {
+            what: event.what,
+            char: event.char,
+            current: event.current,
+            total: event.total,
+            units: event.units,
+            done: event.done,
+          });
+        }
+        safeInvoke(runOptions.onStatusEvent, event);
+      },
+    });
+
+    const args = [
+      ...protectArgs,
+      '--quick-generate-key',
+      uid,
+      primaryAlgo,
+      primaryUsage || normalizeKeyUsage('generateKey', usage ?? 'default'),
+      expireValue,
+    ];
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const run = await this._runOperation(args, scratch, keygenOptions({}));
+
+    const created = run.result.statusEvents.find((event) => event.keyword === 'KEY_CREATED');
+    if (run.result.exitCode !== 0 || !created || !created.fingerprint) {
+      throw this._operationError('generateKey', run);
+    }
+    const fingerprint = created.fingerprint.toUpperCase();
+    const revocation = (run.result.revocationCertificates || [])
+      .find((entry) => entry.fingerprint === fingerprint);
+
+    let current = run;
+    if (subkeySpec) {
+      const [subkeyAlgo, subkeyUsage] = subkeySpec.split('/');
+      const subkeyScratch = createOperationScratch(scratch.strip(run.plain), runOptions.persistRoots ?? this.persistRoots);
+      current = await this._runOperation(
+        [...protectArgs, '--quick-add-key', fingerprint, subkeyAlgo, subkeyUsage || 'encr', expireValue],
+        subkeyScratch,
+        keygenOptions(this._followUpOptions(run, runOptions)),
+      );
+      if (current.result.exitCode !== 0) {
+        throw this._operationError('generateKey', current);
+      }
+    }
+
+    return {
+      ...await this._refreshKey(fingerprint, current, runOptions),
+      fingerprint,
+      revocationCertificate: revocation ? revocation.certificate : null,
+    };
+  }
+
+  async generateRevocation(keyId, options = {}) {
+    const {
+      reason = 'unspecified',
+      description = '',
+      ...runOptions
+    } = options;
+    const fpr = requireFingerprint('generateRevocation', 'keyId', keyId);
+    const code = REVOCATION_REASONS[reason] ?? (Number.isInteger(reason) && reason >= 0 && reason <= 3 ? String(reason) : '');
+    if (!code) {
+      throw new WasmGpgError(`generateRevocation got an invalid reason: ${String(reason)}`, { code: 'invalid-argument' });
+    }
+    const descriptionLines = String(description || '').split(/\r?\n/).filter((line) => line.trim());
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const args = ['--armor', '--output', scratch.path('revocation.asc'), '--gen-revoke', fpr];
+    let textIndex = 0;
+    const answers = {
+      'gen_revoke.okay': true,
+      'ask_revocation_reason.code': code,
+      'ask_revocation_reason.okay': true,
+    };
+    let unexpected = '';
+
+    const run = await this._runOperation(args, scratch, {
+      ...runOptions,
+      onConfirm: ({ keyword }) => {
+        if (typeof answers[keyword] === 'boolean') {
+          return answers[keyword];
+        }
+        unexpected = unexpected || keyword;
+        return null;
+      },
+      onLine: ({ keyword }) => {
+        if (keyword === 'ask_revocation_reason.text') {
+          const line = descriptionLines[textIndex] ?? '';
+          textIndex += 1;
+          return line;
+        }
+        if (typeof answers[keyword] === 'string') {
+          return answers[keyword];
         }
+        unexpected = unexpected || keyword;
+        return null;
+      },
+    });
+    const output = scratch.readFile(run.plain, 'revocation.asc');
+    if (unexpected || run.result.exitCode !== 0 || !output) {
+      throw this._operationError('generateRevocation', run, unexpected ? 'unexpected-prompt' : '');
+    }
+    return {
+      fingerprint: fpr,
+      reason: Object.keys(REVOCATION_REASONS).find((name) => REVOCATION_REASONS[name] === code),
+      description: descriptionLines.join('\n'),
+      certificate: new TextDecoder().decode(output),
+      fsState: run.fsState,
+      statusLines: run.result.statusLines,
+    };
+  }
+
+  async exportRevocationCertificates(options = {}) {
+    const saving = Boolean(options.remove) && options.fsState === undefined && options.save !== false;
+    const exportCertificates = async () => {
+      const state = await this._loadHomedirState(options, 'exportRevocationCertificates');
+      const certificates = collectRevocationCertificates(state, this.homedir);
+      if (!options.remove || !certificates.length) {
+        return { certificates, fsState: options.fsState !== undefined ? options.fsState : null };
+      }
+
+      const removed = new Set(certificates.map((entry) => entry.path));
+      const sealed = await this._sealFsState({
+        ...state,
+        files: state.files.filter((entry) => !removed.has(entry.path)),
+      });
+      if (saving) {
+        const summary = await this.storage.save(sealed);
+        this._notifyHomedirChange('revocations', {
+          changedPaths: { created: [], modified: [], deleted: Array.from(removed) },
+          generation: summary && summary.generation,
+        }, options.onDebug);
+      }
+      return { certificates, fsState: sealed };
+    };
+    if (!saving || !this.storage) {
+      return exportCertificates();
+    }
+    const release = this._runScheduler
+      ? await this._runScheduler.acquire({ access: 'write', priority: options.priority, signal: options.signal })
+      : null;
+    try {
+      return await this._withHomedirLock(options, exportCertificates);
+    } finally {
+      if (release) {
+        release();
+      }
+    }
+  }
+
+  async applyRevocation(certificate, options = {}) {
+    const { upload = false, keyserver = '', ...runOptions } = options;
+    const text = typeof certificate === 'string' ? certificate : new TextDecoder().decode(toBytes(certificate));
+    const armored = text.replace(/^:(-----BEGIN PGP PUBLIC KEY BLOCK-----)/m, '$1');
+    if (!armored.includes('-----BEGIN PGP PUBLIC KEY BLOCK-----')) {
+      throw new WasmGpgError('applyRevocation requires an armored revocation certificate', { code: 'invalid-argument' });
+    }
+
+    const scratch = createOperationScratch(runOptions.fsState, runOptions.persistRoots ?? this.persistRoots);
+    const inputPath = scratch.addFile('revocation.asc', armored);
+    const run = await this._runOperation(['--import', inputPath], scratch, { ...runOptions, access: 'write' });
+    const imported = run.result.statusEvents.find((event) => event.keyword === 'IMPORT_OK');
+    const summary = run.result.statusEvents.find((event) => event.keyword === 'IMPORT_RES');
+    if (!imported || !summary || !summary.revocations) {
+      throw this._operationError('applyRevocation', run, 'revocation-not-applied');
+    }
+    const fpr = imported.fingerprint;
+
+    let uploaded = false;
+    let current = run;
+    if (upload) {
+      const sendArgs = keyserver ? ['--keyserver', String(keyserver)] : [];
+      sendArgs.push('--send-keys', fpr);
+      const uploadScratch = createOperationScratch(scratch.strip(run.plain), runOptions.persistRoots ?? this.persistRoots);
+      current = await this._runOperation(sendArgs, uploadScratch, this._followUpOptions(run, runOptions));
+      if (current.result.exitCode !== 0) {
+        throw this._operationError('applyRevocation', current, 'upload-failed');
+      }
+      uploaded = true;
+    }
+
+    return {
+      ...await this._refreshKey(fpr, current, runOptions),
+      fingerprint: fpr,
+      uploaded,
+    };
+  }
+
+  async _loadHomedirState(options, operation) {
+    if (options.fsState !== undefined) {
+      return this._openFsState(options.fsState);
+    }
+    if (this.storage) {
+      return this._openFsState(await this.storage.load());
+    }
+    throw new WasmGpgError(`${operation} requires fsState or storage`, { code: 'invalid-argument' });
+  }
+
+  async exportHomedirArchive(options = {}) {
+    const state = await this._loadHomedirState(options, 'exportHomedirArchive');
+    return fsStateToTar(state, {
+      root: this.homedir,
+      skipRuntimeFiles: options.skipRuntimeFiles === true,
+      mtime: options.mtime,
+    });
+  }
+
+  async importHomedirArchive(archive, options = {}) {
+    const bytes = typeof Blob !== 'undefined' && archive instanceof Blob
+      ? new Uint8Array(await archive.arrayBuffer())
+      : toBytes(archive);
+    let imported;
+    try {
+      imported = tarToFsState(bytes, {
+        root: this.homedir,
+        skipRuntimeFiles: options.skipRuntimeFiles !== false,
       });
+    } catch (error) {
+      throw new WasmGpgError(error instanceof Error ? error.message : String(error), { code: 'invalid-archive' });
+    }
+
+    const release = this._runScheduler
+      ? await this._runScheduler.acquire({ access: 'write', priority: options.priority, signal: options.signal })
+      : null;
+    try {
+      const useStorage = Boolean(this.storage) && options.fsState === undefined;
+      const commitImport = async () => {
+        const base = options.fsState !== undefined || useStorage
+          ? await this._loadHomedirState(options, 'importHomedirArchive')
+          : null;
+        const fsState = base
+          ? mergeFsStates(stripFsStateRoots(base, [this.homedir]), imported.fsState)
+          : imported.fsState;
+        const sealed = await this._sealFsState(fsState);
+        if (useStorage && options.save !== false) {
+          const summary = await this.storage.save(sealed);
+          this._notifyHomedirChange('import', {
+            generation: summary && summary.generation,
+          }, options.onDebug);
+        }
+        return {
+          fsState: sealed,
+          skipped: imported.skipped,
+        };
+      };
+      return useStorage && options.save !== false
+        ? await this._withHomedirLock(options, commitImport)
+        : await commitImport();
     } finally {
-      this._runInProgress = false;
+      if (release) {
+        release();
+      }
     }
   }
 }
@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { WasmGpgBrowserClient } from './gpg-browser-client.mjs';
+import { isSealedFsState } from './gpg-fs-state-seal.mjs';
+
+const HOMEDIR = '/gnupg';
+const FPR = 'AAAA1111111111111111AAAA1111111111111111';
+
+let workerScript = null;
+
+class FakeWorker extends EventTarget {
+  postMessage(message) {
+    if (message && message.type === 'run') {
+      const script = workerScript;
+      setTimeout(() => script(message, this), 0);
+    }
+  }
+
+  emit(data) {
+    const event = new Event('message');
+    event.data = data;
+    this.dispatchEvent(event);
+  }
+
+  terminate() {}
+}
+
+globalThis.Worker = FakeWorker;
+
+function createClient(config = {}) {
+  return new WasmGpgBrowserClient({
+    gpgScriptUrl: 'fake:gpg.js',
+    homedir: HOMEDIR,
+    persistRoots: [HOMEDIR],
+    persistentAgentRuntime: false,
+    ...config,
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function readQueue(desc, count) {
+  const ctrl = new Int32Array(desc.meta);
+  const data = new Uint8Array(desc.data);
+  const bytes = [];
+  while (bytes.length < count) {
+    const tail = Atomics.load(ctrl, 1);
+    if (tail !== Atomics.load(ctrl, 0)) {
+      bytes.push(data[tail]);
+      Atomics.store(ctrl, 1, (tail + 1) % data.length);
+    } else if (Atomics.load(ctrl, 2) !== 0) {
+      break;
+    } else {
+      await sleep(1);
+    }
+  }
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+function finish(worker, { exitCode = 0, stdoutLines = [], statusLines = [], fsState = null } = {}) {
+  worker.emit({ type: 'result', exitCode, stdoutLines, stderrLines: [], statusLines, fsState });
+}
+
+test('pumped stdin stays open for confirm prompts', async () => {
+  workerScript = async (message, worker) => {
+    const pumped = await readQueue(message.stdinQueue, 5);
+    await sleep(20);
+    worker.emit({ type: 'stdin-request', id: 'p1', prompt: 'GET_BOOL keyedit.save.okay' });
+    const reply = await readQueue(message.stdinQueue, 2);
+    const closed = Atomics.load(new Int32Array(message.stdinQueue.meta), 2) !== 0;
+    finish(worker, { stdoutLines: [pumped, reply, String(closed)] });
+  };
+
+  const prompts = [];
+  const result = await createClient().run(['--edit-key', FPR], {
+    enableAgentBridge: false,
+    stdin: new TextEncoder().encode('trust'),
+    onConfirm: (request) => {
+      prompts.push(request.keyword);
+      return true;
+    },
+  });
+  assert.deepEqual(prompts, ['keyedit.save.okay']);
+  assert.deepEqual(result.stdoutLines, ['trust', 'y\n', 'false']);
+});
+
+function homedirState(files) {
+  return {
+    version: 1,
+    roots: [HOMEDIR],
+    dirs: [{ path: HOMEDIR, mode: 0o700 }],
+    files: files.map((name) => ({ path: `${HOMEDIR}/${name}`, mode: 0o600, data: '' })),
+  };
+}
+
+function fileNames(state) {
+  return (state && Array.isArray(state.files) ? state.files : [])
+    .map((file) => file.path.slice(HOMEDIR.length + 1))
+    .sort();
+}
+
+function listingFor(state) {
+  if (!fileNames(state).includes('pubring.kbx')) {
+    return [];
+  }
+  return [
+    'pub:u:255:22:1111AAAA11111111:1700000000:::u:::scSC:::::ed25519:::0:',
+    `fpr:::::::::${FPR}:`,
+    'uid:u::::1700000000::HASH1::Alice \\x3Calice@example.org\\x3E::::::::::0:',
+    ...fileNames(state).includes('uid-added') ? ['uid:u::::1700000100::HASH2::Bob::::::::::0:'] : [],
+  ];
+}
+
+test('quick-* wrappers list the key from the command state without storage', async () => {
+  const runs = [];
+  workerScript = (message, worker) => {
+    runs.push({ args: message.args, files: fileNames(message.fsState) });
+    if (message.args.includes('--quick-add-uid')) {
+      finish(worker, { fsState: homedirState(['pubring.kbx', 'uid-added']) });
+      return;
+    }
+    finish(worker, { stdoutLines: listingFor(message.fsState), fsState: message.fsState });
+  };
+
+  const result = await createClient().addUid(FPR, 'Bob', { enableAgentBridge: false });
+  assert.deepEqual(runs.map((run) => run.files), [[], ['pubring.kbx', 'uid-added']]);
+  assert.ok(runs[1].args.includes('--list-keys'));
+  assert.equal(result.key.fingerprint, FPR);
+  assert.deepEqual(result.key.userIds.map((uid) => uid.userId), ['Alice <alice@example.org>', 'Bob']);
+  assert.deepEqual(fileNames(result.fsState), ['pubring.kbx', 'uid-added']);
+});
+
+test('generateKey rejects conflicting options', async () => {
+  const client = createClient();
+  await assert.rejects(
+    client.generateKey({ userId: 'Alice', passphrase: 'secret', noProtection: true }),
+    { code: 'invalid-argument', message: /passphrase or noProtection, not both/ },
+  );
+  await assert.rejects(
+    client.generateKey({ userId: 'Alice', algo: 'rsa3072', usage: 'sign', noProtection: true }),
+    { code: 'invalid-argument', message: /cannot apply usage to rsa3072/ },
+  );
+  await assert.rejects(
+    client.generateKey({ userId: 'Alice', algo: 'ed25519/sign', usage: 'cert', noProtection: true }),
+    { code: 'invalid-argument' },
+  );
+});
+
+test('generateKey adds the preset subkey on the sealed state of the primary key run', async () => {
+  const runs = [];
+  workerScript = (message, worker) => {
+    runs.push({ args: message.args, files: fileNames(message.fsState) });
+    if (message.args.includes('--quick-generate-key')) {
+      finish(worker, {
+        statusLines: [`KEY_CREATED P ${FPR}`],
+        fsState: homedirState(['pubring.kbx']),
+      });
+      return;
+    }
+    if (message.args.includes('--quick-add-key')) {
+      finish(worker, { fsState: homedirState(['pubring.kbx', 'subkey-added']) });
+      return;
+    }
+    finish(worker, { stdoutLines: listingFor(message.fsState), fsState: message.fsState });
+  };
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const result = await createClient({ encryption: { key } }).generateKey({
+    userId: 'Alice <alice@example.org>',
+    noProtection: true,
+    enableAgentBridge: false,
+  });
+  assert.deepEqual(runs.map((run) => run.args.find((arg) => /^--(?:quick|list)-/.test(arg))), [
+    '--quick-generate-key',
+    '--quick-add-key',
+    '--list-keys',
+  ]);
+  assert.deepEqual(runs[1].args.slice(-4), [FPR, 'cv25519', 'encr', 'never']);
+  assert.deepEqual(runs.map((run) => run.files), [[], ['pubring.kbx'], ['pubring.kbx', 'subkey-added']]);
+  assert.equal(result.fingerprint, FPR);
+  assert.equal(result.key.fingerprint, FPR);
+  assert.equal(isSealedFsState(result.fsState), true);
+});
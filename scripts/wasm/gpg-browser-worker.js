@@ -1,5 +1,8 @@
 /* eslint-env worker */
 
+importScripts(new URL('./gpg-fs-hash.js', self.location.href).toString());
+const { hashFsBytes } = self.GnupgFsHash;
+
 const STATUS_PREFIX = '[GNUPG:]';
 let runInProgress = false;
 let stdinPromptHint = '';
@@ -38,6 +41,19 @@ function postError(message) {
   });
 }
 
+function postTimeout(phase, timeoutMs) {
+  postMessage({
+    type: 'timeout',
+    phase,
+    timeoutMs,
+  });
+}
+
+function readTimeoutMs(timeouts, phase, fallback) {
+  const value = timeouts && typeof timeouts === 'object' ? timeouts[phase] : undefined;
+  return Number.isFinite(value) && value >= 0 ? Number(value) : fallback;
+}
+
 function formatError(error) {
   if (error instanceof Error) {
     return error.message;
@@ -172,6 +188,24 @@ function operationLikelyNeedsPinentry(args) {
   ]);
 }
 
+function operationNeedsDirmngr(args) {
+  return includesAnyOption(args, [
+    '--recv-keys',
+    '--recv-key',
+    '--receive-keys',
+    '--send-keys',
+    '--send-key',
+    '--search-keys',
+    '--search-key',
+    '--refresh-keys',
+    '--fetch-keys',
+    '--locate-keys',
+    '--locate-external-keys',
+    '--auto-key-locate',
+    '--auto-key-retrieve',
+  ]);
+}
+
 function parentDirectory(pathValue) {
   const idx = pathValue.lastIndexOf('/');
   if (idx <= 0) {
@@ -233,7 +267,7 @@ function decodeBase64(base64Text) {
   return out;
 }
 
-function restoreFsState(FS, state) {
+function restoreFsState(FS, state, index = null) {
   if (!state || typeof state !== 'object') {
     return;
   }
@@ -247,6 +281,9 @@ function restoreFsState(FS, state) {
     }
     const path = normalizePath(entry.path, '/');
     ensureDirectory(FS, path);
+    if (index) {
+      index.set(path, { kind: 'dir', mode: normalizeMode(entry.mode, 0o700) });
+    }
     try {
       FS.chmod(path, normalizeMode(entry.mode, 0o700));
     } catch {
@@ -265,6 +302,13 @@ function restoreFsState(FS, state) {
     ensureDirectory(FS, parentDirectory(path));
     const bytes = decodeBase64(typeof entry.data === 'string' ? entry.data : '');
     FS.writeFile(path, bytes);
+    if (index) {
+      index.set(path, {
+        kind: 'file',
+        mode: normalizeMode(entry.mode, 0o600),
+        hash: hashFsBytes(bytes),
+      });
+    }
     try {
       FS.chmod(path, normalizeMode(entry.mode, 0o600));
     } catch {
@@ -273,13 +317,23 @@ function restoreFsState(FS, state) {
   }
 }
 
-function captureFsState(FS, roots) {
-  if (!FS || !roots.length) {
-    return null;
+
+function countFsStateBytes(state) {
+  const files = state && Array.isArray(state.files) ? state.files : [];
+  let bytes = 0;
+  for (const entry of files) {
+    const data = entry && typeof entry.data === 'string' ? entry.data : '';
+    const padding = data.endsWith('==') ? 2 : (data.endsWith('=') ? 1 : 0);
+    bytes += Math.floor((data.length * 3) / 4) - padding;
   }
+  return { files: files.length, bytes };
+}
 
-  const dirs = [];
-  const files = [];
+function addPhase(timings, name, startedAt) {
+  timings.phases[name] = (timings.phases[name] || 0) + (performance.now() - startedAt);
+}
+
+function walkFsRoots(FS, roots, visit) {
   const seen = new Set();
 
   const walk = (path) => {
@@ -290,10 +344,7 @@ function captureFsState(FS, roots) {
 
     const stat = FS.stat(path);
     if (FS.isDir(stat.mode)) {
-      dirs.push({
-        path,
-        mode: normalizeMode(stat.mode, 0o700),
-      });
+      visit(path, 'dir', stat);
 
       const names = FS.readdir(path);
       for (const name of names) {
@@ -307,12 +358,7 @@ function captureFsState(FS, roots) {
     }
 
     if (FS.isFile(stat.mode)) {
-      const bytes = FS.readFile(path, { encoding: 'binary' });
-      files.push({
-        path,
-        mode: normalizeMode(stat.mode, 0o600),
-        data: encodeBase64(bytes),
-      });
+      visit(path, 'file', stat);
     }
   };
 
@@ -324,15 +370,105 @@ function captureFsState(FS, roots) {
     }
     walk(root);
   }
+}
+
+function captureFsState(FS, roots) {
+  if (!FS || !roots.length) {
+    return null;
+  }
+
+  const dirs = [];
+  const files = [];
+
+  walkFsRoots(FS, roots, (path, kind, stat) => {
+    if (kind === 'dir') {
+      dirs.push({
+        path,
+        mode: normalizeMode(stat.mode, 0o700),
+      });
+      return;
+    }
+    const bytes = FS.readFile(path, { encoding: 'binary' });
+    files.push({
+      path,
+      mode: normalizeMode(stat.mode, 0o600),
+      data: encodeBase64(bytes),
+      hash: hashFsBytes(bytes),
+    });
+  });
+
+  dirs.sort((a, b) => a.path.localeCompare(b.path));
+  files.sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    version: 1,
+    roots: roots.slice(),
+    dirs,
+    files,
+  };
+}
+
+function captureFsDelta(FS, roots, baseIndex) {
+  if (!FS || !roots.length) {
+    return null;
+  }
+
+  const dirs = [];
+  const files = [];
+  const changed = {
+    created: [],
+    modified: [],
+    deleted: [],
+  };
+  const present = new Set();
+
+  walkFsRoots(FS, roots, (path, kind, stat) => {
+    present.add(path);
+    const base = baseIndex.get(path);
+    if (kind === 'dir') {
+      const mode = normalizeMode(stat.mode, 0o700);
+      if (base && base.kind === 'dir' && base.mode === mode) {
+        return;
+      }
+      dirs.push({ path, mode });
+      (base ? changed.modified : changed.created).push(path);
+      return;
+    }
+    const mode = normalizeMode(stat.mode, 0o600);
+    const bytes = FS.readFile(path, { encoding: 'binary' });
+    const hash = hashFsBytes(bytes);
+    if (base && base.kind === 'file' && base.mode === mode && base.hash === hash) {
+      return;
+    }
+    files.push({
+      path,
+      mode,
+      data: encodeBase64(bytes),
+      hash,
+    });
+    (base ? changed.modified : changed.created).push(path);
+  });
+
+  for (const path of baseIndex.keys()) {
+    if (!present.has(path)) {
+      changed.deleted.push(path);
+    }
+  }
 
   dirs.sort((a, b) => a.path.localeCompare(b.path));
   files.sort((a, b) => a.path.localeCompare(b.path));
+  for (const list of Object.values(changed)) {
+    list.sort((a, b) => a.localeCompare(b));
+  }
 
   return {
     version: 1,
+    delta: true,
     roots: roots.slice(),
     dirs,
     files,
+    deleted: changed.deleted.slice(),
+    changed,
   };
 }
 
@@ -464,6 +600,35 @@ function makeFsLineWriter(onLine, charMetricKey, flushMetricKey) {
   };
 }
 
+function makeFsByteWriter(onChunk, chunkSize = 65536) {
+  const buffer = new Uint8Array(chunkSize);
+  let length = 0;
+
+  const flush = () => {
+    if (!length) {
+      return;
+    }
+    const chunk = buffer.slice(0, length);
+    length = 0;
+    onChunk(chunk);
+  };
+
+  return {
+    write(ch) {
+      if (ch === null || ch === undefined) {
+        flush();
+        return;
+      }
+      buffer[length] = ch & 0xff;
+      length += 1;
+      if (length >= buffer.length) {
+        flush();
+      }
+    },
+    flush,
+  };
+}
+
 function getActiveFS() {
   if (self.FS) {
     return self.FS;
@@ -521,6 +686,7 @@ function mergeFsStates(baseState, overlayState) {
       path,
       mode: normalizeMode(entry.mode, 0o600),
       data: typeof entry.data === 'string' ? entry.data : '',
+      ...(typeof entry.hash === 'string' && entry.hash ? { hash: entry.hash } : {}),
     });
   }
 
@@ -535,6 +701,52 @@ function mergeFsStates(baseState, overlayState) {
   };
 }
 
+function mergeFsDeltas(baseDelta, overlayDelta) {
+  if (!baseDelta || !overlayDelta) {
+    return baseDelta || overlayDelta || null;
+  }
+
+  const merged = mergeFsStates(baseDelta, overlayDelta);
+  const overlayDeleted = new Set(Array.isArray(overlayDelta.deleted) ? overlayDelta.deleted : []);
+  const overlayPaths = new Set([
+    ...(overlayDelta.dirs || []).map((entry) => entry.path),
+    ...(overlayDelta.files || []).map((entry) => entry.path),
+  ]);
+  const deleted = new Set(overlayDeleted);
+  for (const path of Array.isArray(baseDelta.deleted) ? baseDelta.deleted : []) {
+    if (!overlayPaths.has(path)) {
+      deleted.add(path);
+    }
+  }
+
+  const labels = new Map();
+  for (const delta of [baseDelta, overlayDelta]) {
+    const changed = delta.changed && typeof delta.changed === 'object' ? delta.changed : {};
+    for (const label of ['created', 'modified', 'deleted']) {
+      for (const path of Array.isArray(changed[label]) ? changed[label] : []) {
+        labels.set(path, label);
+      }
+    }
+  }
+  const changed = {
+    created: [],
+    modified: [],
+    deleted: [],
+  };
+  for (const [path, label] of Array.from(labels.entries()).sort((a, b) => a[0].localeCompare(b[0]))) {
+    changed[label].push(path);
+  }
+
+  return {
+    ...merged,
+    dirs: merged.dirs.filter((entry) => !overlayDeleted.has(entry.path)),
+    files: merged.files.filter((entry) => !overlayDeleted.has(entry.path)),
+    delta: true,
+    deleted: Array.from(deleted).sort((a, b) => a.localeCompare(b)),
+    changed,
+  };
+}
+
 function createSharedQueueDescriptor(size = 262144) {
   const normalizedSize = Number.isFinite(size) ? Math.max(1024, Number(size) | 0) : 262144;
   return {
@@ -657,7 +869,7 @@ async function importLauncherScript(scriptUrl) {
 
   if (!useFetchBlobPath) {
     importScripts(scriptUrl);
-    return;
+    return 'import';
   }
 
   let response;
@@ -678,6 +890,17 @@ async function importLauncherScript(scriptUrl) {
   } finally {
     URL.revokeObjectURL(blobUrl);
   }
+  return 'blob';
+}
+
+async function prepareOpfsMount(config) {
+  if (!self.GnupgOpfsMount) {
+    if (typeof config.scriptUrl !== 'string' || !config.scriptUrl) {
+      throw new Error('missing opfs mount script url');
+    }
+    importScripts(config.scriptUrl);
+  }
+  return self.GnupgOpfsMount.prepare(config);
 }
 
 async function handleRun(message) {
@@ -687,9 +910,29 @@ async function handleRun(message) {
   }
   runInProgress = true;
 
+  const timings = {
+    startedAt: performance.timeOrigin + performance.now(),
+    launcher: null,
+    phases: {},
+    counters: {
+      bytesRestored: 0,
+      filesRestored: 0,
+      bytesCaptured: 0,
+      filesCaptured: 0,
+      stdinQueueBytes: 0,
+      agentQueueBytes: 0,
+      dirmngrQueueBytes: 0,
+    },
+  };
+  let launcherDoneAt = null;
+  let runtimeReadyAt = null;
   const args = normalizeArgs(message.args);
   const stdinText = typeof message.stdinText === 'string' ? message.stdinText : '';
-  const stdinBytes = new TextEncoder().encode(stdinText);
+  const stdinBytes = message.stdinBytes instanceof Uint8Array
+    ? message.stdinBytes
+    : new TextEncoder().encode(stdinText);
+  const stdoutMode = message.stdoutMode === 'bytes' ? 'bytes' : 'lines';
+  const wantsStdoutLines = stdoutMode === 'lines' || message.stdoutLines === true;
   let stdinOffset = 0;
   const stdinQueueDesc = message.stdinQueue && typeof message.stdinQueue === 'object'
     ? message.stdinQueue
@@ -758,7 +1001,7 @@ async function handleRun(message) {
 
   const debugEnabled = message.debug === true;
   self.__gnupg_debug_enabled = debugEnabled;
-  const incomingFsState = message.fsState && typeof message.fsState === 'object'
+  let incomingFsState = message.fsState && typeof message.fsState === 'object'
     ? message.fsState
     : null;
   const streamCapture = {
@@ -775,6 +1018,7 @@ async function handleRun(message) {
       fsStderrChars: 0,
       fsStdoutFlushes: 0,
       fsStderrFlushes: 0,
+      stdoutBytesPosted: 0,
     },
   };
   self.__gnupg_stream_capture = streamCapture;
@@ -852,6 +1096,25 @@ async function handleRun(message) {
     persistRoots.push(homedir);
   }
   persistRoots = normalizePersistRoots(persistRoots, [homedir]);
+
+  const opfsConfig = message.opfs && typeof message.opfs === 'object' ? message.opfs : null;
+  let opfsMount = null;
+  if (opfsConfig) {
+    try {
+      opfsMount = await prepareOpfsMount(opfsConfig);
+      persistRoots = self.GnupgOpfsMount.filterRoots(persistRoots, opfsMount.mountpoints);
+      incomingFsState = self.GnupgOpfsMount.filterFsState(incomingFsState, opfsMount.mountpoints);
+      postDebug('run.opfs.prepared', {
+        mountpoints: opfsMount.mountpoints,
+        mode: opfsMount.mode,
+      });
+    } catch (error) {
+      opfsMount = null;
+      emitStderrAndStatus(`[wasm] warning: opfs mount unavailable (${formatError(error)}); using fs state snapshots`);
+    }
+  }
+  const fsDelta = message.fsDelta === true;
+  const baseIndex = new Map();
   postDebug('run.persist-roots', {
     persistRoots,
     incomingStateRoots: incomingFsState && Array.isArray(incomingFsState.roots)
@@ -891,11 +1154,33 @@ async function handleRun(message) {
     message.pinentry && typeof message.pinentry === 'object'
       ? message.pinentry
       : null;
-  const stdoutWriter = makeFsLineWriter((line) => {
+  const stdoutLineWriter = makeFsLineWriter((line) => {
     streamCapture.stdout.push(line);
     streamCapture.metrics.stdoutLivePosted += 1;
     postMessage({ type: 'stdout', data: line });
   }, 'fsStdoutChars', 'fsStdoutFlushes');
+  const stdoutByteWriter = stdoutMode === 'bytes'
+    ? makeFsByteWriter((chunk) => {
+        streamCapture.metrics.stdoutBytesPosted += chunk.length;
+        postMessage({ type: 'stdout-bytes', data: chunk }, [chunk.buffer]);
+      })
+    : null;
+  const stdoutWriter = {
+    write(ch) {
+      if (stdoutByteWriter) {
+        stdoutByteWriter.write(ch);
+      }
+      if (wantsStdoutLines) {
+        stdoutLineWriter.write(ch);
+      }
+    },
+    flush() {
+      if (stdoutByteWriter) {
+        stdoutByteWriter.flush();
+      }
+      stdoutLineWriter.flush();
+    },
+  };
   const stderrWriter = makeFsLineWriter((line) => {
     emitStderrAndStatus(line);
   }, 'fsStderrChars', 'fsStderrFlushes');
@@ -904,6 +1189,12 @@ async function handleRun(message) {
   const dirmngrBridgePoolSize = Number.isFinite(message.dirmngrBridgePoolSize)
     ? Math.max(1, Math.min(12, Number(message.dirmngrBridgePoolSize) | 0))
     : 4;
+  const timeouts = {
+    agentReady: readTimeoutMs(message.timeouts, 'agentReady', 12000),
+    scdaemonReady: readTimeoutMs(message.timeouts, 'scdaemonReady', 12000),
+    dirmngrReady: readTimeoutMs(message.timeouts, 'dirmngrReady', 8000),
+    agentResult: readTimeoutMs(message.timeouts, 'agentResult', 6000),
+  };
   const sharedAgentBridge =
     message.sharedAgentBridge && typeof message.sharedAgentBridge === 'object'
       ? message.sharedAgentBridge
@@ -1019,6 +1310,11 @@ async function handleRun(message) {
         return;
       }
 
+      if (messageData.type === 'timeout') {
+        postTimeout(messageData.phase, messageData.timeoutMs);
+        return;
+      }
+
       if (messageData.type === 'result') {
         agentDone = true;
         resolveResult(messageData);
@@ -1043,7 +1339,10 @@ async function handleRun(message) {
       gpgScdaemonWasmUrl,
       homedir,
       fsState: incomingFsState,
+      fsDelta,
       persistRoots,
+      opfs: opfsMount ? opfsConfig : null,
+      timeouts: { scdaemonReady: timeouts.scdaemonReady },
       bridge: {
         gpgToAgent: gpgToAgentDesc,
         agentToGpg: agentToGpgDesc,
@@ -1107,14 +1406,16 @@ async function handleRun(message) {
       async awaitReady(timeoutMs) {
         let timeoutId = null;
         const timeoutPromise = new Promise((resolve) => {
-          timeoutId = setTimeout(() => resolve(false), timeoutMs);
+          if (timeoutMs > 0) {
+            timeoutId = setTimeout(() => resolve(null), timeoutMs);
+          }
         });
         try {
           const ready = await Promise.race([readyPromise, timeoutPromise]);
           if (timeoutId !== null) {
             clearTimeout(timeoutId);
           }
-          return Boolean(ready);
+          return ready === null ? null : Boolean(ready);
         } catch {
           if (timeoutId !== null) {
             clearTimeout(timeoutId);
@@ -1132,7 +1433,9 @@ async function handleRun(message) {
 
         let timeoutId = null;
         const timeoutPromise = new Promise((resolve) => {
-          timeoutId = setTimeout(() => resolve(null), timeoutMs);
+          if (timeoutMs > 0) {
+            timeoutId = setTimeout(() => resolve({ timedOut: true }), timeoutMs);
+          }
         });
 
         try {
@@ -1457,13 +1760,15 @@ async function handleRun(message) {
       async awaitReady(timeoutMs) {
         let timeoutId = null;
         const timeoutPromise = new Promise((resolve) => {
-          timeoutId = setTimeout(() => resolve(false), timeoutMs);
+          if (timeoutMs > 0) {
+            timeoutId = setTimeout(() => resolve(null), timeoutMs);
+          }
         });
         const ready = await Promise.race([readyPromise, timeoutPromise]);
         if (timeoutId !== null) {
           clearTimeout(timeoutId);
         }
-        return Boolean(ready);
+        return ready === null ? null : Boolean(ready);
       },
       async shutdownAndWait(timeoutMs) {
         if (!dirmngrDone) {
@@ -1522,13 +1827,18 @@ async function handleRun(message) {
     }
 
     if (agentBridge) {
-      const agentReady = await agentBridge.awaitReady(12000);
+      const agentReadyStart = performance.now();
+      const agentReady = await agentBridge.awaitReady(timeouts.agentReady);
+      addPhase(timings, 'agentReady', agentReadyStart);
       postDebug('run.agent.ready', {
         agentReady,
         external: agentBridge.externalMode === true,
       });
-      if (!agentReady) {
-        emitStderrAndStatus('[agent] worker did not report ready within timeout');
+      if (agentReady === null) {
+        /* The host rejects the run and terminates this worker. */
+        postTimeout('agentReady', timeouts.agentReady);
+      } else if (!agentReady) {
+        emitStderrAndStatus('[agent] worker failed before reporting ready');
       }
       agentHeartbeatId = setInterval(() => {
         if (!agentBridge) {
@@ -1539,29 +1849,40 @@ async function handleRun(message) {
     }
   }
 
+  const dirmngrReadyStart = performance.now();
   try {
-    const readyBridges = [];
+    const pool = [];
     for (let i = 0; i < dirmngrBridgePoolSize; i += 1) {
-      const bridge = createDirmngrBridge();
-      const dirmngrReady = await bridge.awaitReady(8000);
+      pool.push(createDirmngrBridge());
+    }
+    const readiness = await Promise.all(pool.map((bridge) => bridge.awaitReady(timeouts.dirmngrReady)));
+    const readyBridges = [];
+    let timedOutBridges = 0;
+    readiness.forEach((dirmngrReady, i) => {
       postDebug('run.dirmngr.ready', {
         index: i,
         dirmngrReady,
       });
       if (!dirmngrReady) {
-        emitStderrAndStatus(`[dirmngr] bridge[${i}] did not report ready within timeout`);
-        void bridge.shutdownAndWait(200).catch(() => null);
-        continue;
+        if (dirmngrReady === null) {
+          timedOutBridges += 1;
+        }
+        emitStderrAndStatus(`[dirmngr] bridge[${i}] did not report ready`);
+        void pool[i].shutdownAndWait(200).catch(() => null);
+        return;
       }
-      readyBridges.push(bridge);
-    }
+      readyBridges.push(pool[i]);
+    });
     dirmngrBridges = readyBridges;
-    if (!dirmngrBridges.length) {
+    if (!dirmngrBridges.length && timedOutBridges && operationNeedsDirmngr(args)) {
+      postTimeout('dirmngrReady', timeouts.dirmngrReady);
+    } else if (!dirmngrBridges.length) {
       emitStderrAndStatus('[dirmngr] no ready bridge; keyserver commands may hang or fail');
     }
   } catch (error) {
     postError(`failed to create dirmngr bridge: ${formatError(error)}`);
   }
+  addPhase(timings, 'dirmngrReady', dirmngrReadyStart);
 
   const commandFdStdin = shouldUseCommandFd();
   postDebug('run.command-fd.mode', {
@@ -1626,7 +1947,10 @@ async function handleRun(message) {
     try {
       const fs = getActiveFS();
       if (fs) {
-        return captureFsState(fs, persistRoots);
+        const state = fsDelta
+          ? captureFsDelta(fs, persistRoots, baseIndex)
+          : captureFsState(fs, persistRoots);
+        return opfsMount ? self.GnupgOpfsMount.filterFsState(state, opfsMount.mountpoints) : state;
       }
       postDebug('run.capture.fs-missing', {
         hasGlobalFS: Boolean(self.FS),
@@ -1652,7 +1976,9 @@ async function handleRun(message) {
     didFinish = true;
 
     const postResult = async () => {
+      const captureStart = performance.now();
       let capturedState = captureState();
+      addPhase(timings, 'fsCapture', captureStart);
       const agentInfo = {
         enabled: enableAgentBridge,
         active: Boolean(agentBridge),
@@ -1663,8 +1989,14 @@ async function handleRun(message) {
       };
 
       if (agentBridge) {
-        const agentResult = await agentBridge.shutdownAndWait(2500);
-        if (agentResult && typeof agentResult === 'object') {
+        const mergeStart = performance.now();
+        const agentStats = agentBridge.getStats();
+        timings.counters.agentQueueBytes = agentStats.gpgWriteBytes + agentStats.gpgReadBytes;
+        const agentResult = await agentBridge.shutdownAndWait(timeouts.agentResult);
+        if (agentResult && agentResult.timedOut === true) {
+          agentInfo.timeout = true;
+          postTimeout('agentResult', timeouts.agentResult);
+        } else if (agentResult && typeof agentResult === 'object') {
           if (agentResult.external === true) {
             agentInfo.external = true;
           }
@@ -1679,12 +2011,24 @@ async function handleRun(message) {
             emitStderrAndStatus(`[agent] ${agentResult.stderr.trimEnd()}`);
           }
           if (agentResult.external !== true && agentResult.fsState && typeof agentResult.fsState === 'object') {
-            capturedState = mergeFsStates(capturedState, agentResult.fsState);
+            capturedState = capturedState && capturedState.delta
+              ? mergeFsDeltas(capturedState, agentResult.fsState)
+              : mergeFsStates(capturedState, agentResult.fsState);
             agentInfo.merged = true;
           }
         } else {
-          agentInfo.timeout = true;
-          emitStderrAndStatus('[agent] shutdown timed out; proceeding with gpg-side fs state only');
+          emitStderrAndStatus('[agent] shutdown failed; proceeding with gpg-side fs state only');
+        }
+        addPhase(timings, 'agentResultMerge', mergeStart);
+      }
+
+      let opfsInfo = null;
+      if (opfsMount) {
+        try {
+          opfsInfo = await opfsMount.sync(getActiveFS());
+        } catch (error) {
+          opfsInfo = { error: formatError(error) };
+          emitStderrAndStatus(`[wasm] warning: opfs sync failed: ${formatError(error)}`);
         }
       }
 
@@ -1693,6 +2037,8 @@ async function handleRun(message) {
             roots: Array.isArray(capturedState.roots) ? capturedState.roots.length : 0,
             dirs: Array.isArray(capturedState.dirs) ? capturedState.dirs.length : 0,
             files: Array.isArray(capturedState.files) ? capturedState.files.length : 0,
+            deleted: Array.isArray(capturedState.deleted) ? capturedState.deleted.length : 0,
+            delta: capturedState.delta === true,
             homedirFiles: Array.isArray(capturedState.files)
               ? capturedState.files.filter((entry) => entry && typeof entry.path === 'string' && entry.path.startsWith(`${homedir}/`)).length
               : 0,
@@ -1703,16 +2049,22 @@ async function handleRun(message) {
         exitCode: Number.isFinite(exitCode) ? exitCode : 1,
         fsStateStats,
         agentInfo,
+        opfsInfo,
       });
       postDebug('run.finish', debugInfo);
+      const captured = countFsStateBytes(capturedState);
+      timings.counters.bytesCaptured = captured.bytes;
+      timings.counters.filesCaptured = captured.files;
       postMessage({
         type: 'result',
         exitCode: Number.isFinite(exitCode) ? exitCode : 1,
         fsState: capturedState,
+        opfs: opfsInfo,
         stdoutLines: streamCapture.stdout,
         stderrLines: streamCapture.stderr,
         statusLines: streamCapture.status,
         debugInfo,
+        timings,
       });
       setTimeout(() => {
         self.close();
@@ -1768,6 +2120,14 @@ async function handleRun(message) {
     print: (line) => {
       const text = String(line ?? '');
       streamCapture.metrics.modulePrintCalls += 1;
+      if (stdoutByteWriter) {
+        for (const value of new TextEncoder().encode(`${text}\n`)) {
+          stdoutByteWriter.write(value);
+        }
+      }
+      if (!wantsStdoutLines) {
+        return;
+      }
       streamCapture.stdout.push(text);
       streamCapture.metrics.stdoutLivePosted += 1;
       postMessage({ type: 'stdout', data: text });
@@ -1786,6 +2146,11 @@ async function handleRun(message) {
       return `${scriptDirectory}${fileName}`;
     },
     onRuntimeInitialized: () => {
+      runtimeReadyAt = performance.now();
+      timings.phases.wasmInstantiate = Math.max(
+        0,
+        runtimeReadyAt - (launcherDoneAt === null ? runtimeReadyAt : launcherDoneAt) - (timings.phases.fsRestore || 0),
+      );
       postDebug('run.runtime-initialized', {
         hasGlobalCallMain: typeof self.callMain === 'function',
         hasModuleCallMain: Boolean(self.Module && typeof self.Module.callMain === 'function'),
@@ -1795,12 +2160,15 @@ async function handleRun(message) {
         return;
       }
 
+      const callMainStart = performance.now();
       try {
         const rc = invokeCallMain(finalArgs.slice());
+        addPhase(timings, 'callMain', callMainStart);
         postDebug('run.callMain.return', { rc });
         cleanupSecrets();
         finish(Number.isFinite(rc) ? rc : 0);
       } catch (error) {
+        addPhase(timings, 'callMain', callMainStart);
         postDebug('run.callMain.error', {
           error: formatError(error),
           status: error && typeof error === 'object' && Number.isFinite(error.status)
@@ -1835,6 +2203,7 @@ async function handleRun(message) {
                 if (immediate !== null) {
                   stdinRequestPending = false;
                   stdinPromptHint = '';
+                  timings.counters.stdinQueueBytes += 1;
                 }
                 return immediate;
               }
@@ -1843,6 +2212,7 @@ async function handleRun(message) {
               if (waited !== null) {
                 stdinRequestPending = false;
                 stdinPromptHint = '';
+                timings.counters.stdinQueueBytes += 1;
               }
               return waited;
             }
@@ -1862,7 +2232,15 @@ async function handleRun(message) {
         });
 
         if (incomingFsState) {
-          restoreFsState(FS, incomingFsState);
+          const restoreStart = performance.now();
+          restoreFsState(FS, incomingFsState, baseIndex);
+          addPhase(timings, 'fsRestore', restoreStart);
+          const restored = countFsStateBytes(incomingFsState);
+          timings.counters.bytesRestored = restored.bytes;
+          timings.counters.filesRestored = restored.files;
+        }
+        if (opfsMount) {
+          postDebug('run.preRun.opfs-attached', opfsMount.attach(FS));
         }
 
         const envObj = self.ENV || (self.Module && self.Module.ENV);
@@ -2048,6 +2426,7 @@ async function handleRun(message) {
                   if (count === 0 && !bridge.isReadableClosed()) {
                     throw new FS.ErrnoError(EAGAIN);
                   }
+                  timings.counters.dirmngrQueueBytes += count;
                   return count;
                 },
                 write(stream, buffer, offset, length) {
@@ -2056,6 +2435,7 @@ async function handleRun(message) {
                     bridge.writeByte(buffer[offset + count]);
                     count += 1;
                   }
+                  timings.counters.dirmngrQueueBytes += count;
                   return count;
                 },
                 poll(stream, timeout, notifyCallback) {
@@ -2124,7 +2504,7 @@ async function handleRun(message) {
   try {
     if (runTimeoutMs > 0) {
       runTimeoutId = setTimeout(() => {
-        postError(`wasm gpg timed out after ${runTimeoutMs}ms`);
+        postTimeout('run', runTimeoutMs);
         postDebug('run.timeout', { runTimeoutMs });
         cleanupSecrets();
         finish(124);
@@ -2132,8 +2512,12 @@ async function handleRun(message) {
     }
 
     postDebug('run.import-launcher.start', { gpgScriptUrl });
-    await importLauncherScript(gpgScriptUrl);
-    postDebug('run.import-launcher.done', {});
+    const launcherImportStart = performance.now();
+    timings.launcher = await importLauncherScript(gpgScriptUrl);
+    launcherDoneAt = performance.now();
+    timings.phases.launcherImport = (runtimeReadyAt === null ? launcherDoneAt : Math.min(launcherDoneAt, runtimeReadyAt))
+      - launcherImportStart;
+    postDebug('run.import-launcher.done', { launcher: timings.launcher });
     postDebug('run.await-completion', { runTimeoutMs });
     await runCompletion;
   } catch (error) {
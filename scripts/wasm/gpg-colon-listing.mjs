@@ -0,0 +1,262 @@
+import { parseStatusTimestamp } from './gpg-status-events.mjs';
+
+const KEY_RECORDS = new Set(['pub', 'sec', 'crt', 'crs']);
+const SUBKEY_RECORDS = new Set(['sub', 'ssb']);
+
+const VALIDITY_NAMES = {
+  o: 'unknown',
+  i: 'invalid',
+  d: 'disabled',
+  r: 'revoked',
+  e: 'expired',
+  '-': 'undefined',
+  q: 'undefined',
+  n: 'never',
+  m: 'marginal',
+  f: 'full',
+  u: 'ultimate',
+  w: 'well-known',
+  s: 'special',
+};
+
+const CAPABILITY_NAMES = {
+  e: 'encrypt',
+  s: 'sign',
+  c: 'certify',
+  a: 'authenticate',
+  r: 'restricted-encrypt',
+  t: 'timestamp',
+  g: 'group',
+};
+
+const ORIGIN_NAMES = {
+  1: 'ks',
+  2: 'ks-pref',
+  3: 'dane',
+  4: 'wkd',
+  5: 'url',
+  6: 'file',
+  7: 'self',
+};
+
+export function decodeColonField(text) {
+  const raw = String(text ?? '');
+  if (!raw.includes('\\')) {
+    return raw;
+  }
+
+  const encoder = new TextEncoder();
+  const bytes = [];
+  let literal = '';
+  const flushLiteral = () => {
+    if (literal) {
+      bytes.push(...encoder.encode(literal));
+      literal = '';
+    }
+  };
+
+  for (let i = 0; i < raw.length; i += 1) {
+    const ch = raw[i];
+    if (ch === '\\' && raw[i + 1] === 'x' && /^[0-9a-fA-F]{2}$/.test(raw.slice(i + 2, i + 4))) {
+      flushLiteral();
+      bytes.push(Number.parseInt(raw.slice(i + 2, i + 4), 16));
+      i += 3;
+      continue;
+    }
+    if (ch === '\\' && raw[i + 1] === '\\') {
+      literal += '\\';
+      i += 1;
+      continue;
+    }
+    if (ch === '\\' && raw[i + 1] === 'n') {
+      literal += '\n';
+      i += 1;
+      continue;
+    }
+    literal += ch;
+  }
+  flushLiteral();
+
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+function parseColonInt(text) {
+  const value = Number.parseInt(String(text ?? ''), 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseValidity(text) {
+  const code = String(text ?? '').charAt(0);
+  return {
+    validity: VALIDITY_NAMES[code] || (code ? 'unknown' : ''),
+    validityCode: code,
+  };
+}
+
+function parseCapabilities(text) {
+  const raw = String(text ?? '');
+  const own = [];
+  const usable = [];
+  for (const ch of raw) {
+    const lower = ch.toLowerCase();
+    if (ch === 'D' || !Object.prototype.hasOwnProperty.call(CAPABILITY_NAMES, lower)) {
+      continue;
+    }
+    const list = ch === lower ? own : usable;
+    if (!list.includes(CAPABILITY_NAMES[lower])) {
+      list.push(CAPABILITY_NAMES[lower]);
+    }
+  }
+  return {
+    capabilities: own,
+    usableCapabilities: usable,
+    disabled: raw.includes('D'),
+  };
+}
+
+function parseOrigin(text) {
+  const raw = decodeColonField(text);
+  if (!raw) {
+    return null;
+  }
+  const idx = raw.indexOf(' ');
+  const id = parseColonInt(idx === -1 ? raw : raw.slice(0, idx));
+  return {
+    id,
+    name: ORIGIN_NAMES[id] || 'unknown',
+    url: idx === -1 ? '' : raw.slice(idx + 1),
+  };
+}
+
+function parseTokenField(text, secret) {
+  const raw = String(text ?? '');
+  return {
+    secretAvailable: secret ? raw !== '#' : raw === '+',
+    stub: raw === '#',
+    cardSerial: raw && raw !== '#' && raw !== '+' ? raw : '',
+  };
+}
+
+function buildKeyRecord(fields, secret) {
+  const { validity, validityCode } = parseValidity(fields[1]);
+  const token = parseTokenField(fields[14], secret);
+  const compliance = String(fields[17] ?? '')
+    .split(' ')
+    .filter(Boolean)
+    .map((item) => parseColonInt(item))
+    .filter((item) => item !== null);
+
+  return {
+    validity,
+    validityCode,
+    revoked: validityCode === 'r',
+    expired: validityCode === 'e',
+    keyLength: parseColonInt(fields[2]),
+    pubkeyAlgo: parseColonInt(fields[3]),
+    keyid: fields[4] || '',
+    created: parseStatusTimestamp(fields[5]),
+    expires: parseStatusTimestamp(fields[6]),
+    fingerprint: '',
+    fingerprint256: '',
+    keygrip: '',
+    curve: fields[16] || '',
+    ...parseCapabilities(fields[11]),
+    ...token,
+    compliance,
+    lastUpdate: parseStatusTimestamp(fields[18]),
+    origin: parseOrigin(fields[19]),
+  };
+}
+
+function buildUserIdRecord(fields, isAttribute) {
+  const { validity, validityCode } = parseValidity(fields[1]);
+  const record = {
+    validity,
+    validityCode,
+    revoked: validityCode === 'r',
+    expired: validityCode === 'e',
+    created: parseStatusTimestamp(fields[5]),
+    expires: parseStatusTimestamp(fields[6]),
+    uidHash: fields[7] || '',
+    userId: '',
+    attribute: null,
+    lastUpdate: parseStatusTimestamp(fields[18]),
+    origin: parseOrigin(fields[19]),
+  };
+
+  if (isAttribute) {
+    const [count, size] = String(fields[9] ?? '').split(' ');
+    record.attribute = {
+      count: parseColonInt(count),
+      size: parseColonInt(size),
+    };
+  } else {
+    record.userId = decodeColonField(fields[9]);
+  }
+
+  return record;
+}
+
+export function parseColonListing(lines) {
+  const keys = [];
+  let key = null;
+  let target = null;
+
+  for (const rawLine of Array.isArray(lines) ? lines : []) {
+    const line = String(rawLine ?? '').replace(/\r$/, '');
+    if (!line || !line.includes(':')) {
+      continue;
+    }
+    const fields = line.split(':');
+    const type = fields[0];
+
+    if (KEY_RECORDS.has(type)) {
+      key = {
+        type,
+        secret: type === 'sec' || type === 'crs',
+        ...buildKeyRecord(fields, type === 'sec' || type === 'crs'),
+        ownertrust: fields[8] || '',
+        revocationComment: decodeColonField(fields[20]),
+        userIds: [],
+        subkeys: [],
+      };
+      keys.push(key);
+      target = key;
+      continue;
+    }
+
+    if (!key) {
+      continue;
+    }
+
+    if (SUBKEY_RECORDS.has(type)) {
+      target = {
+        type,
+        secret: type === 'ssb',
+        ...buildKeyRecord(fields, type === 'ssb'),
+      };
+      key.subkeys.push(target);
+      continue;
+    }
+
+    if (type === 'uid' || type === 'uat') {
+      key.userIds.push(buildUserIdRecord(fields, type === 'uat'));
+      target = null;
+      continue;
+    }
+
+    if (!target) {
+      continue;
+    }
+
+    if (type === 'fpr' && !target.fingerprint) {
+      target.fingerprint = fields[9] || '';
+    } else if (type === 'fp2' && !target.fingerprint256) {
+      target.fingerprint256 = fields[9] || '';
+    } else if (type === 'grp' && !target.keygrip) {
+      target.keygrip = fields[9] || '';
+    }
+  }
+
+  return keys;
+}
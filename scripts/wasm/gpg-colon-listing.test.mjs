@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { decodeColonField, parseColonListing } from './gpg-colon-listing.mjs';
+
+const SECRET_LISTING = [
+  'sec:u:255:22:1111111111111111:1700000000:1800000000::u:::scESC:::+::ed25519:::0:',
+  'fpr:::::::::AAAA1111111111111111:',
+  'grp:::::::::GRIPPRIMARY:',
+  'uid:u::::1700000000::HASH1::Alice \\x3Calice@example.org\\x3E::::::::::0:',
+  'uid:r::::1700000100::HASH2::Old\\x3a name::::::::::0:',
+  'ssb:u:255:18:2222222222222222:1700000000::::::e:::#::cv25519::',
+  'fpr:::::::::BBBB2222222222222222:',
+  'grp:::::::::GRIPSUB:',
+  'pub:e:3072:1:3333333333333333:1600000000:1650000000::-:::sc::::::1 5:1690000000:2 https\\x3a//keys.example:',
+  'fpr:::::::::CCCC3333333333333333:',
+];
+
+test('decodeColonField decodes C-style escapes as UTF-8', () => {
+  assert.equal(decodeColonField('plain'), 'plain');
+  assert.equal(decodeColonField('J\\xc3\\xbcrgen \\x3Cj@example.org\\x3E'), 'Jürgen <j@example.org>');
+  assert.equal(decodeColonField('a\\\\b\\nc'), 'a\\b\nc');
+});
+
+test('secret keys carry fingerprints, keygrips, user ids and subkeys', () => {
+  const [key] = parseColonListing(SECRET_LISTING);
+  assert.equal(key.type, 'sec');
+  assert.equal(key.secret, true);
+  assert.equal(key.secretAvailable, true);
+  assert.equal(key.keyid, '1111111111111111');
+  assert.equal(key.fingerprint, 'AAAA1111111111111111');
+  assert.equal(key.keygrip, 'GRIPPRIMARY');
+  assert.equal(key.created, 1700000000);
+  assert.equal(key.expires, 1800000000);
+  assert.equal(key.validity, 'ultimate');
+  assert.equal(key.ownertrust, 'u');
+  assert.equal(key.curve, 'ed25519');
+  assert.deepEqual(key.capabilities, ['sign', 'certify']);
+  assert.deepEqual(key.usableCapabilities, ['encrypt', 'sign', 'certify']);
+
+  assert.equal(key.userIds.length, 2);
+  assert.equal(key.userIds[0].userId, 'Alice <alice@example.org>');
+  assert.equal(key.userIds[0].uidHash, 'HASH1');
+  assert.equal(key.userIds[1].userId, 'Old: name');
+  assert.equal(key.userIds[1].revoked, true);
+
+  const [subkey] = key.subkeys;
+  assert.equal(subkey.type, 'ssb');
+  assert.equal(subkey.fingerprint, 'BBBB2222222222222222');
+  assert.equal(subkey.keygrip, 'GRIPSUB');
+  assert.equal(subkey.stub, true);
+  assert.equal(subkey.secretAvailable, false);
+  assert.deepEqual(subkey.capabilities, ['encrypt']);
+});
+
+test('public keys report expiry, compliance and origin', () => {
+  const [, key] = parseColonListing(SECRET_LISTING);
+  assert.equal(key.type, 'pub');
+  assert.equal(key.secret, false);
+  assert.equal(key.expired, true);
+  assert.equal(key.validity, 'expired');
+  assert.equal(key.fingerprint, 'CCCC3333333333333333');
+  assert.deepEqual(key.compliance, [1, 5]);
+  assert.equal(key.lastUpdate, 1690000000);
+  assert.deepEqual(key.origin, { id: 2, name: 'ks-pref', url: 'https://keys.example' });
+  assert.deepEqual(key.userIds, []);
+});
+
+test('records before the first key and unknown records are ignored', () => {
+  const keys = parseColonListing([
+    'tru::1:1700000000:0:3:1:5',
+    'pub:f:255:22:4444444444444444:1700000000:::f:::scSC:',
+    'rvk:::1::::::DDDD:80:',
+    'fpr:::::::::EEEE4444444444444444:',
+    'not a colon record',
+  ]);
+  assert.equal(keys.length, 1);
+  assert.equal(keys[0].fingerprint, 'EEEE4444444444444444');
+});
+
+test('uat records report count and size instead of a user id', () => {
+  const [key] = parseColonListing([
+    'pub:f:255:22:5555555555555555:1700000000:::f:::scSC:',
+    'uat:f::::1700000000::HASH3::1 4096::::::::::0:',
+  ]);
+  assert.equal(key.userIds[0].userId, '');
+  assert.deepEqual(key.userIds[0].attribute, { count: 1, size: 4096 });
+});
@@ -0,0 +1,196 @@
+const ADDKEY_ALGOS = {
+  'rsa-sign': '4',
+  'rsa-encrypt': '6',
+  'ecc-sign': '10',
+  'ecc-encrypt': '12',
+};
+
+function toIndexList(value) {
+  const list = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]);
+  return list.map((item) => Number(item)).filter((item) => Number.isInteger(item) && item > 0);
+}
+
+function selectionCommands(kind, indexes) {
+  return indexes.map((index) => `${kind} ${index}`);
+}
+
+function expandStep(step, index) {
+  if (typeof step === 'string') {
+    if (!step.trim()) {
+      throw new Error(`edit step ${index} is empty`);
+    }
+    return { index, command: step.trim(), lines: [step.trim()], answers: {} };
+  }
+  if (!step || typeof step !== 'object' || typeof step.command !== 'string' || !step.command.trim()) {
+    throw new Error(`edit step ${index} needs a command`);
+  }
+
+  const command = step.command.trim();
+  const uids = toIndexList(step.uid);
+  const keys = toIndexList(step.key);
+  const answers = {};
+  const lines = [...selectionCommands('uid', uids), ...selectionCommands('key', keys)];
+
+  switch (command) {
+    case 'trust': {
+      const value = Number(step.value);
+      if (!Number.isInteger(value) || value < 1 || value > 5) {
+        throw new Error(`edit step ${index}: trust value must be 1-5`);
+      }
+      answers['edit_ownertrust.value'] = String(value);
+      answers['edit_ownertrust.set_ultimate.okay'] = true;
+      break;
+    }
+    case 'expire':
+      answers['keygen.valid'] = step.expire === undefined ? '0' : String(step.expire);
+      answers['keyedit.expire_multiple_subkeys.okay'] = true;
+      break;
+    case 'adduid':
+      if (typeof step.name !== 'string' || !step.name) {
+        throw new Error(`edit step ${index}: adduid needs a name`);
+      }
+      answers['keygen.name'] = step.name;
+      answers['keygen.email'] = typeof step.email === 'string' ? step.email : '';
+      answers['keygen.comment'] = typeof step.comment === 'string' ? step.comment : '';
+      break;
+    case 'deluid':
+      if (uids.length !== 1) {
+        throw new Error(`edit step ${index}: deluid needs exactly one uid index`);
+      }
+      answers['keyedit.remove.uid.okay'] = true;
+      break;
+    case 'primary':
+      if (uids.length !== 1) {
+        throw new Error(`edit step ${index}: primary needs exactly one uid index`);
+      }
+      break;
+    case 'delkey':
+      answers['keyedit.remove.subkey.okay'] = true;
+      break;
+    case 'addkey':
+      answers['keygen.algo'] = ADDKEY_ALGOS[step.algo] || String(step.algo || ADDKEY_ALGOS['ecc-encrypt']);
+      answers['keygen.curve'] = step.curve === undefined ? '1' : String(step.curve);
+      answers['keygen.size'] = step.size === undefined ? '3072' : String(step.size);
+      answers['keygen.valid'] = step.expire === undefined ? '0' : String(step.expire);
+      break;
+    default:
+      break;
+  }
+
+  lines.push(command);
+  if (uids.length) {
+    lines.push('uid 0');
+  }
+  if (keys.length) {
+    lines.push('key 0');
+  }
+  return {
+    index,
+    command,
+    lines,
+    answers: { ...answers, ...(step.answers && typeof step.answers === 'object' ? step.answers : {}) },
+  };
+}
+
+export function createEditKeySession(steps, options = {}) {
+  if (!Array.isArray(steps) || !steps.length) {
+    throw new Error('editKey requires a non-empty step list');
+  }
+  const save = options.save !== false;
+  const globalAnswers = options.answers && typeof options.answers === 'object' ? options.answers : {};
+  const queue = [];
+  steps.map(expandStep).forEach((step) => {
+    for (const line of step.lines) {
+      queue.push({ line, step });
+    }
+  });
+
+  const transcript = [];
+  let current = null;
+  let finished = false;
+  let failure = null;
+
+  const fail = (request, reason) => {
+    if (!failure) {
+      failure = {
+        type: request.type,
+        keyword: request.keyword,
+        step: current ? current.index : null,
+        command: current ? current.command : '',
+        reason,
+      };
+    }
+    return null;
+  };
+
+  const answerFor = (request) => {
+    const answers = current ? current.answers : {};
+    let answer = Object.prototype.hasOwnProperty.call(answers, request.keyword)
+      ? answers[request.keyword]
+      : globalAnswers[request.keyword];
+    if (answer === undefined && request.keyword === 'keyedit.save.okay') {
+      answer = save;
+    }
+    if (answer === undefined && request.keyword === 'keyedit.cancel.okay') {
+      answer = true;
+    }
+    return typeof answer === 'function' ? answer(request) : answer;
+  };
+
+  const record = (request, answer) => {
+    transcript.push({
+      type: request.type,
+      keyword: request.keyword,
+      step: current ? current.index : null,
+      answer,
+    });
+    return answer;
+  };
+
+  return {
+    get failure() {
+      return failure;
+    },
+
+    get finished() {
+      return finished;
+    },
+
+    transcript,
+
+    async onLine(request) {
+      if (failure) {
+        return null;
+      }
+      if (request.keyword === 'keyedit.prompt') {
+        if (finished) {
+          return fail(request, 'gpg asked for another command after the session ended');
+        }
+        const next = queue.shift();
+        if (!next) {
+          finished = true;
+          current = null;
+          return record(request, save ? 'save' : 'quit');
+        }
+        current = next.step;
+        return record(request, next.line);
+      }
+      const answer = await answerFor(request);
+      if (typeof answer !== 'string' && typeof answer !== 'number') {
+        return fail(request, 'no answer for this prompt');
+      }
+      return record(request, String(answer));
+    },
+
+    async onConfirm(request) {
+      if (failure) {
+        return null;
+      }
+      const answer = await answerFor(request);
+      if (typeof answer !== 'boolean') {
+        return fail(request, 'no answer for this confirmation');
+      }
+      return record(request, answer);
+    },
+  };
+}
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createEditKeySession } from './gpg-edit-key.mjs';
+
+const prompt = { type: 'GET_LINE', keyword: 'keyedit.prompt' };
+const line = (keyword) => ({ type: 'GET_LINE', keyword });
+const confirm = (keyword) => ({ type: 'GET_BOOL', keyword });
+
+test('createEditKeySession rejects empty and malformed steps', () => {
+  assert.throws(() => createEditKeySession([]), /non-empty step list/);
+  assert.throws(() => createEditKeySession(['  ']), /edit step 0 is empty/);
+  assert.throws(() => createEditKeySession([{}]), /edit step 0 needs a command/);
+  assert.throws(() => createEditKeySession([{ command: 'trust', value: 9 }]), /trust value must be 1-5/);
+  assert.throws(() => createEditKeySession([{ command: 'adduid' }]), /adduid needs a name/);
+  assert.throws(() => createEditKeySession([{ command: 'deluid', uid: [1, 2] }]), /exactly one uid index/);
+});
+
+test('steps select, run and deselect before the session saves', async () => {
+  const session = createEditKeySession([
+    { command: 'expire', key: [1, 2], expire: '1y' },
+    'clean',
+  ]);
+  const sent = [];
+  for (let i = 0; i < 6; i += 1) {
+    sent.push(await session.onLine(prompt));
+  }
+  assert.deepEqual(sent, ['key 1', 'key 2', 'expire', 'key 0', 'clean', 'save']);
+  assert.equal(session.finished, true);
+  assert.equal(session.failure, null);
+});
+
+test('prompts are answered from the step that is running', async () => {
+  const session = createEditKeySession([
+    { command: 'trust', value: 5 },
+    { command: 'adduid', name: 'Alice', email: 'alice@example.org' },
+  ]);
+  assert.equal(await session.onLine(prompt), 'trust');
+  assert.equal(await session.onLine(line('edit_ownertrust.value')), '5');
+  assert.equal(await session.onConfirm(confirm('edit_ownertrust.set_ultimate.okay')), true);
+  assert.equal(await session.onLine(prompt), 'adduid');
+  assert.equal(await session.onLine(line('keygen.name')), 'Alice');
+  assert.equal(await session.onLine(line('keygen.email')), 'alice@example.org');
+  assert.equal(await session.onLine(line('keygen.comment')), '');
+  assert.equal(await session.onLine(prompt), 'save');
+  assert.equal(await session.onConfirm(confirm('keyedit.save.okay')), true);
+
+  assert.deepEqual(session.transcript.map((entry) => [entry.keyword, entry.step, entry.answer]), [
+    ['keyedit.prompt', 0, 'trust'],
+    ['edit_ownertrust.value', 0, '5'],
+    ['edit_ownertrust.set_ultimate.okay', 0, true],
+    ['keyedit.prompt', 1, 'adduid'],
+    ['keygen.name', 1, 'Alice'],
+    ['keygen.email', 1, 'alice@example.org'],
+    ['keygen.comment', 1, ''],
+    ['keyedit.prompt', null, 'save'],
+    ['keyedit.save.okay', null, true],
+  ]);
+});
+
+test('step answers override global answers and may be functions', async () => {
+  const session = createEditKeySession([
+    { command: 'passwd', answers: { 'custom.prompt': (request) => `for ${request.keyword}` } },
+  ], { answers: { 'custom.prompt': 'global', 'other.prompt': 7 } });
+  await session.onLine(prompt);
+  assert.equal(await session.onLine(line('custom.prompt')), 'for custom.prompt');
+  assert.equal(await session.onLine(line('other.prompt')), '7');
+});
+
+test('save: false quits instead of saving', async () => {
+  const session = createEditKeySession(['list'], { save: false });
+  await session.onLine(prompt);
+  assert.equal(await session.onLine(prompt), 'quit');
+  assert.equal(await session.onConfirm(confirm('keyedit.save.okay')), false);
+  assert.equal(await session.onConfirm(confirm('keyedit.cancel.okay')), true);
+});
+
+test('an unanswered prompt fails the session and stops answering', async () => {
+  const session = createEditKeySession(['primary']);
+  assert.equal(await session.onLine(prompt), 'primary');
+  assert.equal(await session.onLine(line('keyedit.unknown')), null);
+  assert.deepEqual(session.failure, {
+    type: 'GET_LINE',
+    keyword: 'keyedit.unknown',
+    step: 0,
+    command: 'primary',
+    reason: 'no answer for this prompt',
+  });
+  assert.equal(await session.onLine(prompt), null);
+  assert.equal(await session.onConfirm(confirm('keyedit.save.okay')), null);
+});
+
+test('a prompt after the session ended is a failure', async () => {
+  const session = createEditKeySession(['check']);
+  await session.onLine(prompt);
+  await session.onLine(prompt);
+  assert.equal(await session.onLine(prompt), null);
+  assert.equal(session.failure.reason, 'gpg asked for another command after the session ended');
+  assert.equal(session.failure.step, null);
+});
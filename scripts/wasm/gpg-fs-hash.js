@@ -0,0 +1,20 @@
+/* eslint-env worker */
+
+/* Shared by the classic-script workers (importScripts) and the ES modules
+   (side-effect import), so every fsState hash comes from one implementation. */
+(() => {
+  function hashFsBytes(bytes) {
+    let h1 = 0xdeadbeef ^ bytes.length;
+    let h2 = 0x41c6ce57 ^ bytes.length;
+    for (let i = 0; i < bytes.length; i += 1) {
+      h1 = Math.imul(h1 ^ bytes[i], 2654435761);
+      h2 = Math.imul(h2 ^ bytes[i], 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hex = (value) => (value >>> 0).toString(16).padStart(8, '0');
+    return `${bytes.length.toString(16)}-${hex(h2)}${hex(h1)}`;
+  }
+
+  globalThis.GnupgFsHash = { hashFsBytes };
+})();
@@ -0,0 +1,142 @@
+export const FS_STATE_VERSION = 1;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const CHANGE_LABELS = ['created', 'modified', 'deleted'];
+
+export function fsStateVersion(state) {
+  if (!state || typeof state !== 'object') {
+    return null;
+  }
+  if (state.version === undefined) {
+    return 0;
+  }
+  return Number.isInteger(state.version) ? state.version : NaN;
+}
+
+export function migrateFsState(state) {
+  const version = fsStateVersion(state);
+  if (version === null || version === FS_STATE_VERSION) {
+    return state;
+  }
+  if (Number.isNaN(version)) {
+    throw new Error(`fsState version is not an integer: ${String(state.version)}`);
+  }
+  if (version > FS_STATE_VERSION) {
+    throw new Error(`fsState version ${version} is newer than the supported version ${FS_STATE_VERSION}`);
+  }
+  if (version !== 0) {
+    throw new Error(`no fsState migration from version ${version}`);
+  }
+  /* Snapshots without a version field were accepted as long as they had the
+     version 1 layout, with any of the lists missing. */
+  return {
+    ...state,
+    version: FS_STATE_VERSION,
+    roots: Array.isArray(state.roots) ? state.roots : [],
+    dirs: Array.isArray(state.dirs) ? state.dirs : [],
+    files: Array.isArray(state.files) ? state.files : [],
+  };
+}
+
+function isAbsolutePath(value) {
+  return typeof value === 'string'
+    && value.startsWith('/')
+    && !value.includes('\0')
+    && !value.split('/').some((segment) => segment === '.' || segment === '..');
+}
+
+function checkMode(errors, where, mode) {
+  if (mode !== undefined && (!Number.isInteger(mode) || mode < 0)) {
+    errors.push({ path: `${where}.mode`, message: 'mode must be a non-negative integer' });
+  }
+}
+
+function checkPathList(errors, where, value) {
+  if (!Array.isArray(value)) {
+    errors.push({ path: where, message: 'must be an array of absolute paths' });
+    return;
+  }
+  value.forEach((item, index) => {
+    if (!isAbsolutePath(item)) {
+      errors.push({ path: `${where}[${index}]`, message: 'must be an absolute path without . or .. segments' });
+    }
+  });
+}
+
+export function validateFsState(state) {
+  const errors = [];
+  const version = fsStateVersion(state);
+
+  if (version === null) {
+    errors.push({ path: '', message: 'fsState must be an object' });
+    return { valid: false, version, errors };
+  }
+  if (version !== FS_STATE_VERSION) {
+    errors.push({ path: 'version', message: `expected version ${FS_STATE_VERSION}, got ${String(state.version)}` });
+    return { valid: false, version, errors };
+  }
+
+  if (state.roots !== undefined) {
+    checkPathList(errors, 'roots', state.roots);
+  }
+
+  const seen = new Map();
+  const checkEntries = (key, isFile) => {
+    const list = state[key];
+    if (list === undefined) {
+      return;
+    }
+    if (!Array.isArray(list)) {
+      errors.push({ path: key, message: 'must be an array' });
+      return;
+    }
+    list.forEach((entry, index) => {
+      const where = `${key}[${index}]`;
+      if (!entry || typeof entry !== 'object') {
+        errors.push({ path: where, message: 'entry must be an object' });
+        return;
+      }
+      if (!isAbsolutePath(entry.path)) {
+        errors.push({ path: `${where}.path`, message: 'must be an absolute path without . or .. segments' });
+      } else if (seen.has(entry.path)) {
+        errors.push({ path: `${where}.path`, message: `duplicate of ${seen.get(entry.path)}` });
+      } else {
+        seen.set(entry.path, where);
+      }
+      checkMode(errors, where, entry.mode);
+      if (!isFile) {
+        return;
+      }
+      if (typeof entry.data !== 'string' || entry.data.length % 4 !== 0 || !BASE64_PATTERN.test(entry.data)) {
+        errors.push({ path: `${where}.data`, message: 'must be a base64 string' });
+      }
+      if (entry.hash !== undefined && typeof entry.hash !== 'string') {
+        errors.push({ path: `${where}.hash`, message: 'must be a string' });
+      }
+    });
+  };
+  checkEntries('dirs', false);
+  checkEntries('files', true);
+
+  if (state.delta !== undefined) {
+    if (state.delta !== true) {
+      errors.push({ path: 'delta', message: 'must be true when present' });
+    }
+    checkPathList(errors, 'deleted', state.deleted);
+    if (state.changed !== undefined) {
+      if (!state.changed || typeof state.changed !== 'object') {
+        errors.push({ path: 'changed', message: 'must be an object' });
+      } else {
+        for (const label of CHANGE_LABELS) {
+          checkPathList(errors, `changed.${label}`, state.changed[label] ?? []);
+        }
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    version,
+    errors,
+  };
+}
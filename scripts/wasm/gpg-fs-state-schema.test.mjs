@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  FS_STATE_VERSION,
+  fsStateVersion,
+  migrateFsState,
+  validateFsState,
+} from './gpg-fs-state-schema.mjs';
+
+test('fsStateVersion reads the version field', () => {
+  assert.equal(fsStateVersion(null), null);
+  assert.equal(fsStateVersion({}), 0);
+  assert.equal(fsStateVersion({ version: 1 }), 1);
+  assert.ok(Number.isNaN(fsStateVersion({ version: '1' })));
+});
+
+test('migrateFsState upgrades unversioned states', () => {
+  const state = { files: [{ path: '/home/a', data: '' }] };
+  const migrated = migrateFsState(state);
+  assert.equal(migrated.version, FS_STATE_VERSION);
+  assert.deepEqual(migrated.roots, []);
+  assert.deepEqual(migrated.dirs, []);
+  assert.equal(migrated.files, state.files);
+  assert.equal(state.version, undefined);
+
+  const current = { version: FS_STATE_VERSION, files: [] };
+  assert.equal(migrateFsState(current), current);
+  assert.equal(migrateFsState(null), null);
+});
+
+test('an unversioned homedir snapshot migrates to a valid state', () => {
+  const legacy = {
+    roots: ['/home/user/.gnupg'],
+    dirs: [
+      { path: '/home/user/.gnupg', mode: 0o700 },
+      { path: '/home/user/.gnupg/private-keys-v1.d', mode: 0o700 },
+    ],
+    files: [
+      { path: '/home/user/.gnupg/pubring.kbx', mode: 0o600, data: 'aGVsbG8=' },
+      { path: '/home/user/.gnupg/private-keys-v1.d/abc.key', mode: 0o600, data: 'AAEC' },
+    ],
+  };
+  assert.equal(validateFsState(legacy).valid, false);
+
+  const migrated = migrateFsState(legacy);
+  assert.deepEqual(migrated, { ...legacy, version: FS_STATE_VERSION });
+  assert.deepEqual(validateFsState(migrated), { valid: true, version: FS_STATE_VERSION, errors: [] });
+});
+
+test('migrateFsState rejects unknown versions', () => {
+  assert.throws(() => migrateFsState({ version: FS_STATE_VERSION + 1 }), /newer than the supported version/);
+  assert.throws(() => migrateFsState({ version: 'x' }), /not an integer/);
+  assert.throws(() => migrateFsState({ version: -1 }), /no fsState migration from version -1/);
+});
+
+test('validateFsState accepts a well-formed state and delta', () => {
+  const result = validateFsState({
+    version: FS_STATE_VERSION,
+    roots: ['/home/user/.gnupg'],
+    dirs: [{ path: '/home/user/.gnupg', mode: 0o700 }],
+    files: [{ path: '/home/user/.gnupg/pubring.kbx', mode: 0o600, data: 'AAEC', hash: 'abc' }],
+    delta: true,
+    deleted: ['/home/user/.gnupg/old'],
+    changed: { created: [], modified: ['/home/user/.gnupg/pubring.kbx'] },
+  });
+  assert.deepEqual(result, { valid: true, version: FS_STATE_VERSION, errors: [] });
+});
+
+test('validateFsState reports each problem with its path', () => {
+  const result = validateFsState({
+    version: FS_STATE_VERSION,
+    roots: ['relative'],
+    dirs: [{ path: '/a/../b' }, { path: '/a', mode: -1 }],
+    files: [{ path: '/a', data: 'not base64!' }, { path: '/b/./c', data: 'AA==', hash: 1 }],
+    delta: 1,
+    deleted: '/x',
+  });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map((error) => error.path), [
+    'roots[0]',
+    'dirs[0].path',
+    'dirs[1].mode',
+    'files[0].path',
+    'files[0].data',
+    'files[1].path',
+    'files[1].hash',
+    'delta',
+    'deleted',
+  ]);
+  assert.match(result.errors[3].message, /duplicate of dirs\[1\]/);
+});
+
+test('validateFsState does not migrate old states', () => {
+  const result = validateFsState({ files: [] });
+  assert.equal(result.valid, false);
+  assert.equal(result.version, 0);
+  assert.equal(result.errors[0].path, 'version');
+  assert.equal(validateFsState('state').errors[0].message, 'fsState must be an object');
+});
@@ -0,0 +1,254 @@
+const KEY_STORE = 'keys';
+const PBKDF2_ITERATIONS = 600000;
+
+function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x4000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x4000));
+  }
+  return btoa(binary);
+}
+
+function decodeBase64(text) {
+  const binary = atob(String(text || ''));
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    out[i] = binary.charCodeAt(i);
+  }
+  return out;
+}
+
+function toSecretBytes(value) {
+  if (typeof value === 'string') {
+    return new TextEncoder().encode(value);
+  }
+  if (value instanceof Uint8Array) {
+    return value;
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+  throw new Error('fsState seal secret must be a string or bytes');
+}
+
+function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('indexeddb request failed'));
+  });
+}
+
+async function loadOrCreateStoredKey(indexedDB, dbName, keyId) {
+  if (!indexedDB) {
+    throw new Error('IndexedDB is not available in this context');
+  }
+  const request = indexedDB.open(dbName, 1);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(KEY_STORE)) {
+      request.result.createObjectStore(KEY_STORE, { keyPath: 'id' });
+    }
+  };
+  const db = await requestToPromise(request);
+  try {
+    const existing = await requestToPromise(
+      db.transaction(KEY_STORE, 'readonly').objectStore(KEY_STORE).get(keyId)
+    );
+    if (existing && existing.key) {
+      return existing.key;
+    }
+    const key = await globalThis.crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt'],
+    );
+    const tx = db.transaction(KEY_STORE, 'readwrite');
+    await requestToPromise(tx.objectStore(KEY_STORE).add({ id: keyId, key, createdAt: Date.now() }));
+    return key;
+  } finally {
+    db.close();
+  }
+}
+
+async function deriveKey(options, kdf) {
+  const subtle = globalThis.crypto.subtle;
+  if (kdf.name === 'PBKDF2') {
+    const material = await subtle.importKey('raw', toSecretBytes(options.passphrase), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, salt: decodeBase64(kdf.salt), iterations: kdf.iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt'],
+    );
+  }
+  const material = await subtle.importKey('raw', toSecretBytes(options.secret), 'HKDF', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'HKDF', hash: kdf.hash, salt: decodeBase64(kdf.salt), info: new TextEncoder().encode(kdf.info) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+function describeKdf(options) {
+  const salt = options.salt !== undefined
+    ? encodeBase64(toSecretBytes(options.salt))
+    : encodeBase64(randomBytes(16));
+  if (options.passphrase !== undefined) {
+    return {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      salt,
+      iterations: Number.isFinite(options.iterations) && options.iterations > 0
+        ? Math.floor(options.iterations)
+        : PBKDF2_ITERATIONS,
+    };
+  }
+  if (options.secret !== undefined) {
+    return {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt,
+      info: typeof options.info === 'string' ? options.info : 'gnupg-wasm fsState',
+    };
+  }
+  return null;
+}
+
+function headerBytes(header) {
+  return new TextEncoder().encode(JSON.stringify([
+    header.alg,
+    header.iv,
+    header.keyId,
+    header.kdf ? [header.kdf.name, header.kdf.hash, header.kdf.salt, header.kdf.iterations ?? null, header.kdf.info ?? null] : null,
+  ]));
+}
+
+export function isSealedFsState(value) {
+  return Boolean(
+    value
+    && typeof value === 'object'
+    && value.sealed
+    && typeof value.sealed === 'object'
+    && typeof value.data === 'string'
+  );
+}
+
+export function createFsStateSealer(options = {}) {
+  const config = options === 'indexeddb' ? { type: 'indexeddb' } : options;
+  if (!config || typeof config !== 'object') {
+    throw new Error('unsupported fsState encryption option');
+  }
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error('WebCrypto is not available in this context');
+  }
+
+  const keyId = typeof config.keyId === 'string' && config.keyId ? config.keyId : 'default';
+  const kdf = describeKdf(config);
+  let kind = 'key';
+  if (kdf) {
+    kind = kdf.name.toLowerCase();
+  } else if (config.type === 'indexeddb') {
+    kind = 'indexeddb';
+  } else if (!config.key) {
+    throw new Error('fsState encryption requires key, passphrase, secret or type: indexeddb');
+  }
+
+  const derived = new Map();
+  let staticKey = null;
+
+  const resolveKey = (headerKdf) => {
+    if (kind === 'key') {
+      return Promise.resolve(config.key);
+    }
+    if (kind === 'indexeddb') {
+      if (!staticKey) {
+        staticKey = loadOrCreateStoredKey(
+          config.indexedDB || globalThis.indexedDB,
+          typeof config.dbName === 'string' && config.dbName ? config.dbName : 'gnupg-wasm-keys',
+          keyId,
+        ).catch((error) => {
+          staticKey = null;
+          throw error;
+        });
+      }
+      return staticKey;
+    }
+    if (!headerKdf || headerKdf.name !== kdf.name) {
+      return Promise.reject(new Error('sealed fsState was not sealed with this key derivation'));
+    }
+    const cacheKey = JSON.stringify(headerKdf);
+    if (!derived.has(cacheKey)) {
+      derived.set(cacheKey, deriveKey(config, headerKdf));
+    }
+    return derived.get(cacheKey);
+  };
+
+  const seal = async (state) => {
+    if (!state || typeof state !== 'object') {
+      return state;
+    }
+    if (isSealedFsState(state)) {
+      return state;
+    }
+    const header = {
+      alg: 'AES-GCM',
+      iv: encodeBase64(randomBytes(12)),
+      keyId,
+      kdf,
+    };
+    const key = await resolveKey(kdf);
+    const plaintext = new TextEncoder().encode(JSON.stringify(state));
+    const ciphertext = await globalThis.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: decodeBase64(header.iv), additionalData: headerBytes(header) },
+      key,
+      plaintext,
+    );
+    return {
+      version: 1,
+      sealed: header,
+      data: encodeBase64(new Uint8Array(ciphertext)),
+    };
+  };
+
+  const unseal = async (envelope) => {
+    if (!isSealedFsState(envelope)) {
+      return envelope;
+    }
+    const header = envelope.sealed;
+    if (header.alg !== 'AES-GCM' || typeof header.iv !== 'string') {
+      throw new Error(`unsupported sealed fsState algorithm: ${header.alg}`);
+    }
+    const key = await resolveKey(header.kdf);
+    let plaintext;
+    try {
+      plaintext = await globalThis.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: decodeBase64(header.iv), additionalData: headerBytes(header) },
+        key,
+        decodeBase64(envelope.data),
+      );
+    } catch {
+      throw new Error('sealed fsState failed its integrity check');
+    }
+    const state = JSON.parse(new TextDecoder().decode(plaintext));
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      throw new Error('sealed fsState does not contain an fsState object');
+    }
+    return state;
+  };
+
+  return {
+    kind,
+    keyId,
+    seal,
+    unseal,
+  };
+}
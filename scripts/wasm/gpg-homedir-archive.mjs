@@ -0,0 +1,354 @@
+const BLOCK_SIZE = 512;
+const RUNTIME_FILE_PATTERNS = [
+  /^S\./,
+  /\.lock$/,
+  /^\.#lk/,
+];
+
+function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x4000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x4000));
+  }
+  return btoa(binary);
+}
+
+function decodeBase64(text) {
+  const binary = atob(String(text || ''));
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    out[i] = binary.charCodeAt(i);
+  }
+  return out;
+}
+
+function normalizeRoot(root) {
+  return `/${String(root || '/').split('/').filter(Boolean).join('/')}`;
+}
+
+export function normalizeArchiveName(name) {
+  const parts = [];
+  for (const part of String(name || '').split('/')) {
+    if (!part || part === '.') {
+      continue;
+    }
+    if (part === '..') {
+      return '';
+    }
+    parts.push(part);
+  }
+  return parts.join('/');
+}
+
+/* Unpacked entries stay private to the owner, whatever mode the archive
+   asks for. */
+export function homedirEntryMode(type, mode) {
+  return type === 'dir' ? 0o700 : (Number(mode) & 0o600) || 0o600;
+}
+
+export function isRuntimeFile(name) {
+  const base = String(name || '').split('/').pop();
+  return RUNTIME_FILE_PATTERNS.some((pattern) => pattern.test(base));
+}
+
+function writeString(block, offset, length, text) {
+  const bytes = new TextEncoder().encode(text);
+  block.set(bytes.subarray(0, length), offset);
+}
+
+function writeOctal(block, offset, length, value) {
+  writeString(block, offset, length - 1, Math.floor(value).toString(8).padStart(length - 1, '0'));
+}
+
+function readString(block, offset, length) {
+  const slice = block.subarray(offset, offset + length);
+  const end = slice.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? slice : slice.subarray(0, end));
+}
+
+function readOctal(block, offset, length) {
+  const text = readString(block, offset, length).trim();
+  return text ? Number.parseInt(text, 8) : 0;
+}
+
+function headerChecksum(block) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i += 1) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  return sum;
+}
+
+function splitUstarName(name) {
+  const bytes = new TextEncoder().encode(name);
+  if (bytes.length <= 100) {
+    return { name, prefix: '' };
+  }
+  for (let idx = name.indexOf('/'); idx !== -1; idx = name.indexOf('/', idx + 1)) {
+    const prefix = name.slice(0, idx);
+    const rest = name.slice(idx + 1);
+    if (new TextEncoder().encode(prefix).length <= 155 && new TextEncoder().encode(rest).length <= 100) {
+      return { name: rest, prefix };
+    }
+  }
+  return null;
+}
+
+function buildHeader(entry) {
+  const block = new Uint8Array(BLOCK_SIZE);
+  writeString(block, 0, 100, entry.name);
+  writeOctal(block, 100, 8, entry.mode & 0o7777);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, entry.size);
+  writeOctal(block, 136, 12, entry.mtime);
+  block[156] = entry.typeflag.charCodeAt(0);
+  writeString(block, 257, 6, 'ustar');
+  writeString(block, 263, 2, '00');
+  writeString(block, 345, 155, entry.prefix || '');
+  writeOctal(block, 148, 7, headerChecksum(block));
+  block[155] = 0x20;
+  return block;
+}
+
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = new TextEncoder().encode(body).length;
+  let record = `${length}${body}`;
+  while (new TextEncoder().encode(record).length !== length) {
+    length = new TextEncoder().encode(record).length;
+    record = `${length}${body}`;
+  }
+  return record;
+}
+
+function padToBlock(length) {
+  return (BLOCK_SIZE - (length % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+export function writeTarArchive(entries, options = {}) {
+  const mtime = Number.isFinite(options.mtime) ? options.mtime : Math.floor(Date.now() / 1000);
+  const chunks = [];
+  let total = 0;
+  const push = (bytes) => {
+    chunks.push(bytes);
+    total += bytes.length;
+    const pad = padToBlock(bytes.length);
+    if (pad) {
+      chunks.push(new Uint8Array(pad));
+      total += pad;
+    }
+  };
+
+  for (const entry of entries) {
+    const fullName = entry.type === 'dir' ? `${entry.name}/` : entry.name;
+    const data = entry.type === 'dir' ? new Uint8Array() : entry.data;
+    let split = splitUstarName(fullName);
+    if (!split) {
+      const pax = new TextEncoder().encode(paxRecord('path', fullName));
+      push(buildHeader({
+        name: 'PaxHeader',
+        mode: 0o644,
+        size: pax.length,
+        mtime,
+        typeflag: 'x',
+      }));
+      push(pax);
+      split = { name: fullName.slice(-100), prefix: '' };
+    }
+    push(buildHeader({
+      name: split.name,
+      prefix: split.prefix,
+      mode: entry.mode,
+      size: data.length,
+      mtime,
+      typeflag: entry.type === 'dir' ? '5' : '0',
+    }));
+    if (data.length) {
+      push(data);
+    }
+  }
+  chunks.push(new Uint8Array(BLOCK_SIZE * 2));
+  total += BLOCK_SIZE * 2;
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+function parsePaxRecords(bytes) {
+  const records = {};
+  const text = new TextDecoder().decode(bytes);
+  let offset = 0;
+  while (offset < text.length) {
+    const space = text.indexOf(' ', offset);
+    const length = Number.parseInt(text.slice(offset, space), 10);
+    if (space === -1 || !Number.isFinite(length) || length <= 0) {
+      break;
+    }
+    const record = text.slice(space + 1, offset + length - 1);
+    const eq = record.indexOf('=');
+    if (eq !== -1) {
+      records[record.slice(0, eq)] = record.slice(eq + 1);
+    }
+    offset += length;
+  }
+  return records;
+}
+
+export function readTarArchive(bytes) {
+  const input = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const entries = [];
+  let offset = 0;
+  let longName = '';
+
+  while (offset + BLOCK_SIZE <= input.length) {
+    const block = input.subarray(offset, offset + BLOCK_SIZE);
+    if (block.every((value) => value === 0)) {
+      break;
+    }
+    if (readOctal(block, 148, 8) !== headerChecksum(block)) {
+      throw new Error(`tar header checksum mismatch at offset ${offset}`);
+    }
+
+    const size = readOctal(block, 124, 12);
+    const typeflag = block[156] ? String.fromCharCode(block[156]) : '0';
+    const dataStart = offset + BLOCK_SIZE;
+    if (dataStart + size > input.length) {
+      throw new Error('tar archive is truncated');
+    }
+    const data = input.subarray(dataStart, dataStart + size);
+    offset = dataStart + size + padToBlock(size);
+
+    if (typeflag === 'x') {
+      longName = parsePaxRecords(data).path || longName;
+      continue;
+    }
+    if (typeflag === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (typeflag === 'g') {
+      continue;
+    }
+
+    let name = longName;
+    longName = '';
+    if (!name) {
+      const posix = readString(block, 257, 6) === 'ustar' && block[262] === 0;
+      const prefix = posix ? readString(block, 345, 155) : '';
+      const base = readString(block, 0, 100);
+      name = prefix ? `${prefix}/${base}` : base;
+    }
+
+    let type = 'other';
+    if (typeflag === '0' || typeflag === '7') {
+      type = 'file';
+    } else if (typeflag === '5') {
+      type = 'dir';
+    } else if (typeflag === '2') {
+      type = 'symlink';
+    }
+    entries.push({
+      name,
+      type,
+      typeflag,
+      mode: readOctal(block, 100, 8) & 0o777,
+      mtime: readOctal(block, 136, 12),
+      data: type === 'file' ? data.slice() : new Uint8Array(),
+    });
+  }
+
+  return entries;
+}
+
+export function fsStateToTar(state, options = {}) {
+  const root = normalizeRoot(options.root);
+  const prefix = root === '/' ? '/' : `${root}/`;
+  const relative = (path) => (path === root ? '' : path.startsWith(prefix) ? path.slice(prefix.length) : null);
+  const entries = [];
+
+  for (const dir of Array.isArray(state && state.dirs) ? state.dirs : []) {
+    const name = relative(String(dir.path || ''));
+    if (name) {
+      entries.push({ name, type: 'dir', mode: Number.isFinite(dir.mode) ? dir.mode : 0o700 });
+    }
+  }
+  for (const file of Array.isArray(state && state.files) ? state.files : []) {
+    const name = relative(String(file.path || ''));
+    if (name && !(options.skipRuntimeFiles && isRuntimeFile(name))) {
+      entries.push({
+        name,
+        type: 'file',
+        mode: Number.isFinite(file.mode) ? file.mode : 0o600,
+        data: decodeBase64(file.data),
+      });
+    }
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  return writeTarArchive(entries, options);
+}
+
+export function tarToFsState(bytes, options = {}) {
+  const root = normalizeRoot(options.root);
+  const skipRuntimeFiles = options.skipRuntimeFiles !== false;
+  const dirs = new Map();
+  const files = new Map();
+  const skipped = [];
+  const join = (name) => (root === '/' ? `/${name}` : `${root}/${name}`);
+  const addParents = (name) => {
+    const parts = name.split('/');
+    for (let i = 1; i < parts.length; i += 1) {
+      const path = join(parts.slice(0, i).join('/'));
+      if (!dirs.has(path)) {
+        dirs.set(path, { path, mode: 0o700 });
+      }
+    }
+  };
+
+  if (root !== '/') {
+    dirs.set(root, { path: root, mode: 0o700 });
+  }
+
+  for (const entry of readTarArchive(bytes)) {
+    const name = normalizeArchiveName(entry.name);
+    if (!name) {
+      if (entry.type !== 'dir') {
+        skipped.push({ name: entry.name, reason: 'unsafe-path' });
+      }
+      continue;
+    }
+    if (entry.type !== 'file' && entry.type !== 'dir') {
+      skipped.push({ name, reason: entry.type === 'symlink' ? 'symlink' : 'special' });
+      continue;
+    }
+    if (skipRuntimeFiles && entry.type === 'file' && isRuntimeFile(name)) {
+      skipped.push({ name, reason: 'runtime-file' });
+      continue;
+    }
+    addParents(name);
+    if (entry.type === 'dir') {
+      dirs.set(join(name), { path: join(name), mode: homedirEntryMode('dir', entry.mode) });
+      continue;
+    }
+    files.set(join(name), {
+      path: join(name),
+      mode: homedirEntryMode('file', entry.mode),
+      data: encodeBase64(entry.data),
+    });
+  }
+
+  return {
+    fsState: {
+      version: 1,
+      roots: [root],
+      dirs: Array.from(dirs.values()).sort((a, b) => a.path.localeCompare(b.path)),
+      files: Array.from(files.values()).sort((a, b) => a.path.localeCompare(b.path)),
+    },
+    skipped,
+  };
+}
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  fsStateToTar,
+  homedirEntryMode,
+  isRuntimeFile,
+  normalizeArchiveName,
+  readTarArchive,
+  tarToFsState,
+  writeTarArchive,
+} from './gpg-homedir-archive.mjs';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+function setTypeflag(archive, offset, typeflag) {
+  const block = archive.subarray(offset, offset + 512);
+  block[156] = typeflag.charCodeAt(0);
+  let sum = 0;
+  for (let i = 0; i < 512; i += 1) {
+    sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  block.set(bytes(`${sum.toString(8).padStart(6, '0')}\0 `), 148);
+}
+
+test('normalizeArchiveName drops empty and dot segments and rejects ..', () => {
+  assert.equal(normalizeArchiveName('./private-keys-v1.d//abc.key'), 'private-keys-v1.d/abc.key');
+  assert.equal(normalizeArchiveName('/pubring.kbx'), 'pubring.kbx');
+  assert.equal(normalizeArchiveName('a/../../etc/passwd'), '');
+  assert.equal(normalizeArchiveName(''), '');
+});
+
+test('isRuntimeFile matches sockets and lock files', () => {
+  assert.equal(isRuntimeFile('S.gpg-agent'), true);
+  assert.equal(isRuntimeFile('sub/pubring.kbx.lock'), true);
+  assert.equal(isRuntimeFile('.#lk0x1234.host.42'), true);
+  assert.equal(isRuntimeFile('pubring.kbx'), false);
+});
+
+test('writeTarArchive and readTarArchive round-trip files, dirs and long names', () => {
+  const longName = `${'d'.repeat(120)}/${'f'.repeat(90)}`;
+  const paxName = 'x'.repeat(160);
+  const archive = writeTarArchive([
+    { name: 'private-keys-v1.d', type: 'dir', mode: 0o700 },
+    { name: 'private-keys-v1.d/abc.key', type: 'file', mode: 0o600, data: bytes('secret') },
+    { name: longName, type: 'file', mode: 0o644, data: new Uint8Array(700).fill(7) },
+    { name: paxName, type: 'file', mode: 0o600, data: bytes('') },
+  ], { mtime: 1700000000 });
+  assert.equal(archive.length % 512, 0);
+
+  const entries = readTarArchive(archive);
+  assert.deepEqual(entries.map((entry) => [entry.name, entry.type, entry.mode]), [
+    ['private-keys-v1.d/', 'dir', 0o700],
+    ['private-keys-v1.d/abc.key', 'file', 0o600],
+    [longName, 'file', 0o644],
+    [paxName, 'file', 0o600],
+  ]);
+  assert.equal(new TextDecoder().decode(entries[1].data), 'secret');
+  assert.deepEqual(entries[2].data, new Uint8Array(700).fill(7));
+  assert.equal(entries[1].mtime, 1700000000);
+});
+
+test('readTarArchive rejects corrupt and truncated archives', () => {
+  const archive = writeTarArchive([{ name: 'a', type: 'file', mode: 0o600, data: bytes('abc') }]);
+  const corrupt = archive.slice();
+  corrupt[0] = 'b'.charCodeAt(0);
+  assert.throws(() => readTarArchive(corrupt), /checksum mismatch at offset 0/);
+  assert.throws(() => readTarArchive(archive.slice(0, 512)), /truncated/);
+});
+
+test('fsStateToTar and tarToFsState round-trip a homedir', () => {
+  const state = {
+    version: 1,
+    roots: ['/home/user/.gnupg'],
+    dirs: [
+      { path: '/home/user/.gnupg', mode: 0o700 },
+      { path: '/home/user/.gnupg/private-keys-v1.d', mode: 0o700 },
+    ],
+    files: [
+      { path: '/home/user/.gnupg/private-keys-v1.d/abc.key', mode: 0o600, data: 'AAEC' },
+      { path: '/home/user/.gnupg/pubring.kbx', mode: 0o644, data: 'aGVsbG8=' },
+      { path: '/home/user/.gnupg/S.gpg-agent', mode: 0o600, data: '' },
+      { path: '/tmp/elsewhere', mode: 0o600, data: 'AA==' },
+    ],
+  };
+  const archive = fsStateToTar(state, { root: '/home/user/.gnupg/', skipRuntimeFiles: true, mtime: 0 });
+  assert.deepEqual(readTarArchive(archive).map((entry) => entry.name), [
+    'private-keys-v1.d/',
+    'private-keys-v1.d/abc.key',
+    'pubring.kbx',
+  ]);
+
+  const { fsState, skipped } = tarToFsState(archive, { root: '/restore' });
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(fsState, {
+    version: 1,
+    roots: ['/restore'],
+    dirs: [
+      { path: '/restore', mode: 0o700 },
+      { path: '/restore/private-keys-v1.d', mode: 0o700 },
+    ],
+    files: [
+      { path: '/restore/private-keys-v1.d/abc.key', mode: 0o600, data: 'AAEC' },
+      { path: '/restore/pubring.kbx', mode: 0o600, data: 'aGVsbG8=' },
+    ],
+  });
+});
+
+test('imported modes are clamped to the owner', () => {
+  assert.equal(homedirEntryMode('dir', 0o1777), 0o700);
+  assert.equal(homedirEntryMode('file', 0o4755), 0o600);
+  assert.equal(homedirEntryMode('file', 0o400), 0o400);
+  assert.equal(homedirEntryMode('file', 0), 0o600);
+
+  const archive = writeTarArchive([
+    { name: 'shared', type: 'dir', mode: 0o3777 },
+    { name: 'shared/tool', type: 'file', mode: 0o6755, data: bytes('x') },
+  ]);
+  assert.deepEqual(readTarArchive(archive).map((entry) => entry.mode), [0o777, 0o755]);
+  const { fsState } = tarToFsState(archive, { root: '/g' });
+  assert.deepEqual(fsState.dirs, [{ path: '/g', mode: 0o700 }, { path: '/g/shared', mode: 0o700 }]);
+  assert.equal(fsState.files[0].mode, 0o600);
+});
+
+test('tarToFsState skips unsafe paths, links and runtime files', () => {
+  const archive = writeTarArchive([
+    { name: '../escape', type: 'file', mode: 0o600, data: bytes('x') },
+    { name: 'link', type: 'file', mode: 0o777, data: new Uint8Array() },
+    { name: 'S.gpg-agent', type: 'file', mode: 0o600, data: new Uint8Array() },
+    { name: 'nested/trustdb.gpg', type: 'file', mode: 0, data: bytes('t') },
+  ]);
+  setTypeflag(archive, 1024, '2');
+
+  const { fsState, skipped } = tarToFsState(archive, { root: '/g' });
+  assert.deepEqual(skipped, [
+    { name: '../escape', reason: 'unsafe-path' },
+    { name: 'link', reason: 'symlink' },
+    { name: 'S.gpg-agent', reason: 'runtime-file' },
+  ]);
+  assert.deepEqual(fsState.dirs.map((dir) => dir.path), ['/g', '/g/nested']);
+  assert.deepEqual(fsState.files, [{ path: '/g/nested/trustdb.gpg', mode: 0o600, data: 'dA==' }]);
+
+  const kept = tarToFsState(archive, { root: '/g', skipRuntimeFiles: false });
+  assert.ok(kept.fsState.files.some((file) => file.path === '/g/S.gpg-agent'));
+});
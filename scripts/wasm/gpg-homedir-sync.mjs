@@ -0,0 +1,87 @@
+const CHANNEL_NAME = 'gnupg-wasm-homedir';
+const LOCK_PREFIX = 'gnupg-wasm:homedir:';
+
+let sourceCounter = 0;
+
+export function homedirSyncKey({ storage, opfs, homedir }) {
+  if (storage && typeof storage.namespace === 'string' && storage.namespace) {
+    return `${storage.kind || 'custom'}:${storage.dbName || ''}:${storage.namespace}`;
+  }
+  if (opfs) {
+    return `opfs:${opfs.root}:${homedir}`;
+  }
+  return `${storage ? storage.kind || 'custom' : 'memory'}:${homedir}`;
+}
+
+export function createHomedirSync(options = {}) {
+  const key = String(options.key || '');
+  const locks = options.locks !== undefined
+    ? options.locks
+    : (globalThis.navigator && globalThis.navigator.locks) || null;
+  const Channel = options.BroadcastChannel || globalThis.BroadcastChannel || null;
+  const onChange = typeof options.onChange === 'function' ? options.onChange : null;
+  sourceCounter += 1;
+  const source = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${sourceCounter}`;
+
+  let channel = null;
+  if (Channel) {
+    channel = new Channel(typeof options.channelName === 'string' && options.channelName
+      ? options.channelName
+      : CHANNEL_NAME);
+    channel.onmessage = (event) => {
+      const message = event.data;
+      if (
+        !message
+        || typeof message !== 'object'
+        || message.type !== 'homedir-changed'
+        || message.key !== key
+        || message.source === source
+      ) {
+        return;
+      }
+      if (onChange) {
+        onChange(message);
+      }
+    };
+  }
+
+  return {
+    key,
+    lockName: `${LOCK_PREFIX}${key}`,
+    locking: Boolean(locks),
+    broadcasting: Boolean(channel),
+
+    async withLock(action, lockOptions = {}) {
+      if (!locks) {
+        return action();
+      }
+      const request = { mode: 'exclusive' };
+      if (lockOptions.signal) {
+        request.signal = lockOptions.signal;
+      }
+      return locks.request(`${LOCK_PREFIX}${key}`, request, () => action());
+    },
+
+    notify(detail = {}) {
+      if (!channel) {
+        return false;
+      }
+      channel.postMessage({
+        ...detail,
+        type: 'homedir-changed',
+        key,
+        source,
+        at: Date.now(),
+      });
+      return true;
+    },
+
+    close() {
+      if (channel) {
+        channel.onmessage = null;
+        channel.close();
+        channel = null;
+      }
+    },
+  };
+}
@@ -0,0 +1,231 @@
+const ENTRY_STORE = 'entries';
+const META_STORE = 'meta';
+const NAMESPACE_INDEX = 'by-namespace';
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('indexeddb request failed'));
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error('indexeddb transaction aborted'));
+    tx.onerror = () => reject(tx.error || new Error('indexeddb transaction failed'));
+  });
+}
+
+function openDatabase(indexedDB, dbName) {
+  const request = indexedDB.open(dbName, 1);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+      const entries = db.createObjectStore(ENTRY_STORE, { keyPath: ['namespace', 'path'] });
+      entries.createIndex(NAMESPACE_INDEX, 'namespace');
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'namespace' });
+    }
+  };
+  return requestToPromise(request);
+}
+
+function stateToEntries(namespace, state) {
+  const entries = new Map();
+  if (state && typeof state.sealed === 'object' && state.sealed && typeof state.data === 'string') {
+    entries.set('', {
+      namespace,
+      path: '',
+      kind: 'sealed',
+      mode: 0,
+      data: JSON.stringify(state),
+    });
+    return entries;
+  }
+  for (const entry of Array.isArray(state && state.dirs) ? state.dirs : []) {
+    if (entry && typeof entry.path === 'string') {
+      entries.set(entry.path, {
+        namespace,
+        path: entry.path,
+        kind: 'dir',
+        mode: entry.mode,
+        data: '',
+      });
+    }
+  }
+  for (const entry of Array.isArray(state && state.files) ? state.files : []) {
+    if (entry && typeof entry.path === 'string') {
+      entries.set(entry.path, {
+        namespace,
+        path: entry.path,
+        kind: 'file',
+        mode: entry.mode,
+        data: typeof entry.data === 'string' ? entry.data : '',
+      });
+    }
+  }
+  return entries;
+}
+
+function sameEntry(left, right) {
+  return left.kind === right.kind && left.mode === right.mode && left.data === right.data;
+}
+
+export function createIndexedDbStorage(options = {}) {
+  const indexedDB = options.indexedDB || globalThis.indexedDB;
+  const dbName = typeof options.dbName === 'string' && options.dbName
+    ? options.dbName
+    : 'gnupg-wasm';
+  const namespace = typeof options.namespace === 'string' && options.namespace
+    ? options.namespace
+    : 'default';
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available in this context'));
+    }
+    if (!dbPromise) {
+      dbPromise = openDatabase(indexedDB, dbName).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const load = async () => {
+    const db = await getDatabase();
+    const tx = db.transaction([ENTRY_STORE, META_STORE], 'readonly');
+    const done = transactionDone(tx);
+    const [meta, records] = await Promise.all([
+      requestToPromise(tx.objectStore(META_STORE).get(namespace)),
+      requestToPromise(tx.objectStore(ENTRY_STORE).index(NAMESPACE_INDEX).getAll(namespace)),
+    ]);
+    await done;
+
+    if (!meta) {
+      return null;
+    }
+    const sealed = records.find((record) => record.kind === 'sealed');
+    if (sealed) {
+      return JSON.parse(sealed.data);
+    }
+    const dirs = [];
+    const files = [];
+    for (const record of records) {
+      if (record.kind === 'dir') {
+        dirs.push({ path: record.path, mode: record.mode });
+      } else {
+        files.push({ path: record.path, mode: record.mode, data: record.data });
+      }
+    }
+    return {
+      version: 1,
+      roots: Array.isArray(meta.roots) ? meta.roots.slice() : [],
+      dirs: dirs.sort((a, b) => a.path.localeCompare(b.path)),
+      files: files.sort((a, b) => a.path.localeCompare(b.path)),
+    };
+  };
+
+  const save = async (state) => {
+    if (!state || typeof state !== 'object') {
+      return null;
+    }
+    const next = stateToEntries(namespace, state);
+    const db = await getDatabase();
+    const tx = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    const entryStore = tx.objectStore(ENTRY_STORE);
+    const metaStore = tx.objectStore(META_STORE);
+    const summary = {
+      written: 0,
+      deleted: 0,
+      unchanged: 0,
+      generation: 0,
+    };
+
+    const metaRequest = metaStore.get(namespace);
+    metaRequest.onsuccess = () => {
+      const previous = metaRequest.result;
+      summary.generation = (previous && Number.isFinite(previous.generation) ? previous.generation : 0) + 1;
+      metaStore.put({
+        namespace,
+        roots: Array.isArray(state.roots) ? state.roots.slice() : [],
+        generation: summary.generation,
+        updatedAt: Date.now(),
+      });
+    };
+
+    const cursorRequest = entryStore.index(NAMESPACE_INDEX).openCursor(IDBKeyRange.only(namespace));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        const existing = cursor.value;
+        const wanted = next.get(existing.path);
+        if (!wanted) {
+          cursor.delete();
+          summary.deleted += 1;
+        } else if (sameEntry(existing, wanted)) {
+          next.delete(existing.path);
+          summary.unchanged += 1;
+        }
+        cursor.continue();
+        return;
+      }
+      for (const entry of next.values()) {
+        entryStore.put(entry);
+        summary.written += 1;
+      }
+    };
+    cursorRequest.onerror = () => {
+      tx.abort();
+    };
+
+    await done;
+    return summary;
+  };
+
+  const clear = async () => {
+    const db = await getDatabase();
+    const tx = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+    const done = transactionDone(tx);
+    const entryStore = tx.objectStore(ENTRY_STORE);
+    const cursorRequest = entryStore.index(NAMESPACE_INDEX).openKeyCursor(IDBKeyRange.only(namespace));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        entryStore.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+    tx.objectStore(META_STORE).delete(namespace);
+    await done;
+  };
+
+  const close = async () => {
+    if (!dbPromise) {
+      return;
+    }
+    const pending = dbPromise;
+    dbPromise = null;
+    try {
+      (await pending).close();
+    } catch {
+      /* Nothing to close. */
+    }
+  };
+
+  return {
+    kind: 'indexeddb',
+    dbName,
+    namespace,
+    load,
+    save,
+    clear,
+    export: load,
+    close,
+  };
+}
@@ -0,0 +1,203 @@
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+export function resolveNodeDefaults() {
+  const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+  const repoRoot = path.resolve(scriptDir, '..', '..');
+  const wasmPrefix = process.env.WASM_PREFIX || path.join(repoRoot, 'PLAY', 'wasm-prefix');
+  const wasmBuildDir = process.env.WASM_BUILD_DIR || path.join(repoRoot, 'PLAY', 'wasm-build');
+
+  return {
+    nodeBin: process.env.NODE_BIN || process.env.EMSDK_NODE || process.execPath,
+    gpgBin: process.env.GPG_BIN || path.join(wasmPrefix, 'bin', 'gpg'),
+    agentBin: process.env.GPG_AGENT_BIN || path.join(wasmPrefix, 'bin', 'gpg-agent'),
+    dirmngrShim: process.env.GPG_DIRMNGR_SHIM || path.join(scriptDir, 'dirmngr-fetch-shim.mjs'),
+    scdaemonBin: process.env.SCDAEMON_BIN || path.join(wasmPrefix, 'libexec', 'scdaemon'),
+    homedir: process.env.GPG_CLI_HOME || path.join(wasmBuildDir, 'cli-node', 'gnupghome'),
+    keyserver: process.env.GNUPG_WASM_KEYSERVER || 'hkps://keys.openpgp.org',
+  };
+}
+
+export function bridgeStreamToChild(stream, childProc) {
+  stream.on('data', (chunk) => {
+    if (!childProc.stdin.destroyed) {
+      childProc.stdin.write(chunk);
+    }
+  });
+
+  childProc.stdout.on('data', (chunk) => {
+    if (!stream.destroyed) {
+      stream.write(chunk);
+    }
+  });
+
+  stream.on('end', () => {
+    if (!childProc.stdin.destroyed) {
+      childProc.stdin.end();
+    }
+  });
+
+  childProc.stdout.on('end', () => {
+    if (!stream.destroyed) {
+      stream.end();
+    }
+  });
+
+  stream.on('error', () => {});
+  childProc.stdin.on('error', () => {});
+  childProc.stdout.on('error', () => {});
+
+  childProc.on('exit', () => {
+    if (!stream.destroyed) {
+      stream.destroy();
+    }
+  });
+}
+
+export function waitForExit(childProc) {
+  return new Promise((resolve) => {
+    childProc.once('exit', (code, signal) => resolve({ code, signal }));
+  });
+}
+
+export async function terminate(childProc, signal = 'SIGTERM') {
+  if (!childProc || childProc.exitCode !== null || childProc.signalCode) {
+    return;
+  }
+
+  childProc.kill(signal);
+  const result = await Promise.race([
+    waitForExit(childProc),
+    new Promise((resolve) => setTimeout(() => resolve(null), 1000)),
+  ]);
+
+  if (!result) {
+    childProc.kill('SIGKILL');
+  }
+}
+
+function spawnService(nodeBin, script, args, options) {
+  return spawn(nodeBin, [script, ...args], {
+    stdio: ['pipe', 'pipe', options.serviceStderr],
+    env: {
+      ...options.env,
+      GNUPGHOME: options.homedir,
+      ...options.serviceEnv,
+    },
+  });
+}
+
+export function spawnGpgWithBridges(options) {
+  const env = options.env || process.env;
+  const serviceStderr = options.serviceStderr || 'inherit';
+  const serviceOptions = {
+    env,
+    homedir: options.homedir,
+    serviceStderr,
+    serviceEnv: {},
+  };
+  const useAgentBridge = options.useAgentBridge !== false;
+  const useScdaemonBridge = useAgentBridge && options.useScdaemonBridge !== false;
+  const useDirmngrBridge = options.useDirmngrBridge !== false;
+
+  const gpgEnv = {
+    ...env,
+    GNUPGHOME: options.homedir,
+  };
+  const gpgStdio = (options.stdio || ['inherit', 'inherit', 'inherit']).slice(0, 3);
+  let nextFd = 3;
+  const extraFds = [];
+
+  if (useAgentBridge) {
+    gpgStdio.push('pipe');
+    gpgEnv.GNUPG_WASM_AGENT_FD = String(nextFd);
+    extraFds.push(nextFd);
+    nextFd += 1;
+  }
+
+  if (useScdaemonBridge) {
+    gpgStdio.push('pipe');
+    gpgEnv.GNUPG_WASM_SCDAEMON_FD = String(nextFd);
+    extraFds.push(nextFd);
+    nextFd += 1;
+  }
+
+  if (useDirmngrBridge) {
+    gpgStdio.push('pipe');
+    gpgEnv.GNUPG_WASM_DIRMNGR_FD = String(nextFd);
+    extraFds.push(nextFd);
+    nextFd += 1;
+  }
+
+  if (extraFds.length) {
+    gpgEnv.GNUPG_WASM_EXTRA_FDS = extraFds.join(',');
+  }
+
+  const gpgProc = spawn(options.nodeBin, [options.gpgBin, ...options.args], {
+    stdio: gpgStdio,
+    env: gpgEnv,
+  });
+
+  const services = [];
+  const bridgeStreams = [];
+  let bridgeFd = 3;
+
+  const takeBridge = () => {
+    const stream = gpgProc.stdio[bridgeFd];
+    if (!stream) {
+      throw new Error(`Missing bridge stream for fd ${bridgeFd}`);
+    }
+    bridgeStreams.push(stream);
+    bridgeFd += 1;
+    return stream;
+  };
+
+  if (useAgentBridge) {
+    const agentBridge = takeBridge();
+    if (typeof options.connectAgent === 'function') {
+      options.connectAgent(agentBridge);
+    } else {
+      const agentProc = spawnService(options.nodeBin, options.agentBin, [
+        '--server',
+        '--homedir', options.homedir,
+      ], serviceOptions);
+      bridgeStreamToChild(agentBridge, agentProc);
+      services.push({ name: 'agent', proc: agentProc });
+    }
+  }
+
+  if (useScdaemonBridge) {
+    const scdaemonProc = spawnService(options.nodeBin, options.scdaemonBin, [
+      '--multi-server',
+      '--homedir', options.homedir,
+    ], serviceOptions);
+    bridgeStreamToChild(takeBridge(), scdaemonProc);
+    services.push({ name: 'scdaemon', proc: scdaemonProc });
+  }
+
+  if (useDirmngrBridge) {
+    const dirmngrProc = spawnService(options.nodeBin, options.dirmngrShim, [
+      '--homedir', options.homedir,
+      '--keyserver', options.keyserver,
+    ], { ...serviceOptions, serviceEnv: { GNUPG_WASM_KEYSERVER: options.keyserver } });
+    bridgeStreamToChild(takeBridge(), dirmngrProc);
+    services.push({ name: 'dirmngr', proc: dirmngrProc });
+  }
+
+  return {
+    gpgProc,
+    services,
+    async shutdown() {
+      for (const stream of bridgeStreams) {
+        if (!stream.destroyed) {
+          stream.destroy();
+        }
+      }
+      for (const service of services) {
+        await terminate(service.proc);
+      }
+    },
+  };
+}
@@ -1,15 +1,17 @@
 #!/usr/bin/env node
 
-import { spawn } from 'node:child_process';
-import { chmodSync, existsSync, mkdirSync } from 'node:fs';
+import { chmodSync, existsSync, lstatSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
 import path from 'node:path';
 import process from 'node:process';
-import { fileURLToPath } from 'node:url';
+import { gunzipSync } from 'node:zlib';
+import { homedirEntryMode, isRuntimeFile, normalizeArchiveName, readTarArchive } from './gpg-homedir-archive.mjs';
+import { resolveNodeDefaults, spawnGpgWithBridges, waitForExit } from './gpg-node-bridges.mjs';
 
 function usage() {
   process.stdout.write(
     [
       'Usage: scripts/wasm/gpg-node-cli.sh [options] -- [gpg args...]',
+      '       scripts/wasm/gpg-node-cli.sh unpack-homedir [--homedir PATH] [--keep-runtime-files] ARCHIVE',
       '',
       'Run wasm gpg under Node with agent+dirmngr bridges enabled.',
       '',
@@ -17,6 +19,7 @@ function usage() {
       '  scripts/wasm/gpg-node-cli.sh -- --version',
       '  scripts/wasm/gpg-node-cli.sh -- --recv-keys 0x99242560',
       '  scripts/wasm/gpg-node-cli.sh -- --quick-generate-key user@example.com',
+      '  scripts/wasm/gpg-node-cli.sh unpack-homedir --homedir ~/.gnupg homedir.tar',
       '',
       'Options:',
       '  --gpg PATH            Explicit gpg launcher path',
@@ -32,6 +35,10 @@ function usage() {
       '  --no-scdaemon-bridge  Disable GNUPG_WASM_SCDAEMON_FD bridge',
       '  --help                Show this help text',
       '',
+      'unpack-homedir writes a tar archive from exportHomedirArchive() (plain or',
+      'gzipped) into --homedir. Symlinks and special files are always skipped;',
+      'socket names (S.*) and lock files are skipped unless --keep-runtime-files.',
+      '',
       'Default injected gpg flags (unless --raw):',
       '  --homedir <dir> --batch --yes --no-tty --no-autostart',
       '',
@@ -47,7 +54,7 @@ function parseArgs(argv, defaults) {
     dirmngrShim: defaults.dirmngrShim,
     scdaemonBin: defaults.scdaemonBin,
     homedir: defaults.homedir,
-    keyserver: process.env.GNUPG_WASM_KEYSERVER || 'hkps://keys.openpgp.org',
+    keyserver: defaults.keyserver,
     rawMode: false,
     useAgentBridge: true,
     useDirmngrBridge: true,
@@ -132,78 +139,114 @@ function parseArgs(argv, defaults) {
   return out;
 }
 
-function bridgeStreamToChild(stream, childProc) {
-  stream.on('data', (chunk) => {
-    if (!childProc.stdin.destroyed) {
-      childProc.stdin.write(chunk);
+function assertNoSymlink(homedir, name) {
+  let current = homedir;
+  for (const part of name.split('/')) {
+    current = path.join(current, part);
+    let stat;
+    try {
+      stat = lstatSync(current);
+    } catch {
+      return;
     }
-  });
-
-  childProc.stdout.on('data', (chunk) => {
-    if (!stream.destroyed) {
-      stream.write(chunk);
+    if (stat.isSymbolicLink()) {
+      throw new Error(`Refusing to unpack ${name} through the symlink ${current}`);
     }
-  });
+  }
+}
 
-  stream.on('end', () => {
-    if (!childProc.stdin.destroyed) {
-      childProc.stdin.end();
-    }
-  });
+function unpackHomedirArchive(argv, defaults) {
+  let homedir = defaults.homedir;
+  let keepRuntimeFiles = false;
+  let archivePath = '';
 
-  childProc.stdout.on('end', () => {
-    if (!stream.destroyed) {
-      stream.end();
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--homedir') {
+      homedir = argv[i + 1] || '';
+      i += 1;
+    } else if (arg === '--keep-runtime-files') {
+      keepRuntimeFiles = true;
+    } else if (arg === '--help' || arg === '-h') {
+      usage();
+      process.exit(0);
+    } else if (!archivePath && !arg.startsWith('--')) {
+      archivePath = arg;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
     }
-  });
+  }
 
-  stream.on('error', () => {});
-  childProc.stdin.on('error', () => {});
-  childProc.stdout.on('error', () => {});
+  if (!archivePath) {
+    throw new Error('Missing archive path for unpack-homedir');
+  }
+  if (!homedir) {
+    throw new Error('Missing --homedir for unpack-homedir');
+  }
 
-  childProc.on('exit', () => {
-    if (!stream.destroyed) {
-      stream.destroy();
+  let bytes = readFileSync(archivePath);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    bytes = gunzipSync(bytes);
+  }
+  const entries = readTarArchive(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+
+  mkdirSync(homedir, { recursive: true });
+  const dirModes = [];
+  let written = 0;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    const name = normalizeArchiveName(entry.name);
+    if (!name || (entry.type !== 'file' && entry.type !== 'dir')) {
+      if (name || entry.type !== 'dir') {
+        process.stderr.write(`[wasm] skipping ${entry.name} (${name ? entry.type : 'unsafe path'})\n`);
+        skipped += 1;
+      }
+      continue;
+    }
+    if (entry.type === 'file' && !keepRuntimeFiles && isRuntimeFile(name)) {
+      skipped += 1;
+      continue;
     }
-  });
-}
-
-function waitForExit(childProc) {
-  return new Promise((resolve) => {
-    childProc.once('exit', (code, signal) => resolve({ code, signal }));
-  });
-}
 
-async function terminate(childProc, signal = 'SIGTERM') {
-  if (!childProc || childProc.exitCode !== null || childProc.signalCode) {
-    return;
+    assertNoSymlink(homedir, name);
+    const target = path.join(homedir, ...name.split('/'));
+    if (entry.type === 'dir') {
+      mkdirSync(target, { recursive: true });
+      dirModes.push([target, homedirEntryMode('dir', entry.mode)]);
+      continue;
+    }
+    mkdirSync(path.dirname(target), { recursive: true });
+    const mode = homedirEntryMode('file', entry.mode);
+    writeFileSync(target, entry.data, { mode });
+    chmodSync(target, mode);
+    written += 1;
   }
 
-  childProc.kill(signal);
-  const result = await Promise.race([
-    waitForExit(childProc),
-    new Promise((resolve) => setTimeout(() => resolve(null), 1000)),
-  ]);
-
-  if (!result) {
-    childProc.kill('SIGKILL');
+  for (const [target, mode] of dirModes.reverse()) {
+    chmodSync(target, mode);
+  }
+  try {
+    chmodSync(homedir, 0o700);
+  } catch {
+    /* Best effort permission fix-up.  */
   }
+
+  process.stdout.write(`[wasm] unpacked ${written} files into ${homedir} (${skipped} skipped)\n`);
 }
 
 async function main() {
-  const scriptDir = path.dirname(fileURLToPath(import.meta.url));
-  const repoRoot = path.resolve(scriptDir, '..', '..');
-  const wasmPrefix = process.env.WASM_PREFIX || path.join(repoRoot, 'PLAY', 'wasm-prefix');
-  const wasmBuildDir = process.env.WASM_BUILD_DIR || path.join(repoRoot, 'PLAY', 'wasm-build');
-
-  const defaults = {
-    nodeBin: process.env.NODE_BIN || process.env.EMSDK_NODE || process.execPath,
-    gpgBin: process.env.GPG_BIN || path.join(wasmPrefix, 'bin', 'gpg'),
-    agentBin: process.env.GPG_AGENT_BIN || path.join(wasmPrefix, 'bin', 'gpg-agent'),
-    dirmngrShim: process.env.GPG_DIRMNGR_SHIM || path.join(scriptDir, 'dirmngr-fetch-shim.mjs'),
-    scdaemonBin: process.env.SCDAEMON_BIN || path.join(wasmPrefix, 'libexec', 'scdaemon'),
-    homedir: process.env.GPG_CLI_HOME || path.join(wasmBuildDir, 'cli-node', 'gnupghome'),
-  };
+  const defaults = resolveNodeDefaults();
+
+  if (process.argv[2] === 'unpack-homedir') {
+    try {
+      unpackHomedirArchive(process.argv.slice(3), defaults);
+    } catch (error) {
+      process.stderr.write(`[wasm] error: ${error.message}\n`);
+      process.exit(1);
+    }
+    return;
+  }
 
   let options;
   try {
@@ -242,42 +285,6 @@ async function main() {
   process.stdout.write(`[wasm] gpg:  ${options.gpgBin}\n`);
   process.stdout.write(`[wasm] home: ${options.homedir}\n`);
 
-  const serviceProcesses = [];
-  const bridgeStreams = [];
-
-  const env = {
-    ...process.env,
-    GNUPGHOME: options.homedir,
-  };
-  const gpgStdio = ['inherit', 'inherit', 'inherit'];
-  let nextFd = 3;
-  const extraFds = [];
-
-  if (options.useAgentBridge) {
-    gpgStdio.push('pipe');
-    env.GNUPG_WASM_AGENT_FD = String(nextFd);
-    extraFds.push(nextFd);
-    nextFd += 1;
-  }
-
-  if (options.useScdaemonBridge) {
-    gpgStdio.push('pipe');
-    env.GNUPG_WASM_SCDAEMON_FD = String(nextFd);
-    extraFds.push(nextFd);
-    nextFd += 1;
-  }
-
-  if (options.useDirmngrBridge) {
-    gpgStdio.push('pipe');
-    env.GNUPG_WASM_DIRMNGR_FD = String(nextFd);
-    extraFds.push(nextFd);
-    nextFd += 1;
-  }
-
-  if (extraFds.length) {
-    env.GNUPG_WASM_EXTRA_FDS = extraFds.join(',');
-  }
-
   const defaultFlags = [
     '--homedir', options.homedir,
     '--batch',
@@ -287,92 +294,20 @@ async function main() {
   ];
   const finalArgs = options.rawMode ? options.gpgArgs : [...defaultFlags, ...options.gpgArgs];
 
-  const gpgProc = spawn(options.nodeBin, [options.gpgBin, ...finalArgs], {
-    stdio: gpgStdio,
-    env,
+  const launch = spawnGpgWithBridges({
+    nodeBin: options.nodeBin,
+    gpgBin: options.gpgBin,
+    agentBin: options.agentBin,
+    scdaemonBin: options.scdaemonBin,
+    dirmngrShim: options.dirmngrShim,
+    keyserver: options.keyserver,
+    homedir: options.homedir,
+    args: finalArgs,
+    useAgentBridge: options.useAgentBridge,
+    useScdaemonBridge: options.useScdaemonBridge,
+    useDirmngrBridge: options.useDirmngrBridge,
   });
-
-  let bridgeFd = 3;
-
-  if (options.useAgentBridge) {
-    const agentBridge = gpgProc.stdio[bridgeFd];
-    if (!agentBridge) {
-      throw new Error(`Missing bridge stream for fd ${bridgeFd}`);
-    }
-
-    const agentProc = spawn(
-      options.nodeBin,
-      [
-        options.agentBin,
-        '--server',
-        '--homedir', options.homedir,
-      ],
-      {
-        stdio: ['pipe', 'pipe', 'inherit'],
-        env: {
-          ...process.env,
-          GNUPGHOME: options.homedir,
-        },
-      }
-    );
-
-    bridgeStreamToChild(agentBridge, agentProc);
-    bridgeStreams.push(agentBridge);
-    serviceProcesses.push(agentProc);
-    bridgeFd += 1;
-  }
-
-  if (options.useScdaemonBridge) {
-    const scdaemonBridge = gpgProc.stdio[bridgeFd];
-    if (!scdaemonBridge) {
-      throw new Error(`Missing bridge stream for fd ${bridgeFd}`);
-    }
-
-    const scdaemonProc = spawn(
-      options.nodeBin,
-      [
-        options.scdaemonBin,
-        '--multi-server',
-        '--homedir', options.homedir,
-      ],
-      {
-        stdio: ['pipe', 'pipe', 'inherit'],
-        env: {
-          ...process.env,
-          GNUPGHOME: options.homedir,
-        },
-      }
-    );
-
-    bridgeStreamToChild(scdaemonBridge, scdaemonProc);
-    bridgeStreams.push(scdaemonBridge);
-    serviceProcesses.push(scdaemonProc);
-    bridgeFd += 1;
-  }
-
-  if (options.useDirmngrBridge) {
-    const dirmngrBridge = gpgProc.stdio[bridgeFd];
-    if (!dirmngrBridge) {
-      throw new Error(`Missing bridge stream for fd ${bridgeFd}`);
-    }
-
-    const dirmngrProc = spawn(
-      options.nodeBin,
-      [options.dirmngrShim, '--homedir', options.homedir, '--keyserver', options.keyserver],
-      {
-        stdio: ['pipe', 'pipe', 'inherit'],
-        env: {
-          ...process.env,
-          GNUPGHOME: options.homedir,
-          GNUPG_WASM_KEYSERVER: options.keyserver,
-        },
-      }
-    );
-
-    bridgeStreamToChild(dirmngrBridge, dirmngrProc);
-    bridgeStreams.push(dirmngrBridge);
-    serviceProcesses.push(dirmngrProc);
-  }
+  const gpgProc = launch.gpgProc;
 
   const forwardSignal = (sig) => {
     if (!gpgProc.killed && gpgProc.exitCode === null) {
@@ -385,15 +320,7 @@ async function main() {
 
   const gpgResult = await waitForExit(gpgProc);
 
-  for (const stream of bridgeStreams) {
-    if (!stream.destroyed) {
-      stream.destroy();
-    }
-  }
-
-  for (const childProc of serviceProcesses) {
-    await terminate(childProc);
-  }
+  await launch.shutdown();
 
   if (gpgResult.signal) {
     process.kill(process.pid, gpgResult.signal);
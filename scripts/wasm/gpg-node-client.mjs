@@ -0,0 +1,881 @@
+import { spawn } from 'node:child_process';
+import {
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import './gpg-fs-hash.js';
+import { WasmGpgBrowserClient } from './gpg-browser-client.mjs';
+import { resolveNodeDefaults, spawnGpgWithBridges, terminate, waitForExit } from './gpg-node-bridges.mjs';
+
+const STATUS_PREFIX = '[GNUPG:] ';
+const PROMPT_KEYWORDS = new Set(['GET_HIDDEN', 'GET_LINE', 'GET_BOOL']);
+const SESSION_HOST_SCRIPT = fileURLToPath(new URL('./gpg-agent-session-host.mjs', import.meta.url));
+const SESSION_DETACH_GRACE_MS = 3000;
+
+const { hashFsBytes } = globalThis.GnupgFsHash;
+const sharedSandboxes = new WeakMap();
+
+function normalizePath(pathValue, fallback) {
+  let value = typeof pathValue === 'string' ? pathValue.trim() : '';
+  if (!value) {
+    value = fallback;
+  }
+  if (!value.startsWith('/')) {
+    value = `/${value}`;
+  }
+  if (value.length > 1 && value.endsWith('/')) {
+    value = value.slice(0, -1);
+  }
+  return value.replace(/\/{2,}/g, '/');
+}
+
+function normalizeMode(mode, fallback) {
+  if (Number.isFinite(mode)) {
+    return Number(mode) & 0o777;
+  }
+  return fallback;
+}
+
+function collectRoots(persistRoots, fsState, homedir) {
+  const raw = Array.isArray(persistRoots) && persistRoots.length
+    ? persistRoots
+    : (fsState && Array.isArray(fsState.roots) ? fsState.roots : []);
+  return Array.from(new Set([...raw.map((item) => normalizePath(String(item), '/')), homedir]));
+}
+
+function includesAnyOption(args, optionNames) {
+  return args.some((arg) => optionNames.some((name) => arg === name || arg.startsWith(`${name}=`)));
+}
+
+function removeOption(args, optionName, expectsValue) {
+  const out = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === optionName) {
+      if (expectsValue && i + 1 < args.length) {
+        i += 1;
+      }
+      continue;
+    }
+    if (arg.startsWith(`${optionName}=`)) {
+      continue;
+    }
+    out.push(arg);
+  }
+  return out;
+}
+
+function buildFinalArgs(inputArgs, options) {
+  const idx = inputArgs.indexOf('--');
+  let base = idx === -1 ? inputArgs.slice() : inputArgs.slice(0, idx);
+  const tail = idx === -1 ? [] : inputArgs.slice(idx);
+
+  base = removeOption(base, '--batch', false);
+  base = removeOption(base, '--no-tty', false);
+  base = removeOption(base, '--pinentry-mode', true);
+  base = removeOption(base, '--no-autostart', false);
+  base = removeOption(base, '--homedir', true);
+  base = removeOption(base, '--command-fd', true);
+  if (options.emitStatus) {
+    base = removeOption(base, '--status-fd', true);
+  }
+
+  const enforced = ['--homedir', options.homedir];
+  if (!includesAnyOption(inputArgs, ['--search-keys', '--search-key', '--edit-key', '--card-edit'])) {
+    enforced.push('--batch', '--no-tty');
+  }
+  enforced.push('--pinentry-mode', 'loopback', '--no-autostart');
+  if (options.emitStatus) {
+    enforced.push('--status-fd', '2');
+  }
+  enforced.push('--command-fd', '0');
+
+  return [...enforced, ...base, ...tail];
+}
+
+
+function sandboxPath(sandbox, virtualPath) {
+  const normalized = normalizePath(virtualPath, '/');
+  if (normalized.split('/').includes('..')) {
+    throw new Error(`path escapes the sandbox: ${virtualPath}`);
+  }
+  const realPath = path.resolve(sandbox, `.${path.posix.normalize(normalized)}`);
+  if (realPath !== sandbox && !realPath.startsWith(sandbox + path.sep)) {
+    throw new Error(`path escapes the sandbox: ${virtualPath}`);
+  }
+  return realPath;
+}
+
+function createSandbox(tmpdir, fsState, roots) {
+  const sandbox = mkdtempSync(path.join(path.resolve(tmpdir), 'gnupg-wasm-'));
+  const real = (virtualPath) => sandboxPath(sandbox, virtualPath);
+  const byDepth = (a, b) => String(a.path || '').length - String(b.path || '').length;
+
+  try {
+    const dirs = fsState && Array.isArray(fsState.dirs) ? fsState.dirs.slice().sort(byDepth) : [];
+    for (const entry of dirs) {
+      if (entry && typeof entry.path === 'string') {
+        mkdirSync(real(entry.path), { recursive: true });
+        chmodSync(real(entry.path), normalizeMode(entry.mode, 0o700));
+      }
+    }
+    const files = fsState && Array.isArray(fsState.files) ? fsState.files.slice().sort(byDepth) : [];
+    for (const entry of files) {
+      if (entry && typeof entry.path === 'string') {
+        mkdirSync(path.dirname(real(entry.path)), { recursive: true });
+        writeFileSync(real(entry.path), Buffer.from(typeof entry.data === 'string' ? entry.data : '', 'base64'));
+        chmodSync(real(entry.path), normalizeMode(entry.mode, 0o600));
+      }
+    }
+    for (const root of roots) {
+      mkdirSync(real(root), { recursive: true, mode: 0o700 });
+    }
+  } catch (error) {
+    removeSandbox(sandbox);
+    throw error;
+  }
+  return sandbox;
+}
+
+function captureSandbox(sandbox, roots) {
+  const dirs = [];
+  const files = [];
+  const seen = new Set();
+
+  const walk = (virtualPath) => {
+    if (seen.has(virtualPath)) {
+      return;
+    }
+    seen.add(virtualPath);
+    const realPath = sandboxPath(sandbox, virtualPath);
+    const stat = statSync(realPath, { throwIfNoEntry: false });
+    if (!stat) {
+      return;
+    }
+    if (stat.isDirectory()) {
+      dirs.push({ path: virtualPath, mode: normalizeMode(stat.mode, 0o700) });
+      for (const name of readdirSync(realPath)) {
+        walk(virtualPath === '/' ? `/${name}` : `${virtualPath}/${name}`);
+      }
+      return;
+    }
+    if (stat.isFile()) {
+      const bytes = readFileSync(realPath);
+      files.push({
+        path: virtualPath,
+        mode: normalizeMode(stat.mode, 0o600),
+        data: bytes.toString('base64'),
+        hash: hashFsBytes(bytes),
+      });
+    }
+  };
+
+  for (const root of roots) {
+    walk(root);
+  }
+  dirs.sort((a, b) => a.path.localeCompare(b.path));
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  return {
+    version: 1,
+    roots: roots.slice(),
+    dirs,
+    files,
+  };
+}
+
+function countFsStateBytes(state) {
+  const files = state && Array.isArray(state.files) ? state.files : [];
+  return {
+    files: files.length,
+    bytes: files.reduce((sum, entry) => sum + Buffer.byteLength(String(entry.data || ''), 'base64'), 0),
+  };
+}
+
+function removeSandbox(sandbox) {
+  if (sandbox) {
+    rmSync(sandbox, { recursive: true, force: true });
+  }
+}
+
+function mapArgToSandbox(arg, sandbox, roots) {
+  const inRoots = (value) => roots.some((root) => value === root || value.startsWith(`${root}/`));
+  if (arg.startsWith('/') && inRoots(arg)) {
+    return sandboxPath(sandbox, arg);
+  }
+  const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+  if (eq !== -1 && arg[eq + 1] === '/' && inRoots(arg.slice(eq + 1))) {
+    return `${arg.slice(0, eq + 1)}${sandboxPath(sandbox, arg.slice(eq + 1))}`;
+  }
+  return arg;
+}
+
+function createLineSplitter(onLine) {
+  let pending = '';
+  const decoder = new TextDecoder();
+  return {
+    push(chunk) {
+      pending += decoder.decode(chunk, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        onLine(line.replace(/\r$/, ''));
+      }
+    },
+    flush() {
+      pending += decoder.decode();
+      if (pending) {
+        onLine(pending.replace(/\r$/, ''));
+      }
+      pending = '';
+    },
+  };
+}
+
+function streamClosed(stream) {
+  return new Promise((resolve) => {
+    if (!stream || stream.closed) {
+      resolve();
+      return;
+    }
+    stream.once('close', resolve);
+  });
+}
+
+class NodeWorkerPort {
+  constructor(client) {
+    this.client = client;
+    this._listeners = { message: [], error: [] };
+  }
+
+  addEventListener(type, listener) {
+    if (this._listeners[type]) {
+      this._listeners[type].push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    if (this._listeners[type]) {
+      this._listeners[type] = this._listeners[type].filter((item) => item !== listener);
+    }
+  }
+
+  _post(message) {
+    queueMicrotask(() => {
+      for (const listener of this._listeners.message) {
+        listener({ data: message });
+      }
+    });
+  }
+
+  _fail(message) {
+    queueMicrotask(() => {
+      for (const listener of this._listeners.error) {
+        listener({ message });
+      }
+    });
+  }
+}
+
+class NodeGpgProcess extends NodeWorkerPort {
+  constructor(client) {
+    super(client);
+    this._launch = null;
+    this._sandbox = '';
+    this._stopped = false;
+    this._finished = false;
+    this._stdinQueue = null;
+  }
+
+  postMessage(message) {
+    if (message && message.type === 'run' && !this._launch && !this._stopped) {
+      this._start(message);
+    }
+  }
+
+  terminate() {
+    if (this._stopped) {
+      return;
+    }
+    this._stopped = true;
+    if (this._stdinQueue) {
+      Atomics.notify(this._stdinQueue.ctrl, 3);
+    }
+    if (this._finished) {
+      return;
+    }
+    const launch = this._launch;
+    const sandbox = this._sandbox;
+    void (async () => {
+      if (launch) {
+        await terminate(launch.gpgProc);
+        await launch.shutdown();
+      }
+      removeSandbox(sandbox);
+    })();
+  }
+
+  _debug(enabled, step, data) {
+    if (enabled) {
+      this._post({ type: 'debug', step, data });
+    }
+  }
+
+  _start(message) {
+    const client = this.client;
+    const debug = message.debug === true;
+    const argv = Array.isArray(message.args) ? message.args.map((item) => String(item)) : [];
+    const homedir = normalizePath(message.homedir, '/gnupg');
+    const fsState = message.fsState && typeof message.fsState === 'object' ? message.fsState : null;
+    const roots = collectRoots(message.persistRoots, fsState, homedir);
+    const emitStatus = message.emitStatus !== false;
+    const stdoutMode = message.stdoutMode === 'bytes' ? 'bytes' : 'lines';
+    const wantsStdoutLines = stdoutMode === 'lines' || message.stdoutLines === true;
+    const shared = message.sharedAgentBridge ? sharedSandboxes.get(message.sharedAgentBridge) : null;
+
+    const stdoutLines = [];
+    const stderrLines = [];
+    const statusLines = [];
+    const restored = countFsStateBytes(fsState);
+    const timings = {
+      startedAt: performance.timeOrigin + performance.now(),
+      launcher: 'process',
+      phases: {},
+      counters: {
+        bytesRestored: restored.bytes,
+        filesRestored: restored.files,
+        stdinQueueBytes: 0,
+      },
+    };
+
+    const unmap = (line) => line.split(this._sandbox).join('');
+
+    let launch;
+    let finalArgs;
+    try {
+      const restoreStart = performance.now();
+      this._sandbox = shared ? shared.claim() : createSandbox(client.tmpdir, fsState, roots);
+      timings.phases.fsRestore = performance.now() - restoreStart;
+      finalArgs = buildFinalArgs(argv.map((arg) => mapArgToSandbox(arg, this._sandbox, roots)), {
+        homedir: sandboxPath(this._sandbox, homedir),
+        emitStatus,
+      });
+      launch = spawnGpgWithBridges({
+        nodeBin: client.nodeBin,
+        gpgBin: client.gpgBin,
+        agentBin: client.agentBin,
+        scdaemonBin: client.scdaemonBin,
+        dirmngrShim: client.dirmngrShim,
+        keyserver: client.keyserver,
+        homedir: sandboxPath(this._sandbox, homedir),
+        args: finalArgs,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        serviceStderr: 'pipe',
+        useAgentBridge: client.agentBridge && message.enableAgentBridge !== false,
+        useScdaemonBridge: client.scdaemonBridge,
+        useDirmngrBridge: client.dirmngrBridge,
+        connectAgent: shared ? (stream) => shared.attach(stream) : null,
+      });
+      this._launch = launch;
+
+      for (const service of launch.services) {
+        const splitter = createLineSplitter((line) => {
+          const text = `[${service.name}] ${unmap(line)}`;
+          stderrLines.push(text);
+          this._post({ type: 'stderr', data: text });
+        });
+        service.proc.stderr.on('data', (chunk) => splitter.push(chunk));
+        service.proc.stderr.on('end', () => splitter.flush());
+      }
+    } catch (error) {
+      this._finished = true;
+      removeSandbox(this._sandbox);
+      this._post({ type: 'error', message: error instanceof Error ? error.message : String(error) });
+      this._post({ type: 'result', exitCode: 2, stdoutLines, stderrLines, statusLines });
+      return;
+    }
+
+    const gpgProc = launch.gpgProc;
+    const spawnedAt = performance.now();
+    this._debug(debug, 'node.spawn', { sandbox: this._sandbox, args: finalArgs, sharedAgent: Boolean(shared) });
+
+    let bufferedAnswers = 0;
+    let awaitingAnswer = false;
+    let stdinRequestCounter = 0;
+    const noteStdinBytes = (bytes) => {
+      timings.counters.stdinQueueBytes += bytes.length;
+      for (const value of bytes) {
+        if (value !== 0x0a && value !== 0x04) {
+          continue;
+        }
+        if (awaitingAnswer) {
+          awaitingAnswer = false;
+        } else {
+          bufferedAnswers += 1;
+        }
+      }
+    };
+
+    const stdoutSplitter = createLineSplitter((line) => {
+      const text = unmap(line);
+      stdoutLines.push(text);
+      this._post({ type: 'stdout', data: text });
+    });
+    gpgProc.stdout.on('data', (chunk) => {
+      if (stdoutMode === 'bytes') {
+        this._post({ type: 'stdout-bytes', data: new Uint8Array(chunk) });
+      }
+      if (wantsStdoutLines) {
+        stdoutSplitter.push(chunk);
+      }
+    });
+
+    const stderrSplitter = createLineSplitter((line) => {
+      const text = unmap(line);
+      stderrLines.push(text);
+      this._post({ type: 'stderr', data: text });
+      const idx = text.indexOf(STATUS_PREFIX);
+      if (idx === -1 || !emitStatus) {
+        return;
+      }
+      const statusLine = text.slice(idx + STATUS_PREFIX.length).trimStart();
+      statusLines.push(statusLine);
+      this._post({ type: 'status', line: statusLine });
+      if (!this._stdinQueue || !PROMPT_KEYWORDS.has(statusLine.split(' ')[0])) {
+        return;
+      }
+      if (bufferedAnswers > 0) {
+        bufferedAnswers -= 1;
+        return;
+      }
+      awaitingAnswer = true;
+      stdinRequestCounter += 1;
+      this._post({
+        type: 'stdin-request',
+        id: `stdin-${stdinRequestCounter}`,
+        prompt: statusLine,
+        args: argv,
+      });
+    });
+    gpgProc.stderr.on('data', (chunk) => stderrSplitter.push(chunk));
+
+    gpgProc.stdin.on('error', () => {});
+    if (message.stdinQueue && message.stdinQueue.meta) {
+      this._stdinQueue = {
+        ctrl: new Int32Array(message.stdinQueue.meta),
+        data: new Uint8Array(message.stdinQueue.data),
+      };
+      void this._pumpStdinQueue(gpgProc.stdin, noteStdinBytes);
+    } else {
+      const bytes = message.stdinBytes instanceof Uint8Array
+        ? message.stdinBytes
+        : new TextEncoder().encode(typeof message.stdinText === 'string' ? message.stdinText : '');
+      gpgProc.stdin.end(Buffer.from(bytes));
+    }
+
+    let spawnError = '';
+    const exited = new Promise((resolve) => {
+      gpgProc.once('error', (error) => {
+        spawnError = error instanceof Error ? error.message : String(error);
+        resolve({ code: null, signal: null });
+      });
+      waitForExit(gpgProc).then(resolve);
+    });
+
+    void (async () => {
+      const [{ code, signal }] = await Promise.all([
+        exited,
+        streamClosed(gpgProc.stdout),
+        streamClosed(gpgProc.stderr),
+      ]);
+      if (this._stopped) {
+        return;
+      }
+      this._finished = true;
+      timings.phases.callMain = performance.now() - spawnedAt;
+      stdoutSplitter.flush();
+      stderrSplitter.flush();
+      if (this._stdinQueue) {
+        Atomics.notify(this._stdinQueue.ctrl, 3);
+      }
+      await launch.shutdown();
+      this._debug(debug, 'node.exit', { code, signal });
+
+      let fsStateOut = null;
+      let captureError = '';
+      const captureStart = performance.now();
+      try {
+        fsStateOut = captureSandbox(this._sandbox, roots);
+      } catch (error) {
+        captureError = error instanceof Error ? error.message : String(error);
+      }
+      timings.phases.fsCapture = performance.now() - captureStart;
+      const captured = countFsStateBytes(fsStateOut);
+      timings.counters.bytesCaptured = captured.bytes;
+      timings.counters.filesCaptured = captured.files;
+      removeSandbox(this._sandbox);
+
+      if (spawnError || captureError) {
+        this._post({ type: 'error', message: spawnError || `failed to capture fs state: ${captureError}` });
+      }
+      this._post({
+        type: 'result',
+        exitCode: Number.isFinite(code) ? code : 1,
+        stdoutLines,
+        stderrLines,
+        statusLines,
+        fsState: fsStateOut,
+        opfs: null,
+        debugInfo: debug ? { sandbox: this._sandbox, args: finalArgs, signal } : null,
+        timings,
+      });
+    })();
+  }
+
+  async _pumpStdinQueue(stdin, noteStdinBytes) {
+    const { ctrl, data } = this._stdinQueue;
+    const size = data.length;
+    while (!this._stopped && !this._finished) {
+      const stamp = Atomics.load(ctrl, 3);
+      const head = Atomics.load(ctrl, 0);
+      let tail = Atomics.load(ctrl, 1);
+      if (head !== tail) {
+        const bytes = [];
+        while (tail !== head) {
+          bytes.push(data[tail]);
+          tail = (tail + 1) % size;
+        }
+        Atomics.store(ctrl, 1, tail);
+        Atomics.add(ctrl, 3, 1);
+        Atomics.notify(ctrl, 3);
+        noteStdinBytes(bytes);
+        if (!stdin.destroyed) {
+          stdin.write(Buffer.from(bytes));
+        }
+        continue;
+      }
+      if (Atomics.load(ctrl, 2) !== 0) {
+        break;
+      }
+      const waited = Atomics.waitAsync(ctrl, 3, stamp);
+      if (waited.async) {
+        await waited.value;
+      }
+    }
+    if (!stdin.destroyed) {
+      stdin.end();
+    }
+  }
+}
+
+class NodeAgentSessionHost extends NodeWorkerPort {
+  constructor(client) {
+    super(client);
+    this._host = null;
+    this._active = null;
+    this._deferredRun = null;
+  }
+
+  postMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+    if (message.type === 'run-session') {
+      this._runSession(message);
+    } else if (message.type === 'session-cancel') {
+      this._cancelSession(message.sessionId);
+    } else if (message.type === 'shutdown') {
+      this.terminate();
+    }
+  }
+
+  terminate() {
+    const host = this._host;
+    this._host = null;
+    this._deferredRun = null;
+    if (this._active) {
+      this._finishSession(1, 'agent session host terminated');
+    }
+    if (host) {
+      try {
+        host.send({ type: 'shutdown' });
+      } catch {
+        /* Best effort only. */
+      }
+      void terminate(host);
+    }
+  }
+
+  _ensureHost() {
+    if (this._host) {
+      return this._host;
+    }
+    const client = this.client;
+    const host = spawn(client.nodeBin, [SESSION_HOST_SCRIPT, client.agentBin], {
+      stdio: ['pipe', 'pipe', 'pipe', 'ipc'],
+      env: {
+        ...process.env,
+        GNUPG_WASM_PERSISTENT_AGENT: '1',
+      },
+    });
+    host.stdin.on('error', () => {});
+
+    host.stdout.on('data', (chunk) => {
+      const active = this._active;
+      if (!active || active.phase === 'detached') {
+        return;
+      }
+      if (active.stream) {
+        active.stream.write(chunk);
+      } else {
+        active.pendingOutput.push(chunk);
+      }
+    });
+
+    const stderrSplitter = createLineSplitter((line) => {
+      if (this._active) {
+        this._active.stderr.push(line.split(this._active.sandbox).join(''));
+      }
+    });
+    host.stderr.on('data', (chunk) => stderrSplitter.push(chunk));
+
+    host.on('message', (message) => {
+      const active = this._active;
+      if (!message || typeof message !== 'object' || !active || message.sessionId !== active.sessionId) {
+        return;
+      }
+      if (message.type === 'session-ready') {
+        this._post({ type: 'debug', step: 'ready', data: { sessionId: active.sessionId } });
+        this._post({ type: 'session-ready', sessionId: active.sessionId });
+      } else if (message.type === 'session-result') {
+        this._finishSession(message.exitCode, message.error);
+      } else if (message.type === 'error') {
+        this._post({ type: 'error', sessionId: active.sessionId, message: message.message });
+        this._finishSession(1, message.message);
+      }
+    });
+
+    host.on('error', (error) => {
+      if (this._host !== host) {
+        return;
+      }
+      this._host = null;
+      this._fail(`agent session host failed: ${error.message}`);
+    });
+
+    host.on('exit', (code, signal) => {
+      if (this._host !== host) {
+        return;
+      }
+      this._host = null;
+      if (this._active) {
+        const text = `agent session host exited (${signal || code})`;
+        this._post({ type: 'error', sessionId: this._active.sessionId, message: text });
+        this._finishSession(1, text);
+      }
+    });
+
+    this._host = host;
+    return host;
+  }
+
+  _cancelSession(sessionId) {
+    const active = this._active;
+    if (!active || active.sessionId !== sessionId) {
+      return;
+    }
+    active.cancelled = true;
+    if (active.phase !== 'waiting') {
+      return;
+    }
+    /* gpg never connected, so the host session would wait forever. */
+    const host = this._host;
+    this._host = null;
+    this._finishSession(1, 'agent session cancelled');
+    if (host) {
+      void terminate(host);
+    }
+  }
+
+  _runSession(message) {
+    const sessionId = typeof message.sessionId === 'string' ? message.sessionId : '';
+    if (this._active && this._active.cancelled) {
+      this._deferredRun = message;
+      return;
+    }
+    if (this._active) {
+      this._post({ type: 'error', sessionId, message: 'agent session host is already handling a session' });
+      return;
+    }
+
+    const homedir = normalizePath(message.homedir, '/gnupg');
+    const fsState = message.fsState && typeof message.fsState === 'object' ? message.fsState : null;
+    let sandbox;
+    try {
+      sandbox = createSandbox(this.client.tmpdir, fsState, collectRoots(message.persistRoots, fsState, homedir));
+    } catch (error) {
+      this._post({ type: 'error', sessionId, message: error instanceof Error ? error.message : String(error) });
+      return;
+    }
+
+    const active = {
+      sessionId,
+      sandbox,
+      bridge: message.bridge,
+      phase: 'waiting',
+      claimed: false,
+      stream: null,
+      pendingOutput: [],
+      stderr: [],
+      detachTimer: null,
+    };
+    this._active = active;
+    sharedSandboxes.set(message.bridge, {
+      claim: () => {
+        active.claimed = true;
+        return sandbox;
+      },
+      attach: (stream) => this._attach(active, stream),
+    });
+
+    try {
+      this._ensureHost().send({ type: 'run-session', sessionId, homedir: sandboxPath(sandbox, homedir) });
+    } catch (error) {
+      this._post({ type: 'error', sessionId, message: error instanceof Error ? error.message : String(error) });
+      this._finishSession(1, 'agent session host unavailable');
+    }
+  }
+
+  _attach(active, stream) {
+    if (this._active !== active || active.phase !== 'waiting') {
+      stream.destroy();
+      return;
+    }
+    active.phase = 'attached';
+    active.stream = stream;
+    for (const chunk of active.pendingOutput) {
+      stream.write(chunk);
+    }
+    active.pendingOutput = [];
+
+    stream.on('data', (chunk) => {
+      if (this._host && !this._host.stdin.destroyed) {
+        this._host.stdin.write(chunk);
+      }
+    });
+    stream.on('error', () => {});
+    stream.once('close', () => {
+      if (this._active !== active) {
+        return;
+      }
+      active.phase = 'detached';
+      active.stream = null;
+      active.detachTimer = setTimeout(() => {
+        if (this._active !== active) {
+          return;
+        }
+        const host = this._host;
+        this._host = null;
+        this._finishSession(1, 'agent session did not end after gpg disconnected');
+        if (host) {
+          void terminate(host);
+        }
+      }, SESSION_DETACH_GRACE_MS);
+    });
+  }
+
+  _finishSession(exitCode, error) {
+    const active = this._active;
+    if (!active) {
+      return;
+    }
+    this._active = null;
+    if (active.detachTimer) {
+      clearTimeout(active.detachTimer);
+    }
+    if (active.stream && !active.stream.destroyed) {
+      active.stream.destroy();
+    }
+    sharedSandboxes.delete(active.bridge);
+    if (!active.claimed) {
+      removeSandbox(active.sandbox);
+    }
+    this._post({
+      type: 'session-result',
+      sessionId: active.sessionId,
+      exitCode: Number.isFinite(exitCode) ? Number(exitCode) : 1,
+      error: typeof error === 'string' ? error : '',
+      stderr: active.stderr.join('\n'),
+      fsState: null,
+    });
+    const deferred = this._deferredRun;
+    this._deferredRun = null;
+    if (deferred) {
+      this._runSession(deferred);
+    }
+  }
+}
+
+export class WasmGpgNodeClient extends WasmGpgBrowserClient {
+  constructor(config = {}) {
+    if (config.opfs) {
+      throw new Error('WasmGpgNodeClient does not support opfs');
+    }
+    super({ ...config, opfs: null, fsDelta: false });
+    const defaults = resolveNodeDefaults();
+
+    this.nodeBin = config.nodeBin || defaults.nodeBin;
+    this.gpgBin = path.resolve(config.gpgBin || defaults.gpgBin);
+    this.agentBin = path.resolve(config.agentBin || defaults.agentBin);
+    this.scdaemonBin = path.resolve(config.scdaemonBin || defaults.scdaemonBin);
+    this.dirmngrShim = path.resolve(config.dirmngrShim || defaults.dirmngrShim);
+    this.keyserver = config.keyserver || defaults.keyserver;
+    this.agentBridge = config.agentBridge !== false;
+    this.scdaemonBridge = this.agentBridge && config.scdaemonBridge !== false;
+    this.dirmngrBridge = config.dirmngrBridge !== false;
+    this.tmpdir = config.tmpdir || os.tmpdir();
+
+    this.gpgScriptUrl = this.gpgBin;
+    this.gpgAgentScriptUrl = this.agentBridge ? this.agentBin : '';
+  }
+
+  _createWorker(kind) {
+    return kind === 'agent-session' ? new NodeAgentSessionHost(this) : new NodeGpgProcess(this);
+  }
+
+  _buildAgentSessionWorkerKey() {
+    return [this.nodeBin, this.agentBin, this.homedir].join('\n');
+  }
+
+  async run(args, callbacks = {}) {
+    const launchers = [['gpg', this.gpgBin, true]];
+    launchers.push(['gpg-agent', this.agentBin, this.agentBridge && callbacks.enableAgentBridge !== false]);
+    launchers.push(['scdaemon', this.scdaemonBin, this.scdaemonBridge]);
+    launchers.push(['dirmngr shim', this.dirmngrShim, this.dirmngrBridge]);
+    for (const [name, file, needed] of launchers) {
+      if (needed && !existsSync(file)) {
+        throw new Error(`WasmGpgNodeClient cannot find the ${name} launcher at ${file}`);
+      }
+    }
+    return super.run(args, callbacks);
+  }
+}
+
+export async function runWasmGpgNodeOnce(config, args, callbacks) {
+  const client = new WasmGpgNodeClient(config);
+  try {
+    return await client.run(args, callbacks);
+  } finally {
+    await client.close();
+  }
+}
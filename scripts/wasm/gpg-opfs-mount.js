@@ -0,0 +1,370 @@
+/* eslint-env worker */
+
+(() => {
+  function normalizeMountpoint(value) {
+    let path = typeof value === 'string' ? value.trim() : '';
+    if (!path.startsWith('/')) {
+      path = `/${path}`;
+    }
+    path = path.replace(/\/{2,}/g, '/');
+    if (path.length > 1 && path.endsWith('/')) {
+      path = path.slice(0, -1);
+    }
+    return path;
+  }
+
+  function normalizeMountpoints(value) {
+    const out = [];
+    for (const raw of Array.isArray(value) ? value : []) {
+      const path = normalizeMountpoint(raw);
+      if (path !== '/' && !out.includes(path)) {
+        out.push(path);
+      }
+    }
+    return out;
+  }
+
+  function isUnderMount(path, mountpoints) {
+    const value = String(path || '');
+    return mountpoints.some((mount) => value === mount || value.startsWith(`${mount}/`));
+  }
+
+  function filterRoots(roots, mountpoints) {
+    return (Array.isArray(roots) ? roots : []).filter((root) => !isUnderMount(root, mountpoints));
+  }
+
+  function filterFsState(state, mountpoints) {
+    if (!state || typeof state !== 'object' || !mountpoints.length) {
+      return state;
+    }
+    const keep = (entry) => entry && typeof entry.path === 'string' && !isUnderMount(entry.path, mountpoints);
+    return {
+      ...state,
+      roots: filterRoots(state.roots, mountpoints),
+      dirs: (Array.isArray(state.dirs) ? state.dirs : []).filter(keep),
+      files: (Array.isArray(state.files) ? state.files : []).filter(keep),
+    };
+  }
+
+  function joinPath(parent, name) {
+    return parent === '/' ? `/${name}` : `${parent}/${name}`;
+  }
+
+  function supportsAccessHandles() {
+    return typeof self.FileSystemFileHandle === 'function'
+      && typeof self.FileSystemFileHandle.prototype.createSyncAccessHandle === 'function';
+  }
+
+  function withWriteLock(rootName, task) {
+    const locks = self.navigator && self.navigator.locks;
+    if (!locks || typeof locks.request !== 'function') {
+      return task();
+    }
+    return locks.request(`gnupg-wasm:opfs:${rootName}`, task);
+  }
+
+  async function getDirectoryForPath(rootHandle, cache, path, create) {
+    if (cache.has(path)) {
+      return cache.get(path);
+    }
+    const parts = path.split('/').filter(Boolean);
+    let current = rootHandle;
+    let currentPath = '';
+    for (const part of parts) {
+      currentPath += `/${part}`;
+      if (cache.has(currentPath)) {
+        current = cache.get(currentPath);
+        continue;
+      }
+      current = await current.getDirectoryHandle(part, { create });
+      cache.set(currentPath, current);
+    }
+    return current;
+  }
+
+  async function scanDirectory(dirHandle, path, entries) {
+    entries.push({ path, kind: 'dir' });
+    for await (const [name, handle] of dirHandle.entries()) {
+      const childPath = joinPath(path, name);
+      if (handle.kind === 'directory') {
+        await scanDirectory(handle, childPath, entries);
+        continue;
+      }
+      /* getFile() only snapshots metadata; the bytes are read on first open. */
+      entries.push({
+        path: childPath,
+        kind: 'file',
+        fileHandle: handle,
+        file: await handle.getFile(),
+      });
+    }
+  }
+
+  function ensureDirectory(FS, dirPath) {
+    const parts = dirPath.split('/').filter(Boolean);
+    let current = '';
+    for (const part of parts) {
+      current += `/${part}`;
+      if (!FS.analyzePath(current).exists) {
+        FS.mkdir(current, 0o700);
+      }
+    }
+  }
+
+  function loadLazyFile(FS, node) {
+    const file = node.opfsFile;
+    if (!file) {
+      return;
+    }
+    const errnoCodes = self.ERRNO_CODES || (self.Module && self.Module.ERRNO_CODES) || {};
+    const EIO = Number.isFinite(errnoCodes.EIO) ? errnoCodes.EIO : 29;
+    let bytes;
+    try {
+      bytes = new Uint8Array(new FileReaderSync().readAsArrayBuffer(file));
+    } catch {
+      throw new FS.ErrnoError(EIO);
+    }
+    node.opfsFile = null;
+    node.opfsLoaded = true;
+    node.contents = bytes;
+    node.usedBytes = bytes.length;
+  }
+
+  function bindLazyFile(FS, node, file) {
+    const baseNodeOps = node.node_ops;
+    const baseStreamOps = node.stream_ops;
+    const markDirty = (target) => {
+      target.opfsDirty = true;
+    };
+
+    node.contents = null;
+    node.usedBytes = file.size;
+    node.opfsFile = file;
+    node.opfsDirty = false;
+    node.node_ops = {
+      ...baseNodeOps,
+      setattr(target, attr) {
+        if (attr && attr.size !== undefined) {
+          if (attr.size === 0 && target.opfsFile) {
+            target.opfsFile = null;
+            target.contents = new Uint8Array();
+            target.usedBytes = 0;
+          } else {
+            loadLazyFile(FS, target);
+          }
+          markDirty(target);
+        }
+        return baseNodeOps.setattr(target, attr);
+      },
+    };
+    node.stream_ops = {
+      ...baseStreamOps,
+      open(stream) {
+        loadLazyFile(FS, stream.node);
+        if (baseStreamOps.open) {
+          baseStreamOps.open(stream);
+        }
+      },
+      write(stream, ...rest) {
+        markDirty(stream.node);
+        return baseStreamOps.write(stream, ...rest);
+      },
+      allocate(stream, ...rest) {
+        markDirty(stream.node);
+        return baseStreamOps.allocate(stream, ...rest);
+      },
+      msync(stream, ...rest) {
+        markDirty(stream.node);
+        return baseStreamOps.msync(stream, ...rest);
+      },
+    };
+  }
+
+  function walkMounted(FS, mountpoints) {
+    const found = new Map();
+    const walk = (path) => {
+      const lookup = FS.lookupPath(path, { follow: false });
+      const node = lookup.node;
+      if (FS.isDir(node.mode)) {
+        found.set(path, { kind: 'dir', node });
+        for (const name of FS.readdir(path)) {
+          if (name !== '.' && name !== '..') {
+            walk(joinPath(path, name));
+          }
+        }
+        return;
+      }
+      if (FS.isFile(node.mode)) {
+        found.set(path, { kind: 'file', node });
+      }
+    };
+    for (const mount of mountpoints) {
+      if (FS.analyzePath(mount).exists) {
+        walk(mount);
+      }
+    }
+    return found;
+  }
+
+  async function writeOpfsFile(fileHandle, bytes, accessHandles) {
+    if (accessHandles) {
+      let accessHandle = null;
+      try {
+        accessHandle = await fileHandle.createSyncAccessHandle();
+      } catch {
+        accessHandle = null;
+      }
+      if (accessHandle) {
+        try {
+          accessHandle.truncate(0);
+          accessHandle.write(bytes, { at: 0 });
+          accessHandle.flush();
+        } finally {
+          accessHandle.close();
+        }
+        return;
+      }
+    }
+    const writable = await fileHandle.createWritable();
+    await writable.write(bytes);
+    await writable.close();
+  }
+
+  async function prepare(options = {}) {
+    const mountpoints = normalizeMountpoints(options.mountpoints);
+    if (!mountpoints.length) {
+      throw new Error('opfs mount requires at least one mountpoint');
+    }
+    if (!self.navigator || !self.navigator.storage || typeof self.navigator.storage.getDirectory !== 'function') {
+      throw new Error('Origin Private File System is not available in this worker');
+    }
+
+    const opfsRoot = await self.navigator.storage.getDirectory();
+    const rootName = typeof options.root === 'string' && options.root ? options.root : 'gnupg-wasm';
+    const rootHandle = await opfsRoot.getDirectoryHandle(rootName, { create: true });
+    const accessHandles = options.accessHandles !== false && supportsAccessHandles();
+    const mode = accessHandles ? 'access-handles' : 'writable';
+    const dirCache = new Map();
+    const entries = [];
+    for (const mount of mountpoints) {
+      const dirHandle = await getDirectoryForPath(rootHandle, dirCache, mount, true);
+      await scanDirectory(dirHandle, mount, entries);
+    }
+
+    let original = new Map();
+
+    return {
+      mountpoints,
+      mode,
+      attach(FS) {
+        original = new Map();
+        for (const entry of entries) {
+          if (entry.kind === 'dir') {
+            ensureDirectory(FS, entry.path);
+            FS.chmod(entry.path, 0o700);
+            original.set(entry.path, { kind: 'dir', node: FS.lookupPath(entry.path).node });
+            continue;
+          }
+          FS.writeFile(entry.path, new Uint8Array());
+          FS.chmod(entry.path, 0o600);
+          const node = FS.lookupPath(entry.path).node;
+          bindLazyFile(FS, node, entry.file);
+          original.set(entry.path, { kind: 'file', node });
+        }
+        return {
+          dirs: entries.filter((entry) => entry.kind === 'dir').length,
+          files: entries.filter((entry) => entry.kind === 'file').length,
+          mode,
+        };
+      },
+      sync(FS) {
+        /* The gpg and agent workers mount the same tree, so write-back only
+           touches what this worker changed and runs under one lock. */
+        return withWriteLock(rootName, async () => {
+          const current = walkMounted(FS, mountpoints);
+          const summary = {
+            read: 0,
+            written: 0,
+            deleted: 0,
+          };
+
+          const removed = Array.from(original.keys())
+            .filter((path) => {
+              const now = current.get(path);
+              return !now || now.kind !== original.get(path).kind;
+            })
+            .sort((a, b) => a.length - b.length);
+          const removedRoots = removed.filter((path) => !removed.some((other) => other !== path && path.startsWith(`${other}/`)));
+          for (const path of removedRoots) {
+            const idx = path.lastIndexOf('/');
+            const parent = await getDirectoryForPath(rootHandle, dirCache, path.slice(0, idx) || '/', true);
+            try {
+              await parent.removeEntry(path.slice(idx + 1), { recursive: true });
+              summary.deleted += 1;
+            } catch {
+              /* Already gone. */
+            }
+            for (const key of Array.from(dirCache.keys())) {
+              if (key === path || key.startsWith(`${path}/`)) {
+                dirCache.delete(key);
+              }
+            }
+          }
+
+          const paths = Array.from(current.keys()).sort((a, b) => a.length - b.length);
+          for (const path of paths) {
+            const entry = current.get(path);
+            if (entry.kind === 'dir') {
+              await getDirectoryForPath(rootHandle, dirCache, path, true);
+              continue;
+            }
+            if (entry.node.opfsLoaded) {
+              summary.read += 1;
+            }
+            const before = original.get(path);
+            if (before && before.node === entry.node && !entry.node.opfsDirty) {
+              continue;
+            }
+            const idx = path.lastIndexOf('/');
+            const parent = await getDirectoryForPath(rootHandle, dirCache, path.slice(0, idx) || '/', true);
+            const fileHandle = await parent.getFileHandle(path.slice(idx + 1), { create: true });
+            await writeOpfsFile(fileHandle, FS.readFile(path, { encoding: 'binary' }), accessHandles);
+            summary.written += 1;
+          }
+
+          const refreshed = new Map();
+          for (const [path, entry] of current) {
+            entry.node.opfsDirty = false;
+            refreshed.set(path, { kind: entry.kind, node: entry.node });
+          }
+          original = refreshed;
+          return summary;
+        });
+      },
+      detach(FS) {
+        original = new Map();
+        const paths = Array.from(walkMounted(FS, mountpoints).entries())
+          .sort((a, b) => b[0].length - a[0].length);
+        for (const [path, entry] of paths) {
+          try {
+            if (entry.kind === 'dir') {
+              FS.rmdir(path);
+            } else {
+              FS.unlink(path);
+            }
+          } catch {
+            /* Best effort only. */
+          }
+        }
+      },
+    };
+  }
+
+  self.GnupgOpfsMount = {
+    prepare,
+    normalizeMountpoints,
+    isUnderMount,
+    filterRoots,
+    filterFsState,
+  };
+})();
@@ -0,0 +1,129 @@
+const DEFAULT_TTL_MS = 600000;
+const MAX_TTL_MS = 7200000;
+
+function normalizeKeyid(value) {
+  return String(value || '').trim().replace(/^0x/i, '').replace(/\s+/g, '').toUpperCase();
+}
+
+function matchesKeyid(candidate, id) {
+  return Boolean(candidate && id && (candidate.endsWith(id) || id.endsWith(candidate)));
+}
+
+function normalizeTtl(value, fallback) {
+  return Number.isFinite(value) && value >= 0 ? Number(value) : fallback;
+}
+
+export function createPassphraseCache(options = {}) {
+  const defaultTtlMs = normalizeTtl(options.defaultTtlMs, DEFAULT_TTL_MS);
+  const maxTtlMs = normalizeTtl(options.maxTtlMs, MAX_TTL_MS);
+  const now = typeof options.now === 'function' ? options.now : () => Date.now();
+  const policy = options.policy && (typeof options.policy === 'function' || typeof options.policy === 'object')
+    ? options.policy
+    : null;
+  const entries = new Map();
+
+  const resolvePolicy = (request) => {
+    let rule;
+    if (typeof policy === 'function') {
+      rule = policy({ ...request });
+    } else if (policy) {
+      const match = Object.keys(policy).find((id) => (
+        matchesKeyid(request.keyid, normalizeKeyid(id)) || matchesKeyid(request.mainKeyid, normalizeKeyid(id))
+      ));
+      rule = match ? policy[match] : undefined;
+    }
+    if (rule === false || rule === 0) {
+      return null;
+    }
+    if (Number.isFinite(rule)) {
+      return { ttlMs: Number(rule), maxTtlMs };
+    }
+    const ttl = rule && typeof rule === 'object' ? rule : {};
+    return {
+      ttlMs: normalizeTtl(ttl.ttlMs, defaultTtlMs),
+      maxTtlMs: Math.min(normalizeTtl(ttl.maxTtlMs, maxTtlMs), maxTtlMs),
+    };
+  };
+
+  const isExpired = (entry, at) => at - entry.lastUsedAt > entry.ttlMs || at - entry.storedAt > entry.maxTtlMs;
+
+  const prune = () => {
+    const at = now();
+    for (const [keyid, entry] of entries) {
+      if (isExpired(entry, at)) {
+        entry.passphrase = '';
+        entries.delete(keyid);
+      }
+    }
+  };
+
+  return {
+    defaultTtlMs,
+    maxTtlMs,
+
+    get(keyid) {
+      prune();
+      const entry = entries.get(normalizeKeyid(keyid));
+      if (!entry) {
+        return null;
+      }
+      entry.lastUsedAt = now();
+      return entry.passphrase;
+    },
+
+    set(request, passphrase, overrides = {}) {
+      const keyid = normalizeKeyid(request && request.keyid);
+      if (!keyid || typeof passphrase !== 'string' || !passphrase) {
+        return false;
+      }
+      const mainKeyid = normalizeKeyid(request.mainKeyid) || keyid;
+      const rule = resolvePolicy({
+        keyid,
+        mainKeyid,
+        op: request.op || '',
+        uidHint: request.uidHint || '',
+      });
+      if (!rule) {
+        return false;
+      }
+      const ttlMs = Math.min(normalizeTtl(overrides.ttlMs, rule.ttlMs), rule.maxTtlMs);
+      if (ttlMs <= 0) {
+        return false;
+      }
+      const at = now();
+      entries.set(keyid, {
+        keyid,
+        mainKeyid,
+        passphrase,
+        storedAt: at,
+        lastUsedAt: at,
+        ttlMs,
+        maxTtlMs: rule.maxTtlMs,
+      });
+      return true;
+    },
+
+    clear(keyid) {
+      const id = normalizeKeyid(keyid);
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (!id || matchesKeyid(entry.keyid, id) || matchesKeyid(entry.mainKeyid, id)) {
+          entry.passphrase = '';
+          entries.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    list() {
+      prune();
+      return Array.from(entries.values(), (entry) => ({
+        keyid: entry.keyid,
+        mainKeyid: entry.mainKeyid,
+        storedAt: entry.storedAt,
+        expiresAt: Math.min(entry.lastUsedAt + entry.ttlMs, entry.storedAt + entry.maxTtlMs),
+      }));
+    },
+  };
+}
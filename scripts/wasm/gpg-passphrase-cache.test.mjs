@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createPassphraseCache } from './gpg-passphrase-cache.mjs';
+
+function createClock(start = 1000) {
+  const clock = { at: start, now: () => clock.at };
+  return clock;
+}
+
+test('passphrases are cached by normalized keyid', () => {
+  const cache = createPassphraseCache();
+  assert.equal(cache.set({ keyid: '0xabcd 1234' }, 'secret'), true);
+  assert.equal(cache.get('ABCD1234'), 'secret');
+  assert.equal(cache.get('ffff'), null);
+  assert.equal(cache.set({ keyid: '' }, 'secret'), false);
+  assert.equal(cache.set({ keyid: 'AB' }, ''), false);
+});
+
+test('entries expire after the idle ttl and the max ttl', () => {
+  const clock = createClock();
+  const cache = createPassphraseCache({ defaultTtlMs: 100, maxTtlMs: 250, now: clock.now });
+  cache.set({ keyid: 'AA' }, 'one');
+  assert.deepEqual(cache.list(), [{ keyid: 'AA', mainKeyid: 'AA', storedAt: 1000, expiresAt: 1100 }]);
+
+  clock.at = 1090;
+  assert.equal(cache.get('AA'), 'one');
+  clock.at = 1180;
+  assert.equal(cache.get('AA'), 'one');
+  clock.at = 1260;
+  assert.equal(cache.get('AA'), null);
+
+  cache.set({ keyid: 'BB' }, 'two');
+  clock.at += 101;
+  assert.deepEqual(cache.list(), []);
+});
+
+test('object policies match the key or its primary key', () => {
+  const cache = createPassphraseCache({
+    defaultTtlMs: 100,
+    policy: { '0x1111': false, '2222': { ttlMs: 50, maxTtlMs: 1e9 }, '3333': 0 },
+  });
+  assert.equal(cache.set({ keyid: 'AAAA1111' }, 'x'), false);
+  assert.equal(cache.set({ keyid: 'AAAA3333' }, 'x'), false);
+  assert.equal(cache.set({ keyid: 'SUBKEY', mainKeyid: 'BBBB2222' }, 'y'), true);
+  const [entry] = cache.list();
+  assert.equal(entry.mainKeyid, 'BBBB2222');
+  assert.equal(entry.expiresAt - entry.storedAt, 50);
+  assert.equal(cache.set({ keyid: 'CCCC' }, 'z'), true);
+});
+
+test('function policies and per-call overrides are capped by maxTtlMs', () => {
+  const seen = [];
+  const clock = createClock(0);
+  const cache = createPassphraseCache({
+    maxTtlMs: 500,
+    now: clock.now,
+    policy: (request) => {
+      seen.push(request);
+      return request.op === 'sign' ? 1000 : undefined;
+    },
+  });
+  cache.set({ keyid: 'AA', op: 'sign', uidHint: 'Alice' }, 'x');
+  assert.deepEqual(seen, [{ keyid: 'AA', mainKeyid: 'AA', op: 'sign', uidHint: 'Alice' }]);
+  assert.equal(cache.list()[0].expiresAt, 500);
+
+  assert.equal(cache.set({ keyid: 'BB' }, 'y', { ttlMs: 0 }), false);
+  cache.set({ keyid: 'CC' }, 'z', { ttlMs: 20 });
+  assert.equal(cache.list().find((entry) => entry.keyid === 'CC').expiresAt, 20);
+});
+
+test('clear removes matching entries or everything', () => {
+  const cache = createPassphraseCache();
+  cache.set({ keyid: 'SUB1', mainKeyid: 'AAAA1111' }, 'a');
+  cache.set({ keyid: 'SUB2', mainKeyid: 'AAAA1111' }, 'b');
+  cache.set({ keyid: 'CCCC3333' }, 'c');
+  assert.equal(cache.clear('1111'), 2);
+  assert.deepEqual(cache.list().map((entry) => entry.keyid), ['CCCC3333']);
+  assert.equal(cache.clear(), 1);
+  assert.deepEqual(cache.list(), []);
+});
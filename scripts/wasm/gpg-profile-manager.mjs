@@ -0,0 +1,298 @@
+import { WasmGpgBrowserClient, WasmGpgError } from './gpg-browser-client.mjs';
+import { createIndexedDbStorage } from './gpg-indexeddb-storage.mjs';
+
+const PROFILE_STORE = 'profiles';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('indexeddb request failed'));
+  });
+}
+
+function normalizeHomedir(value, fallback) {
+  const raw = typeof value === 'string' && value.trim() ? value.trim() : fallback;
+  const path = `/${raw.split('/').filter(Boolean).join('/')}`;
+  return path === '/' ? fallback : path;
+}
+
+function rebaseFsState(state, fromHomedir, toHomedir) {
+  if (!state || fromHomedir === toHomedir) {
+    return state;
+  }
+  const rebase = (path) => {
+    if (path === fromHomedir) {
+      return toHomedir;
+    }
+    return path.startsWith(`${fromHomedir}/`) ? `${toHomedir}${path.slice(fromHomedir.length)}` : path;
+  };
+  return {
+    ...state,
+    roots: (state.roots || []).map(rebase),
+    dirs: (state.dirs || []).map((entry) => ({ ...entry, path: rebase(entry.path) })),
+    files: (state.files || []).map((entry) => ({ ...entry, path: rebase(entry.path) })),
+  };
+}
+
+function createMemoryStorage() {
+  let state = null;
+  return {
+    kind: 'memory',
+    async load() {
+      return state;
+    },
+    async save(next) {
+      state = next;
+      return null;
+    },
+    async clear() {
+      state = null;
+    },
+    async export() {
+      return state;
+    },
+    async close() {},
+  };
+}
+
+function createMemoryRegistry() {
+  const records = new Map();
+  return {
+    async list() {
+      return Array.from(records.values());
+    },
+    async get(name) {
+      return records.get(name) || null;
+    },
+    async put(record) {
+      records.set(record.name, record);
+    },
+    async delete(name) {
+      records.delete(name);
+    },
+    async close() {},
+  };
+}
+
+function createIndexedDbRegistry(indexedDB, dbName) {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available in this context'));
+    }
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(PROFILE_STORE)) {
+          request.result.createObjectStore(PROFILE_STORE, { keyPath: 'name' });
+        }
+      };
+      dbPromise = requestToPromise(request).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, action) => {
+    const db = await getDatabase();
+    return requestToPromise(action(db.transaction(PROFILE_STORE, mode).objectStore(PROFILE_STORE)));
+  };
+
+  return {
+    list: () => withStore('readonly', (store) => store.getAll()),
+    get: async (name) => (await withStore('readonly', (store) => store.get(name))) || null,
+    put: (record) => withStore('readwrite', (store) => store.put(record)),
+    delete: (name) => withStore('readwrite', (store) => store.delete(name)),
+    async close() {
+      if (!dbPromise) {
+        return;
+      }
+      const pending = dbPromise;
+      dbPromise = null;
+      try {
+        (await pending).close();
+      } catch {
+        /* Nothing to close. */
+      }
+    },
+  };
+}
+
+export function createProfileManager(config = {}) {
+  const {
+    storage,
+    profiles: profileOptions = {},
+    ...clientConfig
+  } = config;
+  const defaultHomedir = normalizeHomedir(clientConfig.homedir, '/gnupg');
+  const storageOptions = storage === 'indexeddb'
+    ? { type: 'indexeddb' }
+    : (storage && typeof storage === 'object' && storage.type === 'indexeddb' ? storage : null);
+  if (storage && !storageOptions) {
+    throw new Error('profile manager storage must be indexeddb or omitted');
+  }
+
+  const dbName = storageOptions && typeof storageOptions.dbName === 'string' && storageOptions.dbName
+    ? storageOptions.dbName
+    : 'gnupg-wasm';
+  const registry = storageOptions
+    ? createIndexedDbRegistry(
+        storageOptions.indexedDB || globalThis.indexedDB,
+        typeof profileOptions.dbName === 'string' && profileOptions.dbName
+          ? profileOptions.dbName
+          : `${dbName}-profiles`,
+      )
+    : createMemoryRegistry();
+  const defaultProfile = typeof profileOptions.defaultProfile === 'string' && profileOptions.defaultProfile
+    ? profileOptions.defaultProfile
+    : 'default';
+  const clients = new Map();
+  const memoryStorages = new Map();
+  let activeName = '';
+
+  const checkName = (name) => {
+    if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+      throw new WasmGpgError(`invalid profile name: ${String(name)}`, { code: 'invalid-argument' });
+    }
+  };
+
+  const storageFor = (record) => {
+    if (!storageOptions) {
+      if (!memoryStorages.has(record.name)) {
+        memoryStorages.set(record.name, createMemoryStorage());
+      }
+      return memoryStorages.get(record.name);
+    }
+    return createIndexedDbStorage({ ...storageOptions, dbName, namespace: record.namespace });
+  };
+
+  const requireProfile = async (name) => {
+    checkName(name);
+    let record = await registry.get(name);
+    if (!record && name === defaultProfile) {
+      record = {
+        name,
+        homedir: defaultHomedir,
+        namespace: defaultHomedir,
+        createdAt: Date.now(),
+      };
+      await registry.put(record);
+    }
+    if (!record) {
+      throw new WasmGpgError(`unknown profile: ${name}`, { code: 'unknown-profile' });
+    }
+    return record;
+  };
+
+  const clientFor = (record) => {
+    if (!clients.has(record.name)) {
+      clients.set(record.name, new WasmGpgBrowserClient({
+        ...clientConfig,
+        homedir: record.homedir,
+        storage: storageFor(record),
+      }));
+    }
+    return clients.get(record.name);
+  };
+
+  const closeClient = async (name) => {
+    const client = clients.get(name);
+    clients.delete(name);
+    if (client) {
+      await client.close();
+    }
+  };
+
+  const createProfile = async (name, options = {}) => {
+    checkName(name);
+    if (name === defaultProfile || await registry.get(name)) {
+      throw new WasmGpgError(`profile already exists: ${name}`, { code: 'profile-exists' });
+    }
+    const record = {
+      name,
+      homedir: normalizeHomedir(options.homedir, defaultHomedir),
+      namespace: `profile:${name}`,
+      createdAt: Date.now(),
+    };
+    await registry.put(record);
+    return { name: record.name, homedir: record.homedir, createdAt: record.createdAt };
+  };
+
+  return {
+    get active() {
+      return activeName;
+    },
+
+    get client() {
+      return activeName ? clients.get(activeName) || null : null;
+    },
+
+    async listProfiles() {
+      const records = await registry.list();
+      if (!records.some((record) => record.name === defaultProfile)) {
+        records.push({ name: defaultProfile, homedir: defaultHomedir, namespace: defaultHomedir, createdAt: 0 });
+      }
+      return records
+        .map((record) => ({
+          name: record.name,
+          homedir: record.homedir,
+          createdAt: record.createdAt,
+          active: record.name === activeName,
+          loaded: clients.has(record.name),
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    createProfile,
+
+    async getClient(name) {
+      return clientFor(await requireProfile(name));
+    },
+
+    async switchProfile(name) {
+      const client = clientFor(await requireProfile(name));
+      activeName = name;
+      return client;
+    },
+
+    async cloneProfile(sourceName, targetName, options = {}) {
+      const source = await requireProfile(sourceName);
+      const created = await createProfile(targetName, {
+        homedir: options.homedir || source.homedir,
+      });
+      const target = await requireProfile(created.name);
+      const sourceClient = clientFor(source);
+      const targetClient = clientFor(target);
+      const raw = await sourceClient.storage.load();
+      if (raw) {
+        const state = rebaseFsState(await sourceClient.unsealFsState(raw), source.homedir, target.homedir);
+        await targetClient.storage.save(targetClient.fsStateSealer ? await targetClient.sealFsState(state) : state);
+      }
+      return created;
+    },
+
+    async deleteProfile(name) {
+      const record = await requireProfile(name);
+      const client = clientFor(record);
+      await client.storage.clear();
+      await closeClient(name);
+      memoryStorages.delete(name);
+      await registry.delete(name);
+      if (activeName === name) {
+        activeName = '';
+      }
+    },
+
+    async close() {
+      for (const name of Array.from(clients.keys())) {
+        await closeClient(name);
+      }
+      activeName = '';
+      await registry.close();
+    },
+  };
+}
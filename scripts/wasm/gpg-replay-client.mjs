@@ -0,0 +1,216 @@
+import { WasmGpgBrowserClient } from './gpg-browser-client.mjs';
+import {
+  TRANSCRIPT_VERSION,
+  decodeBase64,
+  findScratchDir,
+  hashFsState,
+  redactArgs,
+  restoreScratchPaths,
+} from './gpg-run-transcript.mjs';
+
+const ANSWER_POLL_MS = 5;
+
+function checkTranscript(transcript, index) {
+  if (!transcript || typeof transcript !== 'object' || transcript.version !== TRANSCRIPT_VERSION) {
+    throw new Error(`transcript ${index} is not a version ${TRANSCRIPT_VERSION} transcript`);
+  }
+  if (!Array.isArray(transcript.args) || !Array.isArray(transcript.events)) {
+    throw new Error(`transcript ${index} needs args and events`);
+  }
+  return transcript;
+}
+
+function sameArgs(left, right) {
+  return left.length === right.length && left.every((item, index) => item === right[index]);
+}
+
+function restoreMessage(message, transcript, scratchDir) {
+  if (message.type === 'stdout-bytes') {
+    return { type: 'stdout-bytes', data: decodeBase64(message.data) };
+  }
+  if (message.type === 'result') {
+    const outcome = transcript.outcome && typeof transcript.outcome === 'object' ? transcript.outcome : {};
+    return {
+      ...message,
+      stdoutLines: Array.isArray(message.stdoutLines) ? message.stdoutLines : [],
+      fsState: restoreScratchPaths(outcome.fsState || null, scratchDir),
+    };
+  }
+  return { ...message };
+}
+
+class ReplayWorker {
+  constructor(client) {
+    this.client = client;
+    this._listeners = { message: [], error: [] };
+    this._stopped = false;
+    this._pinentryWaiters = new Map();
+  }
+
+  addEventListener(type, listener) {
+    if (this._listeners[type]) {
+      this._listeners[type].push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    if (this._listeners[type]) {
+      this._listeners[type] = this._listeners[type].filter((item) => item !== listener);
+    }
+  }
+
+  postMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+    if (message.type === 'run') {
+      void this._replay(message);
+    } else if (message.type === 'pinentry-response') {
+      const waiter = this._pinentryWaiters.get(message.id);
+      if (waiter) {
+        this._pinentryWaiters.delete(message.id);
+        waiter();
+      }
+    }
+  }
+
+  terminate() {
+    this._stopped = true;
+    for (const waiter of this._pinentryWaiters.values()) {
+      waiter();
+    }
+    this._pinentryWaiters.clear();
+  }
+
+  async _emit(type, payload) {
+    await Promise.resolve();
+    if (this._stopped) {
+      return;
+    }
+    for (const listener of this._listeners[type]) {
+      listener(payload);
+    }
+  }
+
+  _drainQueue(queue) {
+    const { ctrl, data } = queue;
+    let head = Atomics.load(ctrl, 0);
+    let tail = Atomics.load(ctrl, 1);
+    let answered = false;
+    while (tail !== head) {
+      if (data[tail] === 0x0a || data[tail] === 0x04) {
+        answered = true;
+      }
+      tail = (tail + 1) % data.length;
+      head = Atomics.load(ctrl, 0);
+    }
+    Atomics.store(ctrl, 1, tail);
+    Atomics.add(ctrl, 3, 1);
+    Atomics.notify(ctrl, 3);
+    return answered;
+  }
+
+  async _waitForAnswer(queue) {
+    while (!this._stopped) {
+      if (this._drainQueue(queue) || Atomics.load(queue.ctrl, 2) !== 0) {
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, ANSWER_POLL_MS));
+    }
+  }
+
+  async _replay(message) {
+    const argv = redactArgs(message.args);
+    const scratchDir = findScratchDir(message.args);
+    const transcript = this.client._takeTranscript(argv);
+    if (!transcript) {
+      await this._emit('error', { message: `no recorded transcript left for gpg ${argv.join(' ')}` });
+      return;
+    }
+
+    const expectedHash = transcript.input ? transcript.input.fsStateHash : null;
+    const actualHash = hashFsState(message.fsState);
+    if (expectedHash !== actualHash) {
+      await this._emit('message', {
+        data: {
+          type: 'debug',
+          step: 'replay.input-mismatch',
+          data: { expected: expectedHash, actual: actualHash },
+        },
+      });
+    }
+
+    const queue = message.stdinQueue && message.stdinQueue.meta
+      ? { ctrl: new Int32Array(message.stdinQueue.meta), data: new Uint8Array(message.stdinQueue.data) }
+      : null;
+    if (queue) {
+      this._drainQueue(queue);
+    }
+
+    for (const entry of transcript.events) {
+      if (this._stopped) {
+        return;
+      }
+      if (entry.from !== 'worker') {
+        continue;
+      }
+      if (entry.error) {
+        await this._emit('error', { message: entry.error });
+        return;
+      }
+      if (entry.message.redacted === true) {
+        continue;
+      }
+      const out = restoreMessage(entry.message, transcript, scratchDir);
+      const answered = out.type === 'pinentry-request'
+        ? new Promise((resolve) => this._pinentryWaiters.set(out.id, resolve))
+        : null;
+      await this._emit('message', { data: out });
+      if (answered) {
+        await answered;
+      } else if (out.type === 'stdin-request' && queue) {
+        await this._waitForAnswer(queue);
+      }
+    }
+  }
+}
+
+export class ReplayClient extends WasmGpgBrowserClient {
+  constructor(transcripts, config = {}) {
+    if (config.opfs) {
+      throw new Error('ReplayClient does not support opfs');
+    }
+    super({
+      gpgScriptUrl: 'replay:gpg.js',
+      ...config,
+      opfs: null,
+      fsDelta: false,
+      persistentAgentRuntime: false,
+      recordTranscript: false,
+    });
+    this.transcripts = (Array.isArray(transcripts) ? transcripts : [transcripts]).map(checkTranscript);
+    this._usedTranscripts = new Set();
+  }
+
+  get remainingTranscripts() {
+    return this.transcripts.length - this._usedTranscripts.size;
+  }
+
+  _createWorker(kind) {
+    if (kind !== 'gpg') {
+      throw new Error(`ReplayClient cannot start a ${kind} worker`);
+    }
+    return new ReplayWorker(this);
+  }
+
+  _takeTranscript(argv) {
+    const index = this.transcripts.findIndex((transcript, candidate) => (
+      !this._usedTranscripts.has(candidate) && sameArgs(transcript.args, argv)
+    ));
+    if (index === -1) {
+      return null;
+    }
+    this._usedTranscripts.add(index);
+    return this.transcripts[index];
+  }
+}
@@ -0,0 +1,177 @@
+const PROMPT_CALLBACKS = [
+  ['pinentry', 'onPinentry'],
+  ['confirm', 'onConfirm'],
+  ['line', 'onLine'],
+];
+
+function chain(handler, next) {
+  if (typeof handler !== 'function') {
+    return next;
+  }
+  return (payload) => {
+    next(payload);
+    handler(payload);
+  };
+}
+
+export function createRunHandle(execute, options = {}) {
+  const controller = new AbortController();
+  const queue = [];
+  const pendingPrompts = new Map();
+  let nextSeq = 0;
+  let nextPromptId = 1;
+  let wake = null;
+  let settled = false;
+  let iterated = false;
+
+  const push = (event) => {
+    queue.push({ seq: nextSeq, ...event });
+    nextSeq += 1;
+    if (wake) {
+      const resolveWake = wake;
+      wake = null;
+      resolveWake();
+    }
+  };
+
+  const reply = (id, value) => {
+    const pending = pendingPrompts.get(id);
+    if (!pending) {
+      return false;
+    }
+    pendingPrompts.delete(id);
+    pending(value);
+    return true;
+  };
+
+  const abort = (reason) => {
+    if (!controller.signal.aborted) {
+      controller.abort(reason);
+    }
+  };
+
+  const externalSignal = options.signal;
+  const onExternalAbort = () => abort(externalSignal.reason);
+  if (externalSignal) {
+    if (externalSignal.aborted) {
+      abort(externalSignal.reason);
+    } else {
+      externalSignal.addEventListener('abort', onExternalAbort, { once: true });
+    }
+  }
+
+  const runOptions = {
+    ...options,
+    signal: controller.signal,
+    onStderr: chain(options.onStderr, (line) => push({ type: 'stderr', line })),
+    onStatusEvent: chain(options.onStatusEvent, (event) => push({ type: 'status', event })),
+    onDebug: chain(options.onDebug, (entry) => push({ type: 'debug', step: entry.step, data: entry.data })),
+  };
+  if (options.stdout === 'bytes') {
+    runOptions.onStdoutBytes = chain(options.onStdoutBytes, (data) => push({ type: 'stdout', data }));
+  } else if (options.stdout !== 'stream') {
+    runOptions.onStdout = chain(options.onStdout, (data) => push({ type: 'stdout', data }));
+  }
+
+  for (const [kind, name] of PROMPT_CALLBACKS) {
+    if (typeof options[name] === 'function') {
+      continue;
+    }
+    runOptions[name] = (request) => new Promise((resolvePrompt) => {
+      const id = nextPromptId;
+      nextPromptId += 1;
+      pendingPrompts.set(id, resolvePrompt);
+      push({
+        type: 'prompt',
+        kind,
+        id,
+        request,
+        reply: (value) => reply(id, value),
+      });
+    });
+  }
+
+  const settle = () => {
+    settled = true;
+    if (externalSignal) {
+      externalSignal.removeEventListener('abort', onExternalAbort);
+    }
+    /* Unanswered prompts are released so the run's callback chain does not
+       hold on to them after the worker is gone.  */
+    for (const [id] of pendingPrompts) {
+      reply(id, null);
+    }
+  };
+
+  let result;
+  try {
+    result = Promise.resolve(execute(runOptions));
+  } catch (error) {
+    result = Promise.reject(error);
+  }
+  result.then(
+    (value) => {
+      settle();
+      push({ type: 'exit', exitCode: value.exitCode, result: value });
+    },
+    (error) => {
+      settle();
+      push({ type: 'error', error });
+    },
+  );
+
+  return {
+    result,
+
+    get signal() {
+      return controller.signal;
+    },
+
+    get done() {
+      return settled;
+    },
+
+    reply,
+    abort,
+
+    [Symbol.asyncIterator]() {
+      if (iterated) {
+        throw new Error('run handle can only be iterated once');
+      }
+      iterated = true;
+      let finished = false;
+
+      return {
+        async next() {
+          while (!finished) {
+            if (queue.length) {
+              const event = queue.shift();
+              if (event.type === 'error') {
+                finished = true;
+                throw event.error;
+              }
+              if (event.type === 'exit') {
+                finished = true;
+              }
+              return { value: event, done: false };
+            }
+            await new Promise((resolveWake) => {
+              wake = resolveWake;
+            });
+          }
+          return { value: undefined, done: true };
+        },
+
+        async return() {
+          finished = true;
+          queue.length = 0;
+          if (!settled) {
+            abort(new Error('run handle iteration stopped'));
+            await result.catch(() => null);
+          }
+          return { value: undefined, done: true };
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createRunHandle } from './gpg-run-handle.mjs';
+
+async function collect(handle) {
+  const events = [];
+  for await (const event of handle) {
+    events.push(event);
+  }
+  return events;
+}
+
+test('run output is yielded in order and ends with exit', async () => {
+  const stderr = [];
+  const handle = createRunHandle(async (options) => {
+    options.onStdout('out');
+    options.onStderr('err');
+    options.onStatusEvent({ keyword: 'NEWSIG' });
+    options.onDebug({ step: 'client.run', data: { n: 1 } });
+    return { exitCode: 0 };
+  }, { onStderr: (line) => stderr.push(line) });
+
+  const events = await collect(handle);
+  assert.deepEqual(events.map((event) => [event.seq, event.type]), [
+    [0, 'stdout'],
+    [1, 'stderr'],
+    [2, 'status'],
+    [3, 'debug'],
+    [4, 'exit'],
+  ]);
+  assert.equal(events[2].event.keyword, 'NEWSIG');
+  assert.equal(events[3].step, 'client.run');
+  assert.equal(events[4].exitCode, 0);
+  assert.deepEqual(stderr, ['err']);
+  assert.equal(handle.done, true);
+  assert.throws(() => handle[Symbol.asyncIterator](), /only be iterated once/);
+});
+
+test('stdout bytes and streams pick the matching callback', async () => {
+  let seen = null;
+  createRunHandle((options) => {
+    seen = options;
+    return { exitCode: 0 };
+  }, { stdout: 'bytes' });
+  assert.equal(typeof seen.onStdoutBytes, 'function');
+  assert.equal(seen.onStdout, undefined);
+
+  createRunHandle((options) => {
+    seen = options;
+    return { exitCode: 0 };
+  }, { stdout: 'stream' });
+  assert.equal(seen.onStdoutBytes, undefined);
+  assert.equal(seen.onStdout, undefined);
+});
+
+test('prompts without a handler are yielded and answered through reply', async () => {
+  const handle = createRunHandle(async (options) => {
+    const passphrase = await options.onPinentry({ keyid: 'AA' });
+    const okay = await options.onConfirm({ keyword: 'keyedit.save.okay' });
+    return { exitCode: passphrase === 'secret' && okay ? 0 : 1 };
+  });
+
+  const kinds = [];
+  for await (const event of handle) {
+    if (event.type === 'prompt') {
+      kinds.push(event.kind);
+      event.reply(event.kind === 'pinentry' ? 'secret' : true);
+      assert.equal(handle.reply(event.id, 'again'), false);
+    }
+  }
+  assert.deepEqual(kinds, ['pinentry', 'confirm']);
+  assert.equal((await handle.result).exitCode, 0);
+});
+
+test('pending prompts are released with null when the run settles', async () => {
+  let answer;
+  const handle = createRunHandle(async (options) => {
+    options.onLine({ keyword: 'x' }).then((value) => {
+      answer = value;
+    });
+    return { exitCode: 2 };
+  });
+  await handle.result;
+  await null;
+  assert.equal(answer, null);
+});
+
+test('run failures are thrown from the iterator', async () => {
+  const handle = createRunHandle(() => {
+    throw new Error('boom');
+  });
+  await assert.rejects(collect(handle), /boom/);
+  await assert.rejects(handle.result, /boom/);
+});
+
+test('the external signal and breaking out of the loop abort the run', async () => {
+  const external = new AbortController();
+  const handle = createRunHandle((options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason), { once: true });
+  }), { signal: external.signal });
+  external.abort(new Error('cancelled'));
+  assert.equal(handle.signal.aborted, true);
+  await assert.rejects(handle.result, /cancelled/);
+
+  const looped = createRunHandle((options) => new Promise((resolve, reject) => {
+    options.onStdout('first');
+    options.signal.addEventListener('abort', () => reject(options.signal.reason), { once: true });
+  }));
+  for await (const event of looped) {
+    assert.equal(event.type, 'stdout');
+    break;
+  }
+  assert.equal(looped.done, true);
+  assert.match(looped.signal.reason.message, /iteration stopped/);
+});
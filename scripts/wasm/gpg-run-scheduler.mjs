@@ -0,0 +1,202 @@
+const READ_ONLY_COMMANDS = new Set([
+  '--list-keys',
+  '--list-public-keys',
+  '--list-secret-keys',
+  '--list-sigs',
+  '--list-signatures',
+  '--check-sigs',
+  '--check-signatures',
+  '--fingerprint',
+  '--list-packets',
+  '--show-keys',
+  '--export',
+  '--export-secret-keys',
+  '--export-secret-subkeys',
+  '--export-ssh-key',
+  '--export-ownertrust',
+  '--symmetric',
+  '--store',
+  '--enarmor',
+  '--dearmor',
+  '--print-md',
+  '--print-mds',
+  '--gen-random',
+  '--list-config',
+  '--list-gcrypt-config',
+  '--dump-options',
+  '--version',
+  '--help',
+  '--warranty',
+  '--search-keys',
+  '--locate-external-keys',
+  '-k',
+  '-K',
+  '-c',
+]);
+
+const MUTATING_COMMANDS = new Set([
+  '--import',
+  '--recv-keys',
+  '--receive-keys',
+  '--refresh-keys',
+  '--fetch-keys',
+  '--locate-keys',
+  '--delete-keys',
+  '--delete-secret-keys',
+  '--delete-secret-and-public-keys',
+  '--edit-key',
+  '--edit-card',
+  '--card-edit',
+  '--sign-key',
+  '--lsign-key',
+  '--gen-key',
+  '--generate-key',
+  '--full-gen-key',
+  '--full-generate-key',
+  '--gen-revoke',
+  '--generate-revocation',
+  '--desig-revoke',
+  '--generate-designated-revocation',
+  '--import-ownertrust',
+  '--update-trustdb',
+  '--check-trustdb',
+  '--fix-trustdb',
+  '--change-passphrase',
+  '--passwd',
+  '--tofu-policy',
+  /* Trust checks while encrypting, signing or verifying can rebuild
+     trustdb.gpg and update the tofu db. */
+  '--encrypt',
+  '--decrypt',
+  '--decrypt-files',
+  '--sign',
+  '--clearsign',
+  '--clear-sign',
+  '--detach-sign',
+  '--verify',
+  '--verify-files',
+  '-e',
+  '-d',
+  '-s',
+  '-b',
+]);
+
+export function inferRunAccess(args) {
+  const argv = Array.isArray(args) ? args.map((item) => String(item)) : [];
+  let sawReadCommand = false;
+
+  for (const arg of argv) {
+    if (arg === '--') {
+      break;
+    }
+    const name = arg.startsWith('--') ? arg.split('=')[0] : arg;
+    if (name.startsWith('--quick-') || MUTATING_COMMANDS.has(name)) {
+      return 'write';
+    }
+    if (READ_ONLY_COMMANDS.has(name)) {
+      sawReadCommand = true;
+    }
+  }
+
+  return sawReadCommand ? 'read' : 'write';
+}
+
+export function createRunScheduler(options = {}) {
+  const concurrency = Number.isFinite(options.concurrency) && options.concurrency >= 1
+    ? Math.floor(options.concurrency)
+    : 1;
+  const queue = [];
+  let activeReaders = 0;
+  let activeWriter = false;
+
+  const canStart = (entry) => {
+    if (activeReaders + (activeWriter ? 1 : 0) >= concurrency) {
+      return false;
+    }
+    if (entry.access === 'write') {
+      return !activeWriter && activeReaders === 0;
+    }
+    return !activeWriter;
+  };
+
+  const drain = () => {
+    while (queue.length && canStart(queue[0])) {
+      const entry = queue.shift();
+      if (entry.access === 'write') {
+        activeWriter = true;
+      } else {
+        activeReaders += 1;
+      }
+
+      let released = false;
+      entry.resolve(() => {
+        if (released) {
+          return;
+        }
+        released = true;
+        if (entry.access === 'write') {
+          activeWriter = false;
+        } else {
+          activeReaders -= 1;
+        }
+        drain();
+      });
+    }
+  };
+
+  return {
+    concurrency,
+
+    acquire(request = {}) {
+      const { signal } = request;
+      if (signal && signal.aborted) {
+        return Promise.reject(signal.reason);
+      }
+
+      const entry = {
+        access: request.access === 'read' ? 'read' : 'write',
+        priority: Number.isFinite(request.priority) ? Number(request.priority) : 0,
+        resolve: null,
+      };
+      const promise = new Promise((resolve, reject) => {
+        if (!signal) {
+          entry.resolve = resolve;
+          return;
+        }
+        const onAbort = () => {
+          const index = queue.indexOf(entry);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            reject(signal.reason);
+            drain();
+          }
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.resolve = (release) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(release);
+        };
+      });
+
+      let index = queue.findIndex((item) => item.priority < entry.priority);
+      if (index === -1) {
+        index = queue.length;
+      }
+      queue.splice(index, 0, entry);
+      drain();
+      return promise;
+    },
+
+    snapshot() {
+      return {
+        concurrency,
+        activeReaders,
+        activeWriter,
+        queued: queue.map((item) => ({
+          access: item.access,
+          priority: item.priority,
+        })),
+      };
+    },
+  };
+}
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createRunScheduler, inferRunAccess } from './gpg-run-scheduler.mjs';
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('inferRunAccess treats listings and exports as reads', () => {
+  assert.equal(inferRunAccess(['--batch', '--with-colons', '--list-keys']), 'read');
+  assert.equal(inferRunAccess(['-K']), 'read');
+  assert.equal(inferRunAccess(['--armor', '--export', 'alice@example.org']), 'read');
+  assert.equal(inferRunAccess(['--symmetric', '--output', '/tmp/out']), 'read');
+});
+
+test('inferRunAccess treats key changes and trust-checking commands as writes', () => {
+  assert.equal(inferRunAccess(['--import', '/tmp/key.asc']), 'write');
+  assert.equal(inferRunAccess(['--quick-add-uid', 'A', 'B']), 'write');
+  assert.equal(inferRunAccess(['--encrypt', '-r', 'alice']), 'write');
+  assert.equal(inferRunAccess(['--verify', '/tmp/sig']), 'write');
+  assert.equal(inferRunAccess(['-d', '/tmp/in']), 'write');
+  assert.equal(inferRunAccess(['--list-keys', '--edit-key', 'alice']), 'write');
+});
+
+test('inferRunAccess stops at -- and defaults to write', () => {
+  assert.equal(inferRunAccess(['--list-keys', '--', '--import']), 'read');
+  assert.equal(inferRunAccess(['--batch']), 'write');
+  assert.equal(inferRunAccess(null), 'write');
+});
+
+test('readers share the scheduler up to the concurrency limit', async () => {
+  const scheduler = createRunScheduler({ concurrency: 2 });
+  const started = [];
+  const releases = [];
+  for (const name of ['a', 'b', 'c']) {
+    scheduler.acquire({ access: 'read' }).then((release) => {
+      started.push(name);
+      releases.push(release);
+    });
+  }
+  await settle();
+  assert.deepEqual(started, ['a', 'b']);
+  assert.equal(scheduler.snapshot().activeReaders, 2);
+
+  releases[0]();
+  releases[0]();
+  await settle();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  assert.equal(scheduler.snapshot().activeReaders, 2);
+});
+
+test('a writer waits for readers and blocks the readers behind it', async () => {
+  const scheduler = createRunScheduler({ concurrency: 4 });
+  const started = [];
+  const releases = {};
+  const enqueue = (name, access) => scheduler.acquire({ access }).then((release) => {
+    started.push(name);
+    releases[name] = release;
+  });
+  enqueue('read1', 'read');
+  enqueue('write', 'write');
+  enqueue('read2', 'read');
+  await settle();
+  assert.deepEqual(started, ['read1']);
+
+  releases.read1();
+  await settle();
+  assert.deepEqual(started, ['read1', 'write']);
+  assert.equal(scheduler.snapshot().activeWriter, true);
+
+  releases.write();
+  await settle();
+  assert.deepEqual(started, ['read1', 'write', 'read2']);
+});
+
+test('higher priority runs go first and equal priorities stay in order', async () => {
+  const scheduler = createRunScheduler();
+  const started = [];
+  const releases = [];
+  const enqueue = (name, priority) => scheduler.acquire({ priority }).then((release) => {
+    started.push(name);
+    releases.push(release);
+  });
+  enqueue('first', 0);
+  await settle();
+  enqueue('low', 0);
+  enqueue('high', 5);
+  enqueue('high2', 5);
+  assert.deepEqual(scheduler.snapshot().queued.map((item) => item.priority), [5, 5, 0]);
+
+  for (let i = 0; i < 4; i += 1) {
+    await settle();
+    releases[i]();
+  }
+  await settle();
+  assert.deepEqual(started, ['first', 'high', 'high2', 'low']);
+});
+
+test('an aborted request leaves the queue and rejects with the reason', async () => {
+  const scheduler = createRunScheduler();
+  const release = await scheduler.acquire();
+  const controller = new AbortController();
+  const waiting = scheduler.acquire({ signal: controller.signal });
+  controller.abort(new Error('stop'));
+  await assert.rejects(waiting, /stop/);
+  assert.deepEqual(scheduler.snapshot().queued, []);
+
+  release();
+  const next = await scheduler.acquire({ signal: controller.signal }).catch((error) => error);
+  assert.match(next.message, /stop/);
+});
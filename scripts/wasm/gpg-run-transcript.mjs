@@ -0,0 +1,297 @@
+import './gpg-fs-hash.js';
+
+export const TRANSCRIPT_VERSION = 1;
+
+const { hashFsBytes } = globalThis.GnupgFsHash;
+const REDACTED = '[redacted]';
+const SECRET_OPTIONS = new Set(['--passphrase']);
+const SECRET_KEYWORD = /passphrase|passwd|\.pin\b/i;
+const SCRATCH_DIR_PATTERN = /\/tmp\/wasm-gpg-op-\d+-\d+/g;
+
+export const OPERATION_SCRATCH_PREFIX = '/tmp/wasm-gpg-op';
+
+
+export function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x4000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x4000));
+  }
+  return btoa(binary);
+}
+
+export function decodeBase64(base64Text) {
+  const binary = atob(base64Text || '');
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    out[i] = binary.charCodeAt(i);
+  }
+  return out;
+}
+
+/* Operation scratch dirs carry a timestamp, so transcripts store them as the
+   bare prefix and replay maps them back onto the current run's dir. */
+export function normalizeScratchPaths(value) {
+  return String(value).replace(SCRATCH_DIR_PATTERN, OPERATION_SCRATCH_PREFIX);
+}
+
+export function findScratchDir(args) {
+  for (const arg of Array.isArray(args) ? args : []) {
+    const match = String(arg).match(SCRATCH_DIR_PATTERN);
+    if (match) {
+      return match[0];
+    }
+  }
+  return null;
+}
+
+function mapFsStatePaths(state, mapPath) {
+  if (!state || typeof state !== 'object') {
+    return state;
+  }
+  const mapEntry = (entry) => (entry && typeof entry.path === 'string' ? { ...entry, path: mapPath(entry.path) } : entry);
+  return {
+    ...state,
+    roots: Array.isArray(state.roots) ? state.roots.map((root) => mapPath(String(root))) : state.roots,
+    dirs: Array.isArray(state.dirs) ? state.dirs.map(mapEntry) : state.dirs,
+    files: Array.isArray(state.files) ? state.files.map(mapEntry) : state.files,
+  };
+}
+
+export function restoreScratchPaths(state, dir) {
+  if (!dir) {
+    return state;
+  }
+  return mapFsStatePaths(state, (path) => (
+    path === OPERATION_SCRATCH_PREFIX || path.startsWith(`${OPERATION_SCRATCH_PREFIX}/`)
+      ? `${dir}${path.slice(OPERATION_SCRATCH_PREFIX.length)}`
+      : path
+  ));
+}
+
+export function hashFsState(state) {
+  if (!state || typeof state !== 'object') {
+    return null;
+  }
+  const byPath = (a, b) => (a.path < b.path ? -1 : (a.path > b.path ? 1 : 0));
+  const dirs = (Array.isArray(state.dirs) ? state.dirs : [])
+    .map((entry) => ({ path: normalizeScratchPaths(entry.path), mode: entry.mode }))
+    .sort(byPath);
+  const files = (Array.isArray(state.files) ? state.files : [])
+    .map((entry) => ({ path: normalizeScratchPaths(entry.path), mode: entry.mode, data: String(entry.data || '') }))
+    .sort(byPath);
+  return hashFsBytes(new TextEncoder().encode(JSON.stringify({ dirs, files })));
+}
+
+export function redactArgs(args) {
+  const argv = Array.isArray(args) ? args.map((item) => String(item)) : [];
+  return argv.map((arg, index) => {
+    if (index > 0 && SECRET_OPTIONS.has(argv[index - 1])) {
+      return REDACTED;
+    }
+    const eq = arg.indexOf('=');
+    return eq !== -1 && SECRET_OPTIONS.has(arg.slice(0, eq))
+      ? `${arg.slice(0, eq)}=${REDACTED}`
+      : normalizeScratchPaths(arg);
+  });
+}
+
+function summarizeFsState(state) {
+  if (!state || typeof state !== 'object') {
+    return null;
+  }
+  return {
+    redacted: true,
+    hash: hashFsState(state),
+    delta: state.delta === true,
+    files: Array.isArray(state.files) ? state.files.length : 0,
+  };
+}
+
+function summarizeStdin(message) {
+  if (message.stdinBytes instanceof Uint8Array) {
+    return { kind: 'bytes', length: message.stdinBytes.length, hash: hashFsBytes(message.stdinBytes) };
+  }
+  if (typeof message.stdinText === 'string' && message.stdinText) {
+    const bytes = new TextEncoder().encode(message.stdinText);
+    return { kind: 'text', length: bytes.length, hash: hashFsBytes(bytes) };
+  }
+  return message.stdinQueue ? { kind: 'queue' } : null;
+}
+
+function redactHostMessage(message) {
+  if (message.type === 'run') {
+    const {
+      fsState,
+      stdinText,
+      stdinBytes,
+      stdinQueue,
+      sharedAgentBridge,
+      ...rest
+    } = message;
+    return {
+      ...rest,
+      args: redactArgs(message.args),
+      fsState: summarizeFsState(fsState),
+      stdin: summarizeStdin(message),
+      sharedAgentBridge: Boolean(sharedAgentBridge),
+    };
+  }
+  if (message.type === 'pinentry-response') {
+    return { ...message, passphrase: message.passphrase ? REDACTED : '' };
+  }
+  return { ...message };
+}
+
+function summarizeBytes(bytes) {
+  return { redacted: true, length: bytes.length, hash: hashFsBytes(bytes) };
+}
+
+function summarizeText(text) {
+  return summarizeBytes(new TextEncoder().encode(String(text)));
+}
+
+function redactWorkerMessage(message, options) {
+  const keepStdout = options.stdout === true;
+  if (message.type === 'stdout-bytes') {
+    const bytes = message.data instanceof Uint8Array ? message.data : new Uint8Array();
+    return keepStdout
+      ? { type: 'stdout-bytes', data: encodeBase64(bytes), encoding: 'base64' }
+      : { type: 'stdout-bytes', ...summarizeBytes(bytes) };
+  }
+  if (message.type === 'stdout' && !keepStdout) {
+    return { type: 'stdout', ...summarizeText(message.data) };
+  }
+  if (message.type === 'result') {
+    const stdoutLines = Array.isArray(message.stdoutLines) && !keepStdout
+      ? summarizeText(message.stdoutLines.join('\n'))
+      : message.stdoutLines;
+    return { ...message, stdoutLines, fsState: summarizeFsState(message.fsState) };
+  }
+  if (message.type === 'debug' && message.data && Array.isArray(message.data.args)) {
+    return { ...message, data: { ...message.data, args: redactArgs(message.data.args) } };
+  }
+  return Array.isArray(message.args) ? { ...message, args: redactArgs(message.args) } : { ...message };
+}
+
+function redactRequest(request) {
+  return request && Array.isArray(request.args) ? { ...request, args: redactArgs(request.args) } : { ...request };
+}
+
+function redactReply(kind, request, reply) {
+  if (kind === 'pinentry') {
+    if (typeof reply === 'string') {
+      return REDACTED;
+    }
+    return reply && typeof reply === 'object'
+      ? { ...reply, passphrase: reply.passphrase ? REDACTED : reply.passphrase }
+      : reply;
+  }
+  const keyword = String((request && (request.keyword || request.prompt)) || '');
+  if (kind === 'input' ? keyword.startsWith('GET_HIDDEN') : SECRET_KEYWORD.test(keyword)) {
+    if (typeof reply === 'string' && reply) {
+      return REDACTED;
+    }
+    if (reply && typeof reply === 'object' && reply.text) {
+      return { ...reply, text: REDACTED };
+    }
+  }
+  return reply;
+}
+
+function describeError(error) {
+  if (!error || typeof error !== 'object') {
+    return { name: 'Error', message: String(error) };
+  }
+  return {
+    name: error.name || 'Error',
+    message: error.message || '',
+    code: error.code || null,
+    stage: error.stage || null,
+  };
+}
+
+export function createTranscriptRecorder(args, options = {}) {
+  const startedAt = Date.now();
+  const events = [];
+  let input = null;
+
+  const record = (entry) => {
+    events.push({ at: Date.now() - startedAt, ...entry });
+  };
+
+  const wrapPrompt = (kind, handler) => async (request) => {
+    let reply;
+    try {
+      reply = await handler(request);
+    } catch (error) {
+      record({ from: 'prompt', kind, request: redactRequest(request), error: describeError(error).message });
+      throw error;
+    }
+    record({ from: 'prompt', kind, request: redactRequest(request), reply: redactReply(kind, request, reply) });
+    return reply;
+  };
+
+  return {
+    wrapCallbacks(callbacks) {
+      const wrapped = { ...callbacks };
+      for (const [kind, name] of [
+        ['pinentry', 'onPinentry'],
+        ['confirm', 'onConfirm'],
+        ['line', 'onLine'],
+        ['input', 'onInputRequest'],
+      ]) {
+        if (typeof callbacks[name] === 'function') {
+          wrapped[name] = wrapPrompt(kind, callbacks[name]);
+        }
+      }
+      return wrapped;
+    },
+
+    attach(worker) {
+      worker.addEventListener('message', (event) => {
+        if (event.data && typeof event.data === 'object') {
+          record({ from: 'worker', message: redactWorkerMessage(event.data, options) });
+        }
+      });
+      worker.addEventListener('error', (event) => {
+        record({ from: 'worker', error: (event && event.message) || 'worker failed' });
+      });
+      const postMessage = worker.postMessage.bind(worker);
+      worker.postMessage = (message) => {
+        if (message && typeof message === 'object') {
+          if (message.type === 'run') {
+            input = {
+              fsStateHash: hashFsState(message.fsState),
+              files: message.fsState && Array.isArray(message.fsState.files) ? message.fsState.files.length : 0,
+              stdin: summarizeStdin(message),
+            };
+          }
+          record({ from: 'host', message: redactHostMessage(message) });
+        }
+        return postMessage(message);
+      };
+      return worker;
+    },
+
+    finish(result, error = null) {
+      const outcome = error
+        ? { error: describeError(error) }
+        : {
+            exitCode: result.exitCode,
+            changedPaths: result.changedPaths || null,
+            fsStateHash: hashFsState(result.fsState),
+          };
+      if (!error && options.fsState === true && result.fsState) {
+        outcome.fsState = mapFsStatePaths(result.fsState, normalizeScratchPaths);
+      }
+      return {
+        version: TRANSCRIPT_VERSION,
+        recordedAt: new Date(startedAt).toISOString(),
+        args: redactArgs(args),
+        input,
+        events,
+        outcome,
+      };
+    },
+  };
+}
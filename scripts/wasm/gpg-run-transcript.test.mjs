@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  OPERATION_SCRATCH_PREFIX,
+  createTranscriptRecorder,
+  decodeBase64,
+  encodeBase64,
+  findScratchDir,
+  hashFsState,
+  normalizeScratchPaths,
+  redactArgs,
+  restoreScratchPaths,
+} from './gpg-run-transcript.mjs';
+
+const SCRATCH = '/tmp/wasm-gpg-op-1700000000000-3';
+
+function createFakeWorker() {
+  const worker = new EventTarget();
+  worker.posted = [];
+  worker.postMessage = (message) => worker.posted.push(message);
+  worker.emit = (data) => {
+    const event = new Event('message');
+    event.data = data;
+    worker.dispatchEvent(event);
+  };
+  return worker;
+}
+
+test('base64 helpers round-trip bytes', () => {
+  const bytes = new Uint8Array([0, 1, 254, 255]);
+  assert.equal(encodeBase64(bytes), 'AAH+/w==');
+  assert.deepEqual(decodeBase64('AAH+/w=='), bytes);
+});
+
+test('scratch dirs are normalized and restored', () => {
+  assert.equal(normalizeScratchPaths(`--output=${SCRATCH}/out`), `--output=${OPERATION_SCRATCH_PREFIX}/out`);
+  assert.equal(findScratchDir(['--batch', `${SCRATCH}/in`]), SCRATCH);
+  assert.equal(findScratchDir(['--batch']), null);
+
+  const state = {
+    roots: [OPERATION_SCRATCH_PREFIX],
+    dirs: [{ path: OPERATION_SCRATCH_PREFIX }],
+    files: [{ path: `${OPERATION_SCRATCH_PREFIX}/out`, data: '' }, { path: '/home/a', data: '' }],
+  };
+  const restored = restoreScratchPaths(state, SCRATCH);
+  assert.deepEqual(restored.roots, [SCRATCH]);
+  assert.deepEqual(restored.files.map((file) => file.path), [`${SCRATCH}/out`, '/home/a']);
+  assert.equal(restoreScratchPaths(state, null), state);
+});
+
+test('redactArgs hides passphrases and normalizes scratch paths', () => {
+  assert.deepEqual(
+    redactArgs(['--passphrase', 'hunter2', '--passphrase=x', '--output', `${SCRATCH}/out`]),
+    ['--passphrase', '[redacted]', '--passphrase=[redacted]', '--output', `${OPERATION_SCRATCH_PREFIX}/out`],
+  );
+});
+
+test('hashFsState ignores order and the scratch dir timestamp', () => {
+  const a = {
+    dirs: [{ path: '/b', mode: 448 }, { path: '/a', mode: 448 }],
+    files: [{ path: `${SCRATCH}/x`, mode: 384, data: 'AA==' }],
+  };
+  const b = {
+    dirs: [{ path: '/a', mode: 448 }, { path: '/b', mode: 448 }],
+    files: [{ path: '/tmp/wasm-gpg-op-1-1/x', mode: 384, data: 'AA==' }],
+  };
+  assert.equal(hashFsState(a), hashFsState(b));
+  assert.notEqual(hashFsState(a), hashFsState({ ...b, files: [] }));
+  assert.equal(hashFsState(null), null);
+});
+
+test('the recorder redacts host messages, stdout and prompt replies', async () => {
+  const recorder = createTranscriptRecorder(['--decrypt', `${SCRATCH}/in`]);
+  const worker = recorder.attach(createFakeWorker());
+  worker.postMessage({
+    type: 'run',
+    args: ['--passphrase', 'pw', `${SCRATCH}/in`],
+    fsState: { files: [{ path: '/home/a', data: 'AA==' }] },
+    stdinText: 'plain',
+  });
+  worker.postMessage({ type: 'pinentry-response', passphrase: 'pw' });
+  worker.emit({ type: 'stdout', data: 'secret text' });
+  worker.emit({ type: 'stdout-bytes', data: new Uint8Array([1, 2]) });
+  worker.emit({ type: 'result', exitCode: 0, stdoutLines: ['a', 'b'], fsState: { files: [] } });
+
+  const callbacks = recorder.wrapCallbacks({
+    onPinentry: () => 'pw',
+    onLine: () => 'Alice',
+  });
+  await callbacks.onPinentry({ keyid: 'AA' });
+  await callbacks.onLine({ keyword: 'passphrase.enter' });
+  await callbacks.onLine({ keyword: 'keygen.name' });
+
+  const transcript = recorder.finish({ exitCode: 0, fsState: { files: [] } });
+  assert.deepEqual(transcript.args, ['--decrypt', `${OPERATION_SCRATCH_PREFIX}/in`]);
+  assert.equal(transcript.input.files, 1);
+  assert.deepEqual(transcript.input.stdin, { kind: 'text', length: 5, hash: transcript.input.stdin.hash });
+
+  const messages = transcript.events.map((event) => event.message).filter(Boolean);
+  assert.deepEqual(messages[0].args, ['--passphrase', '[redacted]', `${OPERATION_SCRATCH_PREFIX}/in`]);
+  assert.equal(messages[0].stdinText, undefined);
+  assert.equal(messages[0].fsState.redacted, true);
+  assert.equal(messages[1].passphrase, '[redacted]');
+  assert.equal(messages[2].data, undefined);
+  assert.equal(messages[2].length, 11);
+  assert.equal(messages[3].data, undefined);
+  assert.equal(messages[3].length, 2);
+  assert.equal(messages[4].stdoutLines.redacted, true);
+
+  const replies = transcript.events.filter((event) => event.from === 'prompt').map((event) => event.reply);
+  assert.deepEqual(replies, ['[redacted]', '[redacted]', 'Alice']);
+  assert.equal(transcript.outcome.exitCode, 0);
+  assert.equal(transcript.outcome.fsState, undefined);
+  assert.equal(worker.posted.length, 2);
+});
+
+test('stdout and the final fsState are kept when asked for', () => {
+  const recorder = createTranscriptRecorder([], { stdout: true, fsState: true });
+  const worker = recorder.attach(createFakeWorker());
+  worker.emit({ type: 'stdout', data: 'visible' });
+  worker.emit({ type: 'stdout-bytes', data: new Uint8Array([1, 2]) });
+  const transcript = recorder.finish({
+    exitCode: 0,
+    fsState: { files: [{ path: `${SCRATCH}/out`, data: 'AA==' }] },
+  });
+  assert.equal(transcript.events[0].message.data, 'visible');
+  assert.deepEqual(transcript.events[1].message, { type: 'stdout-bytes', data: 'AQI=', encoding: 'base64' });
+  assert.equal(transcript.outcome.fsState.files[0].path, `${OPERATION_SCRATCH_PREFIX}/out`);
+
+  const failed = createTranscriptRecorder([]).finish(null, Object.assign(new Error('nope'), { code: 'worker-failed' }));
+  assert.deepEqual(failed.outcome, { error: { name: 'Error', message: 'nope', code: 'worker-failed', stage: null } });
+});
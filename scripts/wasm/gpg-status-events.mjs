@@ -0,0 +1,378 @@
+const SIGNATURE_KEYWORDS = {
+  GOODSIG: 'good',
+  EXPSIG: 'expired-signature',
+  EXPKEYSIG: 'expired-key',
+  REVKEYSIG: 'revoked-key',
+  BADSIG: 'bad',
+  ERRSIG: 'error',
+};
+
+const TRUST_KEYWORDS = {
+  TRUST_UNDEFINED: 'undefined',
+  TRUST_NEVER: 'never',
+  TRUST_MARGINAL: 'marginal',
+  TRUST_FULLY: 'full',
+  TRUST_ULTIMATE: 'ultimate',
+};
+
+const SIGNATURE_FIELDS = ['keyid', 'userId:restpct'];
+const TRUST_FIELDS = ['errorToken', 'validationModel', 'mbox:pct'];
+const DIAGNOSTIC_FIELDS = ['location', 'code', 'text:rest'];
+const COMPLIANCE_FIELDS = ['flags:rest'];
+
+/* Field layouts follow doc/DETAILS ("Format of the --status-fd output").
+ * Types: int, time (epoch seconds or ISO yyyymmddThhmmss), pct (percent
+ * escaped, "-" means empty), rest (remainder of the line), restpct. */
+const STATUS_FIELDS = {
+  NEWSIG: ['signersUid:pct'],
+  GOODSIG: SIGNATURE_FIELDS,
+  EXPSIG: SIGNATURE_FIELDS,
+  EXPKEYSIG: SIGNATURE_FIELDS,
+  REVKEYSIG: SIGNATURE_FIELDS,
+  BADSIG: SIGNATURE_FIELDS,
+  ERRSIG: ['keyid', 'pubkeyAlgo:int', 'hashAlgo:int', 'sigClass', 'created:time', 'rc:int', 'fingerprint:pct'],
+  VALIDSIG: [
+    'fingerprint',
+    'sigCreationDate',
+    'created:time',
+    'expires:time',
+    'sigVersion:int',
+    'reserved',
+    'pubkeyAlgo:int',
+    'hashAlgo:int',
+    'sigClass',
+    'primaryFingerprint',
+  ],
+  ASSERT_SIGNER: ['fingerprint'],
+  ASSERT_PUBKEY_ALGO: ['fingerprint', 'state:int', 'algo'],
+  SIG_ID: ['sigId', 'sigCreationDate', 'created:time'],
+  ENC_TO: ['keyid', 'pubkeyAlgo:int', 'keyLength:int'],
+  BEGIN_DECRYPTION: [],
+  END_DECRYPTION: [],
+  DECRYPTION_KEY: ['fingerprint', 'primaryFingerprint', 'ownertrust'],
+  DECRYPTION_INFO: ['mdcMethod:int', 'symAlgo:int', 'aeadAlgo:int', 'complianceError:int'],
+  DECRYPTION_FAILED: [],
+  DECRYPTION_OKAY: [],
+  SESSION_KEY: ['sessionKey'],
+  BEGIN_ENCRYPTION: ['mdcMethod:int', 'symAlgo:int', 'aeadAlgo:int'],
+  END_ENCRYPTION: [],
+  FILE_START: ['what:int', 'filename:pct'],
+  FILE_DONE: [],
+  BEGIN_SIGNING: [],
+  ALREADY_SIGNED: ['keyid'],
+  SIG_CREATED: ['sigType', 'pubkeyAlgo:int', 'hashAlgo:int', 'sigClass', 'created:time', 'fingerprint'],
+  NOTATION_NAME: ['name:pct'],
+  NOTATION_FLAGS: ['critical:int', 'humanReadable:int'],
+  NOTATION_DATA: ['data:restpct'],
+  POLICY_URL: ['url:restpct'],
+  PLAINTEXT: ['format', 'timestamp:time', 'filename:pct'],
+  PLAINTEXT_LENGTH: ['length:int'],
+  ATTRIBUTE: [
+    'fingerprint',
+    'length:int',
+    'attributeType:int',
+    'index:int',
+    'count:int',
+    'timestamp:time',
+    'expires:time',
+    'flags:int',
+  ],
+  SIG_SUBPACKET: ['subpacketType:int', 'flags:int', 'length:int', 'data:pct'],
+  ENCRYPTION_COMPLIANCE_MODE: COMPLIANCE_FIELDS,
+  DECRYPTION_COMPLIANCE_MODE: COMPLIANCE_FIELDS,
+  VERIFICATION_COMPLIANCE_MODE: COMPLIANCE_FIELDS,
+  INV_RECP: ['reason:int', 'recipient:restpct'],
+  INV_SGNR: ['reason:int', 'sender:restpct'],
+  NO_RECP: ['reserved'],
+  NO_SGNR: ['reserved'],
+  KEY_CONSIDERED: ['fingerprint', 'flags:int'],
+  KEYEXPIRED: ['expires:time'],
+  KEYREVOKED: [],
+  NO_PUBKEY: ['keyid'],
+  NO_SECKEY: ['keyid'],
+  KEY_CREATED: ['keyType', 'fingerprint', 'handle'],
+  KEY_NOT_CREATED: ['handle'],
+  TRUST_UNDEFINED: TRUST_FIELDS,
+  TRUST_NEVER: TRUST_FIELDS,
+  TRUST_MARGINAL: TRUST_FIELDS,
+  TRUST_FULLY: TRUST_FIELDS,
+  TRUST_ULTIMATE: TRUST_FIELDS,
+  TOFU_USER: ['fingerprint', 'mbox:pct'],
+  TOFU_STATS: [
+    'summary:int',
+    'signCount:int',
+    'encryptionCount:int',
+    'policy',
+    'signFirst:time',
+    'signLast:time',
+    'encryptFirst:time',
+    'encryptLast:time',
+    'validity:int',
+    'signDays:int',
+    'encryptDays:int',
+  ],
+  TOFU_STATS_SHORT: ['text:restpct'],
+  TOFU_STATS_LONG: ['text:restpct'],
+  PKA_TRUST_GOOD: ['mbox:pct'],
+  PKA_TRUST_BAD: ['mbox:pct'],
+  GET_BOOL: ['prompt'],
+  GET_LINE: ['prompt'],
+  GET_HIDDEN: ['prompt'],
+  GOT_IT: [],
+  USERID_HINT: ['keyid', 'userId:restpct'],
+  NEED_PASSPHRASE: ['keyid', 'mainKeyid', 'pubkeyAlgo:int', 'keyLength:int'],
+  NEED_PASSPHRASE_SYM: ['cipherAlgo:int', 's2kMode:int', 's2kHash:int'],
+  NEED_PASSPHRASE_PIN: ['cardType', 'chvno', 'serialno'],
+  MISSING_PASSPHRASE: [],
+  BAD_PASSPHRASE: ['keyid'],
+  GOOD_PASSPHRASE: [],
+  INQUIRE_MAXLEN: ['maxLength:int'],
+  PINENTRY_LAUNCHED: ['info'],
+  IMPORT_CHECK: ['keyid', 'fingerprint', 'userId:restpct'],
+  IMPORTED: ['keyid', 'userId:restpct'],
+  IMPORT_OK: ['reason:int', 'fingerprint'],
+  IMPORT_PROBLEM: ['reason:int', 'fingerprint'],
+  IMPORT_RES: [
+    'count:int',
+    'noUserId:int',
+    'imported:int',
+    'reserved:int',
+    'unchanged:int',
+    'userIds:int',
+    'subkeys:int',
+    'signatures:int',
+    'revocations:int',
+    'secretRead:int',
+    'secretImported:int',
+    'secretUnchanged:int',
+    'skippedNewKeys:int',
+    'notImported:int',
+    'skippedV3Keys:int',
+  ],
+  EXPORTED: ['fingerprint'],
+  EXPORT_RES: ['count:int', 'secretCount:int', 'exported:int'],
+  CARDCTRL: ['what:int', 'serialno'],
+  SC_OP_FAILURE: ['code:int'],
+  SC_OP_SUCCESS: [],
+  NODATA: ['what:int'],
+  UNEXPECTED: ['what:int'],
+  TRUNCATED: ['maxno:int'],
+  ERROR: DIAGNOSTIC_FIELDS,
+  WARNING: DIAGNOSTIC_FIELDS,
+  NOTE: DIAGNOSTIC_FIELDS,
+  SUCCESS: ['location'],
+  FAILURE: ['location', 'code'],
+  BADARMOR: [],
+  DELETE_PROBLEM: ['reason:int'],
+  PROGRESS: ['what', 'char', 'current:int', 'total:int', 'units'],
+  BACKUP_KEY_CREATED: ['fingerprint', 'filename:pct'],
+  MOUNTPOINT: ['name:pct'],
+  GPGTAR_EXTRACT: ['total:int', 'skipped:int', 'badName:int', 'suspicious:int', 'symlinks:int', 'hardlinks:int', 'other:int'],
+  SIGEXPIRED: [],
+  RSA_OR_IDEA: [],
+  BEGIN_STREAM: [],
+  END_STREAM: [],
+  GOODMDC: [],
+  BADMDC: [],
+  KEYPAIRINFO: ['keygrip', 'keyref', 'usage', 'keytime:time', 'algo'],
+  CERTINFO: ['certType', 'certRef', 'label:pct'],
+  MANUFACTURER: ['id:int', 'name:rest'],
+};
+
+export function parseStatusLine(line) {
+  const text = String(line ?? '').trim();
+  if (!text) {
+    return {
+      keyword: '',
+      payload: '',
+    };
+  }
+  const idx = text.indexOf(' ');
+  if (idx === -1) {
+    return {
+      keyword: text,
+      payload: '',
+    };
+  }
+  return {
+    keyword: text.slice(0, idx),
+    payload: text.slice(idx + 1).trimStart(),
+  };
+}
+
+export function decodeStatusField(text) {
+  const raw = String(text ?? '');
+  if (!raw) {
+    return '';
+  }
+  const plusAsSpace = raw.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(plusAsSpace);
+  } catch {
+    return plusAsSpace;
+  }
+}
+
+function decodePercentField(text) {
+  const raw = String(text ?? '');
+  if (!raw.includes('%')) {
+    return raw;
+  }
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return raw;
+  }
+}
+
+export function parseStatusTimestamp(text) {
+  const raw = String(text ?? '');
+  if (!raw || raw === '0' || raw === '-') {
+    return null;
+  }
+  if (raw.includes('T')) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/.exec(raw);
+    if (!match) {
+      return null;
+    }
+    return Date.UTC(
+      Number(match[1]),
+      Number(match[2]) - 1,
+      Number(match[3]),
+      Number(match[4]),
+      Number(match[5]),
+      Number(match[6]),
+    ) / 1000;
+  }
+  const value = Number.parseInt(raw, 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseStatusInt(text) {
+  const value = Number.parseInt(String(text ?? ''), 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseErrorCode(text) {
+  const raw = String(text ?? '');
+  const match = /^(\d+)(?:_(.*))?$/.exec(raw);
+  if (match) {
+    return {
+      errorCode: Number(match[1]),
+      errorName: match[2] || '',
+    };
+  }
+  return {
+    errorCode: null,
+    errorName: raw,
+  };
+}
+
+function splitPayload(payload) {
+  return payload ? payload.split(/ +/) : [];
+}
+
+function restOfPayload(payload, index) {
+  let rest = payload;
+  for (let i = 0; i < index; i += 1) {
+    const idx = rest.indexOf(' ');
+    if (idx === -1) {
+      return '';
+    }
+    rest = rest.slice(idx + 1).trimStart();
+  }
+  return rest;
+}
+
+function applyFieldSpec(event, spec, payload, args) {
+  spec.forEach((fieldSpec, index) => {
+    const [name, type = ''] = fieldSpec.split(':');
+    const text = args[index];
+    if (type === 'int') {
+      event[name] = parseStatusInt(text);
+    } else if (type === 'time') {
+      event[name] = parseStatusTimestamp(text);
+    } else if (type === 'pct') {
+      event[name] = text && text !== '-' ? decodePercentField(text) : '';
+    } else if (type === 'rest') {
+      event[name] = restOfPayload(payload, index);
+    } else if (type === 'restpct') {
+      event[name] = decodePercentField(restOfPayload(payload, index));
+    } else {
+      event[name] = text ?? '';
+    }
+  });
+}
+
+function decorateEvent(event) {
+  const { keyword } = event;
+
+  if (Object.prototype.hasOwnProperty.call(SIGNATURE_KEYWORDS, keyword)) {
+    event.signatureStatus = SIGNATURE_KEYWORDS[keyword];
+    return;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(TRUST_KEYWORDS, keyword)) {
+    event.validity = TRUST_KEYWORDS[keyword];
+    return;
+  }
+
+  if (keyword === 'ERROR' || keyword === 'WARNING' || keyword === 'NOTE' || keyword === 'FAILURE') {
+    Object.assign(event, parseErrorCode(event.code));
+    return;
+  }
+
+  if (keyword === 'IMPORT_OK') {
+    const reason = Number.isFinite(event.reason) ? event.reason : 0;
+    event.changes = {
+      newKey: (reason & 1) !== 0,
+      newUserIds: (reason & 2) !== 0,
+      newSignatures: (reason & 4) !== 0,
+      newSubkeys: (reason & 8) !== 0,
+      secretKey: (reason & 16) !== 0,
+    };
+    return;
+  }
+
+  if (keyword === 'KEY_CONSIDERED') {
+    const flags = Number.isFinite(event.flags) ? event.flags : 0;
+    event.notSelected = (flags & 1) !== 0;
+    event.allSubkeysUnusable = (flags & 2) !== 0;
+    return;
+  }
+
+  if (keyword === 'PROGRESS') {
+    event.done = Number.isFinite(event.total) && event.total > 0 && event.current === event.total;
+  }
+}
+
+export function parseStatusEvent(line) {
+  const raw = String(line ?? '').trim();
+  const { keyword, payload } = parseStatusLine(raw);
+  const args = splitPayload(payload);
+  const event = {
+    keyword,
+    args,
+    raw,
+  };
+
+  const spec = STATUS_FIELDS[keyword];
+  if (spec) {
+    applyFieldSpec(event, spec, payload, args);
+    decorateEvent(event);
+  }
+  return event;
+}
+
+export function parseStatusEvents(lines) {
+  if (!Array.isArray(lines)) {
+    return [];
+  }
+  return lines
+    .map((line) => parseStatusEvent(line))
+    .filter((event) => event.keyword);
+}
+
+export function isKnownStatusKeyword(keyword) {
+  return Object.prototype.hasOwnProperty.call(STATUS_FIELDS, keyword);
+}
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  decodeStatusField,
+  isKnownStatusKeyword,
+  parseStatusEvent,
+  parseStatusEvents,
+  parseStatusLine,
+  parseStatusTimestamp,
+} from './gpg-status-events.mjs';
+
+test('parseStatusLine splits the keyword from the payload', () => {
+  assert.deepEqual(parseStatusLine('GOODSIG 0123 Alice <a@example.org>'), {
+    keyword: 'GOODSIG',
+    payload: '0123 Alice <a@example.org>',
+  });
+  assert.deepEqual(parseStatusLine('KEYREVOKED'), { keyword: 'KEYREVOKED', payload: '' });
+  assert.deepEqual(parseStatusLine('   '), { keyword: '', payload: '' });
+});
+
+test('parseStatusTimestamp reads epoch seconds and ISO time', () => {
+  assert.equal(parseStatusTimestamp('1700000000'), 1700000000);
+  assert.equal(parseStatusTimestamp('20231114T221320'), 1700000000);
+  assert.equal(parseStatusTimestamp('0'), null);
+  assert.equal(parseStatusTimestamp('-'), null);
+  assert.equal(parseStatusTimestamp('2023T1'), null);
+});
+
+test('decodeStatusField decodes plus and percent escapes', () => {
+  assert.equal(decodeStatusField('Alice+%3Ca%40example.org%3E'), 'Alice <a@example.org>');
+  assert.equal(decodeStatusField('bad%zz'), 'bad%zz');
+});
+
+test('signature events keep the user id with spaces', () => {
+  const event = parseStatusEvent('GOODSIG 0123456789ABCDEF Alice Example <alice@example.org>');
+  assert.equal(event.keyword, 'GOODSIG');
+  assert.equal(event.keyid, '0123456789ABCDEF');
+  assert.equal(event.userId, 'Alice Example <alice@example.org>');
+  assert.equal(event.signatureStatus, 'good');
+});
+
+test('VALIDSIG fields are typed', () => {
+  const event = parseStatusEvent(
+    'VALIDSIG AAAA 2023-11-14 1700000000 0 4 0 22 10 00 BBBB',
+  );
+  assert.equal(event.fingerprint, 'AAAA');
+  assert.equal(event.created, 1700000000);
+  assert.equal(event.expires, null);
+  assert.equal(event.pubkeyAlgo, 22);
+  assert.equal(event.hashAlgo, 10);
+  assert.equal(event.primaryFingerprint, 'BBBB');
+});
+
+test('ERROR events carry the location and the error code', () => {
+  const event = parseStatusEvent('ERROR keylist.getkey 33554441');
+  assert.equal(event.location, 'keylist.getkey');
+  assert.equal(event.errorCode, 33554441);
+  assert.equal(event.errorName, '');
+
+  const named = parseStatusEvent('FAILURE sign 67108949_CANCELED');
+  assert.equal(named.errorCode, 67108949);
+  assert.equal(named.errorName, 'CANCELED');
+});
+
+test('IMPORT_OK and KEY_CONSIDERED expose their flag bits', () => {
+  const imported = parseStatusEvent('IMPORT_OK 17 AAAA');
+  assert.deepEqual(imported.changes, {
+    newKey: true,
+    newUserIds: false,
+    newSignatures: false,
+    newSubkeys: false,
+    secretKey: true,
+  });
+
+  const considered = parseStatusEvent('KEY_CONSIDERED AAAA 2');
+  assert.equal(considered.notSelected, false);
+  assert.equal(considered.allSubkeysUnusable, true);
+});
+
+test('trust events map to a validity name', () => {
+  const event = parseStatusEvent('TRUST_FULLY 0 pgp alice%40example.org');
+  assert.equal(event.validity, 'full');
+  assert.equal(event.validationModel, 'pgp');
+  assert.equal(event.mbox, 'alice@example.org');
+});
+
+test('PROGRESS marks the last step as done', () => {
+  assert.equal(parseStatusEvent('PROGRESS primegen X 10 10').done, true);
+  assert.equal(parseStatusEvent('PROGRESS primegen X 3 10').done, false);
+});
+
+test('unknown keywords keep their raw arguments', () => {
+  const event = parseStatusEvent('SOMETHING_NEW a b');
+  assert.deepEqual(event, { keyword: 'SOMETHING_NEW', args: ['a', 'b'], raw: 'SOMETHING_NEW a b' });
+  assert.equal(isKnownStatusKeyword('SOMETHING_NEW'), false);
+  assert.equal(isKnownStatusKeyword('GOODSIG'), true);
+});
+
+test('parseStatusEvents drops empty lines', () => {
+  const events = parseStatusEvents(['NEWSIG', '', 'KEYREVOKED']);
+  assert.deepEqual(events.map((event) => event.keyword), ['NEWSIG', 'KEYREVOKED']);
+  assert.deepEqual(parseStatusEvents(null), []);
+});